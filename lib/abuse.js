@@ -0,0 +1,114 @@
+// lib/abuse.js — request-level protection for the payment routes
+//
+// Browsers may only call the API from CORS_ORIGINS, and each client IP
+// and signed-in user gets a fixed number of payment requests per window.
+// The counters are kept in this server's memory: with several servers a
+// client can make that many requests on each, which is enough to stop a
+// bot minting checkouts but is no exact quota. Refusals are recorded
+// through lib/fraud.js.
+
+const { config } = require("./config");
+const { logger } = require("./logger");
+const { requireAuth } = require("./auth");
+const { recordBlockedAttempt } = require("./fraud");
+
+const { rateLimitWindowMs, maxRequestsPerIp, maxRequestsPerUser } =
+  config.abuse;
+
+const isAllowedOrigin = (origin) =>
+  !origin || config.corsOrigins.includes(origin);
+
+/** Options for cors(): only the allow-listed origins get CORS headers. */
+const corsOptions = {
+  origin: (origin, callback) => callback(null, isAllowedOrigin(origin)),
+};
+
+/**
+ * Refuse requests a browser sends from an origin that isn't allowed.
+ * Without CORS headers the browser couldn't read the answer anyway, but
+ * this keeps the request from doing anything. Requests without an Origin
+ * (servers, HyperPay's redirects) are let through.
+ */
+async function requireAllowedOrigin(req, res, next) {
+  const origin = req.get("Origin");
+  if (isAllowedOrigin(origin)) return next();
+  await recordBlockedAttempt(req, { rule: "origin", reason: origin });
+  logger.warn("Request from disallowed origin", { origin });
+  return res.status(403).json({ error: "Origin not allowed" });
+}
+
+/**
+ * Middleware allowing `max` requests per window for each key `keyOf(req)`
+ * returns; requests without a key pass. Over the limit it answers 429
+ * with Retry-After, and records the first refusal of each window.
+ */
+function rateLimit({ rule, max, keyOf, windowMs = rateLimitWindowMs }) {
+  const windows = new Map();
+  let sweptAt = Date.now();
+
+  return async (req, res, next) => {
+    const key = keyOf(req);
+    if (!key) return next();
+
+    const now = Date.now();
+    if (now - sweptAt >= windowMs) {
+      for (const [k, w] of windows) {
+        if (now - w.start >= windowMs) windows.delete(k);
+      }
+      sweptAt = now;
+    }
+    let window = windows.get(key);
+    if (!window || now - window.start >= windowMs) {
+      window = { start: now, count: 0 };
+      windows.set(key, window);
+    }
+    window.count += 1;
+    if (window.count <= max) return next();
+
+    if (window.count === max + 1) {
+      await recordBlockedAttempt(req, {
+        rule,
+        reason: `more than ${max} requests in ${windowMs / 1000}s`,
+      });
+      logger.warn("Rate limit reached", { rule, key });
+    }
+    res.set(
+      "Retry-After",
+      String(Math.ceil((window.start + windowMs - now) / 1000))
+    );
+    return res
+      .status(429)
+      .json({ error: "Too many requests; please try again later" });
+  };
+}
+
+// One budget per IP and one per user, shared by every payment route.
+const limitPerIp = rateLimit({
+  rule: "rate_limit_ip",
+  max: maxRequestsPerIp,
+  keyOf: (req) => req.ip,
+});
+// Goes after requireAuth.
+const limitPerUser = rateLimit({
+  rule: "rate_limit_user",
+  max: maxRequestsPerUser,
+  keyOf: (req) => req.user?.uid,
+});
+
+/** Middleware for routes that start a payment, authentication included. */
+const guardPaymentRoute = [
+  requireAllowedOrigin,
+  limitPerIp,
+  requireAuth,
+  limitPerUser,
+];
+
+module.exports = {
+  corsOptions,
+  isAllowedOrigin,
+  requireAllowedOrigin,
+  rateLimit,
+  limitPerIp,
+  limitPerUser,
+  guardPaymentRoute,
+};
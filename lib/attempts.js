@@ -0,0 +1,393 @@
+// lib/attempts.js — every checkout and every result HyperPay gave for it
+//
+// One `paymentAttempts/{checkoutId}` document per checkout (saved-card
+// charges use their merchantTransactionId), opened when the checkout is
+// created. Each result seen for it — redirect, webhook, saved-card
+// response or reconciler — lands in `results.{transactionId}`, so a
+// declined first try followed by a successful retry keeps both, and the
+// same result reported twice is recorded once. Every declined try also
+// gets a `paymentDeclines` document, which the velocity rules in
+// lib/fraud.js count.
+
+const { admin, db } = require("./firebase");
+const { classifyResult } = require("./result-codes");
+const { resolvePaymentBrand } = require("./brands");
+const { checkoutSupplierIds } = require("./checkouts");
+const { toMinorUnits, formatAmount } = require("./money");
+const { toPlain } = require("./serialize");
+const { logger } = require("./logger");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A later result never downgrades the attempt: once paid it stays paid.
+const STATUS_RANK = {
+  created: 0,
+  pending: 1,
+  expired: 1,
+  failed: 2,
+  review: 3,
+  succeeded: 3,
+};
+const STATUS_FOR_OUTCOME = {
+  success: "succeeded",
+  review: "review",
+  pending: "pending",
+  failed: "failed",
+};
+const PAID = ["succeeded", "review"];
+
+const attempts = () => db.collection("paymentAttempts");
+const declines = () => db.collection("paymentDeclines");
+const resultKey = (transactionId) => String(transactionId).replace(/\./g, "_");
+
+/**
+ * What 3-D Secure did for the payment: "authenticated", "attempted",
+ * "not_authenticated", "failed" (rejected for 3DS reasons) or null when
+ * no 3DS data came back (wallets, saved cards).
+ */
+function threeDSecureOutcome(payment) {
+  if (classifyResult(payment).group === "rejected_3ds") return "failed";
+  const eci = payment?.threeDSecure?.eci;
+  if (!eci) return null;
+  if (["05", "02"].includes(eci)) return "authenticated";
+  if (["06", "01"].includes(eci)) return "attempted";
+  return "not_authenticated";
+}
+
+/** The attempt's starting fields, taken from a checkout record. */
+const fromCheckout = (checkout, source) => ({
+  checkoutId: checkout.id,
+  merchantTransactionId: checkout.merchantTransactionId || null,
+  userId: checkout.userId || null,
+  supplierIds: checkoutSupplierIds(checkout),
+  amount: checkout.amount || null,
+  currency: checkout.currency || null,
+  paymentType: checkout.paymentType || null,
+  brands: checkout.brands || [],
+  source: source || null,
+});
+
+/**
+ * Open the attempt for a freshly created checkout. Never throws: losing
+ * an analytics record must not fail the checkout.
+ */
+async function openAttempt(checkout, source) {
+  try {
+    await attempts()
+      .doc(checkout.id)
+      .set({
+        ...fromCheckout(checkout, source),
+        status: "created",
+        results: {},
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+  } catch (err) {
+    logger.error("Opening payment attempt failed", {
+      checkoutId: checkout.id,
+      err,
+    });
+  }
+}
+
+/**
+ * Record a result for `checkout` (which needs at least its `id`). Never
+ * throws, for the same reason as openAttempt.
+ */
+async function recordAttemptResult({ checkout, payment, source }) {
+  if (!checkout?.id || !payment) return;
+  const { code, group, outcome } = classifyResult(payment);
+  const status = STATUS_FOR_OUTCOME[outcome];
+  const result = {
+    transactionId: payment.id || null,
+    paymentBrand: resolvePaymentBrand(payment),
+    cardBin: payment.card?.bin || null,
+    resultCode: code,
+    resultDescription: payment.result?.description || null,
+    reason: group,
+    outcome,
+    threeDSecure: {
+      outcome: threeDSecureOutcome(payment),
+      eci: payment.threeDSecure?.eci || null,
+      version: payment.threeDSecure?.version || null,
+    },
+    source: source || null,
+    receivedAt: new Date(),
+  };
+
+  const ref = attempts().doc(checkout.id);
+  try {
+    await db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      const current = snap.exists ? snap.data() : null;
+      const key = resultKey(payment.id || code);
+      if (current?.results?.[key]) return;
+
+      const latest =
+        !current || STATUS_RANK[status] >= STATUS_RANK[current.status];
+      t.set(
+        ref,
+        {
+          // Checkouts from before attempts were recorded get one now.
+          ...(current
+            ? {}
+            : {
+                ...fromCheckout(checkout, source),
+                createdAt: checkout.createdAt || new Date(),
+              }),
+          results: { [key]: result },
+          ...(latest
+            ? {
+                status,
+                transactionId: result.transactionId,
+                paymentBrand: result.paymentBrand,
+                cardBin: result.cardBin,
+                resultCode: code,
+                reason: group,
+                threeDSecure: result.threeDSecure.outcome,
+                completedAt: status === "pending" ? null : result.receivedAt,
+              }
+            : {}),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+      if (outcome === "failed") {
+        t.set(declines().doc(`${checkout.id}_${key}`), {
+          checkoutId: checkout.id,
+          transactionId: result.transactionId,
+          userId: current?.userId || checkout.userId || null,
+          cardBin: result.cardBin,
+          declinedAt: result.receivedAt,
+        });
+      }
+    });
+  } catch (err) {
+    logger.error("Recording payment attempt failed", {
+      checkoutId: checkout.id,
+      transactionId: payment.id,
+      err,
+    });
+  }
+}
+
+/** The checkout ran out without a final answer. Never throws. */
+async function expireAttempt(checkoutId) {
+  try {
+    await db.runTransaction(async (t) => {
+      const ref = attempts().doc(checkoutId);
+      const snap = await t.get(ref);
+      if (!snap.exists || STATUS_RANK[snap.data().status] > 1) return;
+      t.update(ref, {
+        status: "expired",
+        completedAt: new Date(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+  } catch (err) {
+    logger.error("Expiring payment attempt failed", { checkoutId, err });
+  }
+}
+
+const utcDay = (date) => date.toISOString().slice(0, 10);
+const addAmount = (volume, currency, amount) => {
+  const key = currency || "";
+  volume[key] = (volume[key] || 0) + (toMinorUnits(amount, currency) || 0);
+};
+const formatVolume = (volume) =>
+  Object.fromEntries(
+    Object.entries(volume).map(([currency, minor]) => [
+      currency,
+      formatAmount(minor, currency),
+    ])
+  );
+const rate = (part, whole) =>
+  whole ? Math.round((part / whole) * 10000) / 10000 : null;
+
+/**
+ * Conversion, decline reasons, brand mix and daily volumes over the UTC
+ * days from `from` to `to`, built up one attempt document (a plain object,
+ * dates as ISO strings) at a time: `add(attempt)`, then `result()`. Only
+ * the totals are kept, so a year of attempts never sits in memory.
+ */
+function attemptSummary({ from, to }) {
+  const conversion = {
+    checkouts: 0,
+    attempted: 0,
+    succeeded: 0,
+    review: 0,
+    failed: 0,
+    pending: 0,
+    expired: 0,
+    abandoned: 0,
+  };
+  const reasons = {};
+  const brands = {};
+  const days = {};
+  const dayFor = (date) =>
+    (days[date] ||= {
+      date,
+      checkouts: 0,
+      succeeded: 0,
+      failed: 0,
+      volume: {},
+    });
+  // Every day in the range, so quiet days show up as zeros.
+  for (let day = Date.parse(utcDay(from)); day <= to.getTime(); day += DAY) {
+    dayFor(utcDay(new Date(day)));
+  }
+
+  function add(attempt) {
+    const results = Object.values(attempt.results || {});
+    const paid = PAID.includes(attempt.status);
+    const day = dayFor(utcDay(new Date(attempt.createdAt)));
+    conversion.checkouts += 1;
+    day.checkouts += 1;
+
+    if (results.length) conversion.attempted += 1;
+    if (attempt.status === "succeeded") conversion.succeeded += 1;
+    else if (attempt.status === "review") conversion.review += 1;
+    else if (attempt.status === "failed") conversion.failed += 1;
+    else if (attempt.status === "expired") conversion.expired += 1;
+    else if (results.length) conversion.pending += 1;
+    else conversion.abandoned += 1;
+
+    if (paid) {
+      day.succeeded += 1;
+      addAmount(day.volume, attempt.currency, attempt.amount);
+    } else if (attempt.status === "failed") {
+      day.failed += 1;
+    }
+
+    // Every declined try counts, not just the one the attempt ended on.
+    for (const result of results) {
+      if (result.outcome !== "failed") continue;
+      const reason = (reasons[result.reason] ||= {
+        reason: result.reason,
+        count: 0,
+        codes: {},
+      });
+      reason.count += 1;
+      const code = (reason.codes[result.resultCode] ||= {
+        code: result.resultCode,
+        description: result.resultDescription,
+        count: 0,
+      });
+      code.count += 1;
+    }
+
+    if (results.length) {
+      const name = attempt.paymentBrand || "N/A";
+      const brand = (brands[name] ||= {
+        brand: name,
+        attempts: 0,
+        succeeded: 0,
+        volume: {},
+      });
+      brand.attempts += 1;
+      if (paid) {
+        brand.succeeded += 1;
+        addAmount(brand.volume, attempt.currency, attempt.amount);
+      }
+    }
+  }
+
+  function result() {
+    const declines = Object.values(reasons).reduce((n, r) => n + r.count, 0);
+    const paidCount = conversion.succeeded + conversion.review;
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      conversion: {
+        ...conversion,
+        // Paid checkouts out of all created, and out of those where the
+        // shopper actually submitted a payment.
+        conversionRate: rate(paidCount, conversion.checkouts),
+        approvalRate: rate(paidCount, conversion.attempted),
+      },
+      declineReasons: Object.values(reasons)
+        .sort((a, b) => b.count - a.count)
+        .map((r) => ({
+          reason: r.reason,
+          count: r.count,
+          share: rate(r.count, declines),
+          codes: Object.values(r.codes).sort((a, b) => b.count - a.count),
+        })),
+      brands: Object.values(brands)
+        .sort((a, b) => b.attempts - a.attempts)
+        .map((b) => ({
+          ...b,
+          approvalRate: rate(b.succeeded, b.attempts),
+          volume: formatVolume(b.volume),
+        })),
+      daily: Object.values(days)
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map((d) => ({ ...d, volume: formatVolume(d.volume) })),
+    };
+  }
+
+  return { add, result };
+}
+
+/** attemptSummary() over a whole list at once. */
+function summarizeAttempts(list, range) {
+  const summary = attemptSummary(range);
+  list.forEach(summary.add);
+  return summary.result();
+}
+
+const ANALYTICS_PAGE_SIZE = 500;
+
+/**
+ * Analytics for checkouts created in `[from, to]`, optionally one
+ * supplier's, read `pageSize` attempts at a time.
+ */
+async function paymentAnalytics({
+  from,
+  to,
+  supplierId,
+  pageSize = ANALYTICS_PAGE_SIZE,
+}) {
+  let query = attempts();
+  if (supplierId) {
+    query = query.where("supplierIds", "array-contains", supplierId);
+  }
+  query = query
+    .where("createdAt", ">=", from)
+    .where("createdAt", "<=", to)
+    .orderBy("createdAt")
+    .limit(pageSize);
+
+  const summary = attemptSummary({ from, to });
+  let page;
+  let last = null;
+  do {
+    page = await (last ? query.startAfter(last) : query).get();
+    page.docs.forEach((doc) => summary.add(toPlain(doc.data())));
+    last = page.docs[page.size - 1];
+  } while (page.size === pageSize);
+  return summary.result();
+}
+
+/**
+ * How many declined tries with `field` (`userId` or `cardBin`) equal to
+ * `value` there were since `since`, counting no further than `limit`.
+ * Every try counts, however many were made on one checkout.
+ */
+async function countRecentDeclines(field, value, { since, limit }) {
+  const snap = await declines()
+    .where(field, "==", value)
+    .where("declinedAt", ">=", since)
+    .limit(limit)
+    .get();
+  return snap.size;
+}
+
+module.exports = {
+  openAttempt,
+  recordAttemptResult,
+  expireAttempt,
+  paymentAnalytics,
+  summarizeAttempts,
+  threeDSecureOutcome,
+  countRecentDeclines,
+};
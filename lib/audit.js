@@ -0,0 +1,37 @@
+// lib/audit.js — who looked at or changed what, for back-office routes
+
+const { admin, db } = require("./firebase");
+const { logger } = require("./logger");
+
+const ROLES = ["admin", "support", "supplier"];
+
+/**
+ * Append an entry to the `auditLogs` collection. `req.user` is the decoded
+ * Firebase token set by requireAuth. Failures are logged, never thrown:
+ * an audit hiccup must not break the action being audited.
+ */
+async function recordAudit(
+  req,
+  action,
+  { targetType, targetId, details } = {}
+) {
+  try {
+    await db.collection("auditLogs").add({
+      action,
+      actorUid: req.user?.uid || null,
+      actorEmail: req.user?.email || null,
+      actorRoles: ROLES.filter((role) => req.user?.[role] === true),
+      targetType: targetType || null,
+      targetId: targetId || null,
+      details: details || null,
+      ip: req.ip || null,
+      method: req.method,
+      path: req.originalUrl,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (err) {
+    logger.error("Writing audit log failed", { action, err });
+  }
+}
+
+module.exports = { recordAudit };
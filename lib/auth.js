@@ -0,0 +1,35 @@
+// lib/auth.js — Firebase ID-token authentication for protected routes
+
+const { admin } = require("./firebase");
+
+/**
+ * Verify the `Authorization: Bearer <Firebase ID token>` header and expose
+ * the decoded token (uid, email, custom claims) as `req.user`.
+ */
+async function requireAuth(req, res, next) {
+  const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+  if (!match) {
+    return res.status(401).json({ error: "Missing bearer token" });
+  }
+
+  try {
+    req.user = await admin.auth().verifyIdToken(match[1]);
+    return next();
+  } catch (err) {
+    return res.status(401).json({ error: "Invalid or expired token" });
+  }
+}
+
+/**
+ * Allow the request through only if the caller carries at least one of the
+ * given custom claims, e.g. `requireRole("admin", "support")` for a user
+ * whose claims were set to `{ support: true }`.
+ */
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (roles.some((role) => req.user?.[role] === true)) return next();
+    return res.status(403).json({ error: "Insufficient permissions" });
+  };
+
+module.exports = { requireAuth, requireRole };
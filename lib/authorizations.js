@@ -0,0 +1,259 @@
+// lib/authorizations.js — pre-authorized (PA) orders: capture, void, expiry
+//
+// While HyperPay is asked to capture or void, the order is `Capturing` or
+// `Voiding`. If the call gets no answer it stays that way until the
+// reconciler finds the operation by its merchantTransactionId.
+//
+// A partial capture leaves the rest of the authorization held on the
+// buyer's card until the issuer lets it lapse (typically within 7 to 30
+// days); HyperPay can't release part of a PA. The order keeps that amount
+// as `uncapturedAmount`.
+
+const { admin, db } = require("./firebase");
+const { toMinorUnits, formatAmount } = require("./money");
+const { config } = require("./config");
+const {
+  loadCommissionRules,
+  buildSaleEntries,
+  ledgerEntries,
+} = require("./ledger");
+const { issueInvoice, issueQuietly } = require("./invoices");
+const { emitEvent } = require("./events");
+
+const DEFAULT_PAYMENT_TYPE = config.hyperpay.defaultPaymentType;
+const AUTH_EXPIRY_DAYS = config.authorizations.expiryDays;
+
+class AuthorizationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Suppliers that confirm stock before taking money set
+ * `requiresConfirmation: true` on their `suppliers/{id}` document; their
+ * checkouts only pre-authorize (PA) and are captured later.
+ *
+ * A checkout spanning several suppliers is always a debit (DB): one
+ * authorization can't be captured or voided piecemeal per supplier, so a
+ * supplier that needs to confirm first must be checked out on its own.
+ */
+async function resolvePaymentType(supplierIds) {
+  const ids = [].concat(supplierIds);
+  const snaps = await Promise.all(
+    ids.map((id) => db.collection("suppliers").doc(id).get())
+  );
+  const confirming = ids.filter(
+    (id, i) => snaps[i].exists && snaps[i].data().requiresConfirmation === true
+  );
+
+  if (ids.length === 1) {
+    return confirming.length ? "PA" : DEFAULT_PAYMENT_TYPE;
+  }
+  if (confirming.length) {
+    throw new AuthorizationError(
+      `Supplier ${confirming.join(
+        ", "
+      )} confirms stock before payment; check out their items separately`,
+      409
+    );
+  }
+  return "DB";
+}
+
+const canManage = (order, user) =>
+  user?.admin === true ||
+  (user?.supplier === true && order.supplierId === user.uid);
+
+/**
+ * Lock an `Authorized` order for a capture or void so a second request
+ * can't race it to HyperPay. Omitting `amount` captures everything that
+ * was authorized.
+ *
+ * Resolves to `{ order, amount, merchantTransactionId }`.
+ */
+async function beginOperation({ orderId, operation, amount, user }) {
+  const orderRef = db.collection("orders").doc(orderId);
+
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(orderRef);
+    if (!snap.exists) throw new AuthorizationError("Order not found", 404);
+
+    const order = snap.data();
+    const { currency } = order;
+    if (user && !canManage(order, user)) {
+      throw new AuthorizationError("Not allowed to manage this order", 403);
+    }
+    if (order.orderStatus !== "Authorized") {
+      throw new AuthorizationError(
+        `Order is ${order.orderStatus}, not Authorized`,
+        409
+      );
+    }
+
+    const authorized = toMinorUnits(order.authorizedAmount, currency);
+    let requested = authorized;
+    if (operation === "capture" && amount != null && amount !== "") {
+      requested = toMinorUnits(amount, currency);
+      if (!Number.isFinite(requested) || requested <= 0) {
+        throw new AuthorizationError(
+          "Capture amount must be a positive number"
+        );
+      }
+      if (requested > authorized) {
+        throw new AuthorizationError(
+          `Capture of ${formatAmount(
+            requested,
+            currency
+          )} exceeds the authorized ` + `${order.authorizedAmount}`
+        );
+      }
+    }
+
+    const merchantTransactionId = `${operation}_${orderId}_${Date.now()}`;
+    t.update(orderRef, {
+      orderStatus: operation === "capture" ? "Capturing" : "Voiding",
+      pendingOperationBy: user?.uid || "system",
+      pendingOperationAt: admin.firestore.FieldValue.serverTimestamp(),
+      pendingOperationAmount: formatAmount(requested, currency),
+      pendingOperationId: merchantTransactionId,
+    });
+
+    return {
+      order,
+      amount: formatAmount(requested, currency),
+      merchantTransactionId,
+    };
+  });
+}
+
+/**
+ * Record HyperPay's answer for a capture or void started with
+ * beginOperation. A failed capture/void puts the order back to
+ * `Authorized`; voiding an expired authorization ends in `Expired`. A
+ * successful capture is when the sale reaches the supplier ledger and
+ * the order is invoiced, with whatever wasn't captured recorded as
+ * `uncapturedAmount`. An order no longer `Capturing` or `Voiding` has
+ * been completed already and is left alone.
+ */
+async function completeOperation({
+  orderId,
+  operation,
+  amount,
+  succeeded,
+  response,
+  expired = false,
+}) {
+  const orderRef = db.collection("orders").doc(orderId);
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const result = {
+    code: response?.result?.code || null,
+    description: response?.result?.description || null,
+  };
+
+  let update;
+  if (!succeeded && !expired) {
+    update = { orderStatus: "Authorized", lastOperationError: result };
+  } else if (operation === "capture") {
+    update = {
+      orderStatus: "Paid",
+      totalAmount: amount,
+      capturedAmount: amount,
+      captureTransactionId: response.id,
+      capturedAt: now,
+    };
+  } else {
+    // An expired authorization lapses at the issuer even if our void
+    // fails, so it is closed either way.
+    update = {
+      orderStatus: expired ? "Expired" : "Voided",
+      voidTransactionId: response?.id || null,
+      voidedAt: now,
+      ...(succeeded ? {} : { lastOperationError: result }),
+    };
+  }
+
+  const { order, completed } = await db.runTransaction(async (t) => {
+    const current = (await t.get(orderRef)).data();
+    if (!["Capturing", "Voiding"].includes(current.orderStatus)) {
+      return { order: current, completed: false };
+    }
+    let sale = null;
+    if (succeeded && operation === "capture") {
+      update.uncapturedAmount = formatAmount(
+        toMinorUnits(current.authorizedAmount, current.currency) -
+          toMinorUnits(amount, current.currency),
+        current.currency
+      );
+      const rateFor = await loadCommissionRules([current.supplierId], (ref) =>
+        t.get(ref)
+      );
+      [sale] = buildSaleEntries({
+        paymentId: current.paymentId || current.transactionId,
+        transactionId: response.id,
+        currency: current.currency,
+        exchangeRate: current.exchangeRate,
+        orders: [
+          {
+            orderId,
+            supplierId: current.supplierId,
+            items: current.items,
+            amount,
+            orderTotal: current.authorizedAmount,
+          },
+        ],
+        rateFor,
+      });
+    }
+
+    t.update(orderRef, {
+      ...update,
+      pendingOperationBy: admin.firestore.FieldValue.delete(),
+      pendingOperationAt: admin.firestore.FieldValue.delete(),
+      pendingOperationAmount: admin.firestore.FieldValue.delete(),
+      pendingOperationId: admin.firestore.FieldValue.delete(),
+    });
+    if (sale) t.set(ledgerEntries().doc(sale.id), sale.entry);
+    return { order: current, completed: true };
+  });
+
+  if (completed && (succeeded || expired)) {
+    if (operation === "capture") await issueQuietly(issueInvoice, orderId);
+    await emitEvent(
+      operation === "capture" ? "order.captured" : "order.voided",
+      {
+        orderId,
+        paymentId: order.paymentId || order.transactionId || null,
+        userId: order.userId,
+        userEmail: order.userEmail || null,
+        supplierId: order.supplierId,
+        amount: operation === "capture" ? amount : order.authorizedAmount,
+        currency: order.currency || null,
+        orderStatus: update.orderStatus,
+      },
+      { key: orderId }
+    );
+  }
+  return update;
+}
+
+/** Orders still `Authorized` after AUTH_EXPIRY_DAYS. */
+async function findExpiredAuthorizations(now = new Date()) {
+  const cutoff = new Date(now.getTime() - AUTH_EXPIRY_DAYS * 86400000);
+  const snap = await db
+    .collection("orders")
+    .where("orderStatus", "==", "Authorized")
+    .where("authorizedAt", "<", cutoff)
+    .get();
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+module.exports = {
+  resolvePaymentType,
+  beginOperation,
+  completeOperation,
+  findExpiredAuthorizations,
+  AuthorizationError,
+  AUTH_EXPIRY_DAYS,
+};
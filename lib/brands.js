@@ -0,0 +1,43 @@
+// lib/brands.js — brand-specific checkout parameters and result normalization
+
+const WALLET_BRANDS = ["APPLEPAY", "STC_PAY"];
+
+const { config } = require("./config");
+
+/**
+ * Card-only features (3DS2 test scenarios, standing instructions,
+ * tokenization) don't apply when the checkout offers a wallet.
+ */
+const isWalletCheckout = (brands) =>
+  brands.some((brand) => WALLET_BRANDS.includes(brand));
+
+/** Extra create-checkout fields required by the wallets in `brands`. */
+function brandParameters(brands, { mobile, merchantTransactionId }) {
+  const params = {};
+
+  if (brands.includes("STC_PAY")) {
+    if (mobile) params["customer.mobile"] = mobile;
+    // STC Pay identifies the point of sale through these custom parameters.
+    params["customParameters[branch_id]"] = config.stcPay.branchId;
+    params["customParameters[teller_id]"] = config.stcPay.tellerId;
+    params["customParameters[device_id]"] = config.stcPay.deviceId;
+    params["customParameters[bill_number]"] = merchantTransactionId;
+  }
+
+  return params;
+}
+
+/**
+ * The brand the shopper actually paid with. HyperPay reports it as
+ * `paymentBrand` for cards and wallets alike (Apple Pay → "APPLEPAY",
+ * STC Pay → "STC_PAY"); `card.brand` is only a fallback.
+ */
+const resolvePaymentBrand = (payment) =>
+  (payment?.paymentBrand || payment?.card?.brand || "N/A").toUpperCase();
+
+module.exports = {
+  WALLET_BRANDS,
+  isWalletCheckout,
+  brandParameters,
+  resolvePaymentBrand,
+};
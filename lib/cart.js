@@ -0,0 +1,142 @@
+// lib/cart.js — server-side view of a buyer's cart, split by supplier
+
+const { db } = require("./firebase");
+const { toMinorUnits, formatAmount } = require("./money");
+const { convertAmount } = require("./exchange-rates");
+
+const { config } = require("./config");
+
+const VAT_RATE = config.vatRate;
+
+class CartError extends Error {}
+
+/**
+ * Total a list of cart items: price × quantity per line plus the line's
+ * shippingCost, with VAT_RATE applied on top of goods and shipping.
+ * All figures come back as HyperPay-formatted strings in `currency`.
+ */
+function calculateTotals(items, vatRate = VAT_RATE, currency) {
+  let subtotal = 0;
+  let shipping = 0;
+
+  for (const item of items) {
+    const price = toMinorUnits(item.price, currency);
+    const quantity = Number(item.quantity);
+    const shippingCost = toMinorUnits(item.shippingCost || 0, currency);
+    if (
+      !Number.isFinite(price) ||
+      price < 0 ||
+      !Number.isInteger(quantity) ||
+      quantity <= 0 ||
+      !Number.isFinite(shippingCost) ||
+      shippingCost < 0
+    ) {
+      throw new CartError(
+        `Invalid price, quantity or shipping on cart item ${
+          item.productId || item.name || "(unknown)"
+        }`
+      );
+    }
+    subtotal += price * quantity;
+    shipping += shippingCost;
+  }
+
+  const vat = Math.round((subtotal + shipping) * vatRate);
+  return {
+    subtotal: formatAmount(subtotal, currency),
+    shipping: formatAmount(shipping, currency),
+    vat: formatAmount(vat, currency),
+    total: formatAmount(subtotal + shipping + vat, currency),
+  };
+}
+
+/**
+ * Add up several totals objects field by field, in minor units so the
+ * sum matches what each part would charge on its own.
+ */
+function sumTotals(list, currency) {
+  const sum = { subtotal: 0, shipping: 0, vat: 0, total: 0 };
+  for (const totals of list) {
+    for (const key of Object.keys(sum)) {
+      sum[key] += toMinorUnits(totals[key], currency);
+    }
+  }
+  return {
+    subtotal: formatAmount(sum.subtotal, currency),
+    shipping: formatAmount(sum.shipping, currency),
+    vat: formatAmount(sum.vat, currency),
+    total: formatAmount(sum.total, currency),
+  };
+}
+
+/**
+ * Load the items a buyer has in their cart, grouped by supplier. Passing
+ * `supplierId` limits it to that supplier's items.
+ *
+ * Each supplier is totalled on its own (VAT is rounded per supplier) and
+ * the cart total is the sum of those, so splitting the payment into one
+ * order per supplier later never leaves a halala unaccounted for.
+ *
+ * Prices are kept in the base currency. With an `exchangeRate` snapshot
+ * (see lib/exchange-rates.js) for another currency, each item's price and
+ * shippingCost are converted before totalling, the base-currency figures
+ * staying on the item as basePrice/baseShippingCost.
+ *
+ * Resolves to `{ items, itemIds, totals, supplierIds, suppliers }` where
+ * `suppliers[id]` is `{ items, cartItemIds, totals }`.
+ */
+async function loadCart(userId, supplierId, exchangeRate = null) {
+  let query = db.collection("carts").doc(userId).collection("items");
+  if (supplierId) query = query.where("supplierId", "==", supplierId);
+  const snap = await query.get();
+
+  const currency = exchangeRate?.currency;
+  const converted = exchangeRate && exchangeRate.rate !== 1;
+  const items = snap.docs.map((doc) => {
+    const item = doc.data();
+    if (!converted) return item;
+    return {
+      ...item,
+      price: convertAmount(item.price, exchangeRate),
+      shippingCost: convertAmount(item.shippingCost || 0, exchangeRate),
+      basePrice: item.price,
+      baseShippingCost: item.shippingCost || 0,
+    };
+  });
+
+  const suppliers = {};
+  snap.docs.forEach((doc, i) => {
+    const item = items[i];
+    if (!item.supplierId) {
+      throw new CartError(`Cart item ${doc.id} has no supplierId`);
+    }
+    const group = (suppliers[item.supplierId] ||= {
+      items: [],
+      cartItemIds: [],
+    });
+    group.items.push(item);
+    group.cartItemIds.push(doc.id);
+  });
+  for (const group of Object.values(suppliers)) {
+    group.totals = calculateTotals(group.items, VAT_RATE, currency);
+  }
+
+  return {
+    items,
+    itemIds: snap.docs.map((d) => d.id),
+    totals: sumTotals(
+      Object.values(suppliers).map((g) => g.totals),
+      currency
+    ),
+    supplierIds: Object.keys(suppliers),
+    suppliers,
+  };
+}
+
+module.exports = {
+  loadCart,
+  calculateTotals,
+  sumTotals,
+  CartError,
+  VAT_RATE,
+};
@@ -0,0 +1,109 @@
+// lib/checkouts.js — the `checkouts` records written at checkout time
+
+const { db } = require("./firebase");
+
+/**
+ * Find the checkout record a HyperPay payment belongs to. COPYandPAY
+ * records are keyed by checkout id (the payment's `ndc`); server-to-server
+ * charges are keyed by their merchantTransactionId.
+ *
+ * Resolves to `{ id, ...record }` or null.
+ */
+async function findCheckoutForPayment(payment) {
+  const checkouts = db.collection("checkouts");
+
+  if (payment.ndc) {
+    const snap = await checkouts.doc(payment.ndc).get();
+    if (snap.exists) return { id: snap.id, ...snap.data() };
+  }
+
+  if (payment.merchantTransactionId) {
+    const snap = await checkouts
+      .where("merchantTransactionId", "==", payment.merchantTransactionId)
+      .limit(1)
+      .get();
+    if (!snap.empty) return { id: snap.docs[0].id, ...snap.docs[0].data() };
+  }
+
+  return null;
+}
+
+/** `/v1/checkouts/{id}/payment` → `{id}`, or null for other paths. */
+const checkoutIdFromResourcePath = (resourcePath) =>
+  /^\/v1\/checkouts\/([^/]+)\/payment$/.exec(resourcePath || "")?.[1] || null;
+
+/** Resolves to `{ id, ...record }` or null. */
+async function getCheckout(checkoutId) {
+  if (!checkoutId) return null;
+  const snap = await db.collection("checkouts").doc(checkoutId).get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+/**
+ * The cart fields a checkout record keeps so finalization can split the
+ * payment per supplier exactly as it was priced. `supplierId` is only set
+ * when the cart holds a single supplier.
+ */
+const cartBinding = (cart) => ({
+  supplierId: cart.supplierIds.length === 1 ? cart.supplierIds[0] : null,
+  supplierIds: cart.supplierIds,
+  suppliers: cart.suppliers,
+  totals: cart.totals,
+});
+
+const CUSTOMER_FIELDS = [
+  "name",
+  "email",
+  "street",
+  "city",
+  "state",
+  "country",
+  "postcode",
+];
+
+/**
+ * The first shopper or billing field in a request body that is set but
+ * isn't a string, or null. Check it before customerParameters().
+ */
+const invalidCustomerField = (body) =>
+  CUSTOMER_FIELDS.find(
+    (field) => body[field] != null && typeof body[field] !== "string"
+  ) || null;
+
+/**
+ * The shopper and billing fields of a COPYandPAY checkout, from the
+ * request body. HyperPay wants a full billing address, so missing parts
+ * get Riyadh placeholders.
+ */
+const customerParameters = ({
+  email,
+  name,
+  street,
+  city,
+  state,
+  country,
+  postcode,
+}) => ({
+  "customer.email": (email || "").trim() || "buyer@example.com",
+  "customer.givenName": name.trim(),
+  "customer.surname": name.trim(),
+  "billing.street1": street || "King Fahad Road",
+  "billing.city": city || "Riyadh",
+  "billing.state": state || "Riyadh",
+  "billing.country": country || "SA",
+  "billing.postcode": postcode || "12345",
+});
+
+/** Suppliers a checkout pays for, including records from before splitting. */
+const checkoutSupplierIds = (checkout) =>
+  checkout.supplierIds || (checkout.supplierId ? [checkout.supplierId] : []);
+
+module.exports = {
+  cartBinding,
+  customerParameters,
+  invalidCustomerField,
+  checkoutSupplierIds,
+  findCheckoutForPayment,
+  checkoutIdFromResourcePath,
+  getCheckout,
+};
@@ -0,0 +1,408 @@
+// lib/config.js — every setting the backend reads from the environment
+
+require("dotenv").config();
+const path = require("path");
+
+const HOSTS = {
+  test: "https://eu-test.oppwa.com",
+  prod: "https://eu-prod.oppwa.com",
+};
+
+// Force a 3DS2 challenge on the test host. Never sent in production.
+const TEST_PARAMETERS = {
+  "customParameters[3DS2_enrolled]": "true",
+  "customParameters[3DS2_scenario]": "02",
+};
+
+// Unset means "test", so an .env from before HYPERPAY_ENV still starts;
+// production deployments have to say "prod".
+const env = (process.env.HYPERPAY_ENV || "test").trim().toLowerCase();
+
+const trimmed = (value) => (value || "").trim();
+
+// HYPERPAY_TEST_ACCESS_TOKEN / HYPERPAY_PROD_ACCESS_TOKEN (and likewise for
+// entity ids and the webhook secret) win over the unprefixed variable, so
+// one .env can hold both sets and HYPERPAY_ENV picks between them.
+const hyperpayVar = (name) =>
+  trimmed(
+    process.env[`HYPERPAY_${env.toUpperCase()}_${name}`] ||
+      process.env[`HYPERPAY_${name}`]
+  );
+
+const numberVar = (name, fallback) => {
+  const raw = process.env[name];
+  return raw === undefined || raw === "" ? fallback : Number(raw);
+};
+
+const originOf = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+};
+
+const frontendUrl = process.env.FRONTEND_URL || "https://marsos.sa";
+const publicUrl = trimmed(process.env.PUBLIC_URL).replace(/\/+$/, "");
+
+const config = {
+  env,
+  envDefaulted: !process.env.HYPERPAY_ENV,
+  port: numberVar("PORT", 5002),
+  frontendUrl,
+  // Where this backend is reachable from browsers; HyperPay sends shoppers
+  // from the hosted payment page back to PUBLIC_URL/api/payment-status.
+  publicUrl,
+  // Browser origins allowed to call the API; FRONTEND_URL's and
+  // PUBLIC_URL's unless CORS_ORIGINS lists them.
+  corsOrigins: process.env.CORS_ORIGINS
+    ? process.env.CORS_ORIGINS.split(",")
+        .map((origin) => origin.trim().replace(/\/+$/, ""))
+        .filter(Boolean)
+    : [frontendUrl, publicUrl].map(originOf).filter(Boolean),
+  // Proxies (load balancer, CDN) in front of the server, so req.ip and the
+  // per-IP limits see the client's address rather than the proxy's.
+  trustProxyHops: numberVar("TRUST_PROXY_HOPS", 0),
+  // CURRENCY is what prices are kept in; buyers may pay in any of
+  // CURRENCIES at the rates set through /api/admin/exchange-rates.
+  currency: process.env.CURRENCY || "SAR",
+  currencies: (process.env.CURRENCIES || process.env.CURRENCY || "SAR")
+    .split(",")
+    .map((code) => code.trim().toUpperCase())
+    .filter(Boolean),
+  exchangeRates: {
+    // Refuse to convert at rates nobody has updated for this long.
+    maxAgeHours: numberVar("EXCHANGE_RATE_MAX_AGE_HOURS", 48),
+  },
+  // Required: every total and tax invoice is computed with it.
+  vatRate: numberVar("VAT_RATE", null),
+
+  hyperpay: {
+    // Only for HYPERPAY_ENV=test: point at a local stand-in such as the
+    // fake server the end-to-end tests run (test/support/fake-hyperpay.js).
+    host: trimmed(process.env.HYPERPAY_HOST) || HOSTS[env],
+    accessToken: hyperpayVar("ACCESS_TOKEN"),
+    entityIds: {
+      default: hyperpayVar("ENTITY_ID"),
+      MADA: hyperpayVar("ENTITY_ID_MADA"),
+      APPLEPAY: hyperpayVar("ENTITY_ID_APPLEPAY"),
+      STC_PAY: hyperpayVar("ENTITY_ID_STC_PAY"),
+    },
+    webhookSecret: hyperpayVar("WEBHOOK_SECRET"),
+    defaultPaymentType: process.env.HYPERPAY_PAYMENT_TYPE || "DB",
+    timeoutMs: numberVar("HYPERPAY_TIMEOUT_MS", 15000),
+    maxRetries: numberVar("HYPERPAY_MAX_RETRIES", 2),
+    testParameters: env === "test" ? TEST_PARAMETERS : {},
+    // HyperPay closes the merchant's day at midnight in this time zone;
+    // payments can only be reversed (RV) until then.
+    settlementTimeZone:
+      trimmed(process.env.HYPERPAY_SETTLEMENT_TIME_ZONE) || "Asia/Riyadh",
+  },
+
+  authorizations: {
+    expiryDays: numberVar("AUTH_EXPIRY_DAYS", 7),
+    sweepIntervalMs: numberVar("AUTH_SWEEP_INTERVAL_MS", 60 * 60 * 1000),
+  },
+
+  reconciler: {
+    intervalMs: numberVar("RECONCILE_INTERVAL_MS", 10 * 60 * 1000),
+    // Leave checkouts alone while the shopper may still be paying.
+    minAgeMinutes: numberVar("RECONCILE_MIN_AGE_MINUTES", 15),
+    // COPYandPAY checkouts lapse after 30 minutes; give them some slack.
+    expireAfterMinutes: numberVar("RECONCILE_EXPIRE_AFTER_MINUTES", 60),
+  },
+
+  subscriptions: {
+    // Scheduler charging subscriptions whose billing period has ended.
+    billingIntervalMs: numberVar(
+      "SUBSCRIPTION_BILLING_INTERVAL_MS",
+      15 * 60 * 1000
+    ),
+    // Dunning: days to wait before each retry of a declined renewal. Once
+    // every retry has been declined the subscription is canceled.
+    retryDays: (process.env.SUBSCRIPTION_RETRY_DAYS || "1,3,7")
+      .split(",")
+      .map((days) => days.trim())
+      .filter(Boolean)
+      .map(Number),
+  },
+
+  abuse: {
+    // Fixed-window limits on the payment routes, counted per server.
+    rateLimitWindowMs: numberVar("RATE_LIMIT_WINDOW_MS", 60 * 1000),
+    maxRequestsPerIp: numberVar("RATE_LIMIT_PER_IP", 30),
+    maxRequestsPerUser: numberVar("RATE_LIMIT_PER_USER", 10),
+    // Velocity: stop taking payments from a user, or on a card BIN, after
+    // this many declines within the window.
+    velocityWindowMinutes: numberVar("VELOCITY_WINDOW_MINUTES", 60),
+    maxDeclinesPerUser: numberVar("VELOCITY_MAX_DECLINES_PER_USER", 5),
+    maxDeclinesPerBin: numberVar("VELOCITY_MAX_DECLINES_PER_BIN", 10),
+    // Largest payment in CURRENCY per user tier (the `tier` custom claim),
+    // e.g. "default:5000,verified:50000". Users without a listed tier get
+    // "default"; with no "default" they have no ceiling.
+    amountCeilings: Object.fromEntries(
+      (process.env.PAYMENT_CEILINGS || "")
+        .split(",")
+        .map((pair) => pair.split(":").map((part) => part.trim()))
+        .filter(([tier]) => tier)
+    ),
+  },
+
+  ledger: {
+    // Marketplace commission on goods when neither the supplier nor the
+    // item's category has its own rate (see lib/ledger.js).
+    commissionRate: numberVar("LEDGER_COMMISSION_RATE", 0.1),
+    // What HyperPay charges per payment: a percentage plus a fixed fee.
+    gatewayFeeRate: numberVar("LEDGER_GATEWAY_FEE_RATE", 0),
+    gatewayFeeFixed: process.env.LEDGER_GATEWAY_FEE_FIXED || "0.00",
+  },
+
+  invoices: {
+    // Seller of record when a supplier has no VAT registration of its own.
+    sellerName: process.env.INVOICE_SELLER_NAME || "Marsos",
+    sellerVatNumber: trimmed(process.env.INVOICE_SELLER_VAT_NUMBER),
+    sellerAddress: process.env.INVOICE_SELLER_ADDRESS || "",
+    // A TTF/OTF with Arabic glyphs; without one PDFs are English only.
+    fontFile: process.env.INVOICE_FONT_FILE
+      ? path.resolve(process.env.INVOICE_FONT_FILE)
+      : null,
+  },
+
+  firebase: {
+    // PDFs (invoices, credit notes) are kept in Cloud Storage.
+    storageBucket: trimmed(process.env.FIREBASE_STORAGE_BUCKET),
+  },
+
+  events: {
+    // Outbox worker: retries failed email/webhook deliveries with backoff.
+    deliveryIntervalMs: numberVar("EVENT_DELIVERY_INTERVAL_MS", 60 * 1000),
+    maxAttempts: numberVar("EVENT_MAX_ATTEMPTS", 8),
+    retryBaseMs: numberVar("EVENT_RETRY_BASE_MS", 30 * 1000),
+    // Internal services that receive every event, signed with the secret.
+    webhookUrls: (process.env.EVENT_WEBHOOK_URLS || "")
+      .split(",")
+      .map((url) => url.trim())
+      .filter(Boolean),
+    webhookSecret: trimmed(process.env.EVENT_WEBHOOK_SECRET),
+    webhookTimeoutMs: numberVar("EVENT_WEBHOOK_TIMEOUT_MS", 10000),
+  },
+
+  email: {
+    // No SMTP_HOST, no emails.
+    smtp: {
+      host: trimmed(process.env.SMTP_HOST),
+      port: numberVar("SMTP_PORT", 587),
+      secure: process.env.SMTP_SECURE === "true",
+      user: trimmed(process.env.SMTP_USER),
+      pass: process.env.SMTP_PASS || "",
+    },
+    from: process.env.EMAIL_FROM || "Marsos <no-reply@marsos.sa>",
+    defaultLocale: process.env.EMAIL_DEFAULT_LOCALE || "ar",
+  },
+
+  log: {
+    // debug | info | warn | error | silent
+    level: trimmed(process.env.LOG_LEVEL).toLowerCase() || "info",
+  },
+
+  stcPay: {
+    branchId: process.env.STC_PAY_BRANCH_ID || "1",
+    tellerId: process.env.STC_PAY_TELLER_ID || "1",
+    deviceId: process.env.STC_PAY_DEVICE_ID || "1",
+  },
+
+  applePay: {
+    domainAssociationFile: path.resolve(
+      process.env.APPLE_PAY_DOMAIN_ASSOCIATION_FILE ||
+        "apple-developer-merchantid-domain-association"
+    ),
+  },
+};
+
+class ConfigError extends Error {}
+
+/**
+ * Check the settings the server cannot run without and report every
+ * problem at once, so a bad deploy fails at startup rather than on the
+ * first payment.
+ */
+function validateConfig(c = config) {
+  const problems = [];
+  const prefix = `HYPERPAY_${c.env.toUpperCase()}_`;
+
+  if (!HOSTS[c.env]) {
+    problems.push(
+      `HYPERPAY_ENV must be "test" or "prod" (got "${c.env || ""}")`
+    );
+  } else {
+    if (!c.hyperpay.accessToken) {
+      problems.push(
+        `${prefix}ACCESS_TOKEN (or HYPERPAY_ACCESS_TOKEN) is not set`
+      );
+    }
+    if (!c.hyperpay.entityIds.default) {
+      problems.push(`${prefix}ENTITY_ID (or HYPERPAY_ENTITY_ID) is not set`);
+    }
+  }
+
+  if (c.hyperpay.host !== HOSTS[c.env] && c.env !== "test") {
+    problems.push(
+      "HYPERPAY_HOST can only be overridden with HYPERPAY_ENV=test"
+    );
+  }
+  if (
+    c.hyperpay.webhookSecret &&
+    !/^[0-9a-f]{64}$/i.test(c.hyperpay.webhookSecret)
+  ) {
+    problems.push("HYPERPAY_WEBHOOK_SECRET must be 64 hex characters");
+  }
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: c.hyperpay.settlementTimeZone });
+  } catch {
+    problems.push(
+      `HYPERPAY_SETTLEMENT_TIME_ZONE must be an IANA time zone such as Asia/Riyadh (got "${c.hyperpay.settlementTimeZone}")`
+    );
+  }
+  if (!["DB", "PA"].includes(c.hyperpay.defaultPaymentType)) {
+    problems.push('HYPERPAY_PAYMENT_TYPE must be "DB" or "PA"');
+  }
+  for (const code of c.currencies) {
+    if (!/^[A-Z]{3}$/.test(code)) {
+      problems.push(`CURRENCIES has an invalid currency code: ${code}`);
+    }
+  }
+  if (!c.currencies.includes(c.currency)) {
+    problems.push(`CURRENCIES must include CURRENCY (${c.currency})`);
+  }
+  if (!(c.exchangeRates.maxAgeHours > 0)) {
+    problems.push("EXCHANGE_RATE_MAX_AGE_HOURS must be a positive number");
+  }
+  if (c.vatRate === null) {
+    problems.push("VAT_RATE is required (0.15 in Saudi Arabia)");
+  } else if (!(c.vatRate >= 0 && c.vatRate < 1)) {
+    problems.push("VAT_RATE must be a fraction such as 0.15");
+  }
+  if (!(c.port > 0)) problems.push("PORT must be a positive number");
+  for (const origin of c.corsOrigins) {
+    if (originOf(origin) !== origin) {
+      problems.push(
+        `CORS_ORIGINS entries must be origins such as https://marsos.sa (got "${origin}")`
+      );
+    }
+  }
+  if (!(Number.isInteger(c.trustProxyHops) && c.trustProxyHops >= 0)) {
+    problems.push("TRUST_PROXY_HOPS must be a whole number");
+  }
+  if (c.publicUrl && !/^https?:\/\/[^\s/]+/.test(c.publicUrl)) {
+    problems.push("PUBLIC_URL must be an http(s) URL");
+  }
+  if (!(c.hyperpay.timeoutMs > 0)) {
+    problems.push("HYPERPAY_TIMEOUT_MS must be a positive number");
+  }
+  if (
+    !(Number.isInteger(c.hyperpay.maxRetries) && c.hyperpay.maxRetries >= 0)
+  ) {
+    problems.push("HYPERPAY_MAX_RETRIES must be a whole number");
+  }
+  if (!(c.authorizations.expiryDays > 0)) {
+    problems.push("AUTH_EXPIRY_DAYS must be a positive number");
+  }
+  if (!(c.authorizations.sweepIntervalMs > 0)) {
+    problems.push("AUTH_SWEEP_INTERVAL_MS must be a positive number");
+  }
+  if (!(c.reconciler.intervalMs > 0)) {
+    problems.push("RECONCILE_INTERVAL_MS must be a positive number");
+  }
+  if (!(c.reconciler.minAgeMinutes >= 0)) {
+    problems.push("RECONCILE_MIN_AGE_MINUTES must not be negative");
+  }
+  if (!(c.reconciler.expireAfterMinutes > 0)) {
+    problems.push("RECONCILE_EXPIRE_AFTER_MINUTES must be a positive number");
+  }
+
+  for (const [name, value] of [
+    ["RATE_LIMIT_WINDOW_MS", c.abuse.rateLimitWindowMs],
+    ["RATE_LIMIT_PER_IP", c.abuse.maxRequestsPerIp],
+    ["RATE_LIMIT_PER_USER", c.abuse.maxRequestsPerUser],
+    ["VELOCITY_WINDOW_MINUTES", c.abuse.velocityWindowMinutes],
+    ["VELOCITY_MAX_DECLINES_PER_USER", c.abuse.maxDeclinesPerUser],
+    ["VELOCITY_MAX_DECLINES_PER_BIN", c.abuse.maxDeclinesPerBin],
+  ]) {
+    if (!(value > 0)) problems.push(`${name} must be a positive number`);
+  }
+  for (const [tier, ceiling] of Object.entries(c.abuse.amountCeilings)) {
+    if (!(Number(ceiling) > 0)) {
+      problems.push(
+        `PAYMENT_CEILINGS needs a positive amount for tier "${tier}", e.g. "default:5000"`
+      );
+    }
+  }
+
+  if (!(c.subscriptions.billingIntervalMs > 0)) {
+    problems.push("SUBSCRIPTION_BILLING_INTERVAL_MS must be a positive number");
+  }
+  if (!c.subscriptions.retryDays.every((days) => days > 0)) {
+    problems.push(
+      'SUBSCRIPTION_RETRY_DAYS must be positive day counts such as "1,3,7"'
+    );
+  }
+
+  if (!(c.ledger.commissionRate >= 0 && c.ledger.commissionRate < 1)) {
+    problems.push("LEDGER_COMMISSION_RATE must be a fraction such as 0.1");
+  }
+  if (!(c.ledger.gatewayFeeRate >= 0 && c.ledger.gatewayFeeRate < 1)) {
+    problems.push("LEDGER_GATEWAY_FEE_RATE must be a fraction such as 0.025");
+  }
+  if (!/^\d+(\.\d{1,2})?$/.test(c.ledger.gatewayFeeFixed)) {
+    problems.push('LEDGER_GATEWAY_FEE_FIXED must be an amount such as "1.00"');
+  }
+
+  if (!(c.events.deliveryIntervalMs > 0)) {
+    problems.push("EVENT_DELIVERY_INTERVAL_MS must be a positive number");
+  }
+  if (!(Number.isInteger(c.events.maxAttempts) && c.events.maxAttempts > 0)) {
+    problems.push("EVENT_MAX_ATTEMPTS must be a positive whole number");
+  }
+  if (!(c.events.retryBaseMs > 0)) {
+    problems.push("EVENT_RETRY_BASE_MS must be a positive number");
+  }
+  for (const url of c.events.webhookUrls) {
+    if (!/^https?:\/\/[^\s]+$/.test(url)) {
+      problems.push(`EVENT_WEBHOOK_URLS has an invalid URL: ${url}`);
+    }
+  }
+  if (c.events.webhookUrls.length && c.events.webhookSecret.length < 32) {
+    problems.push(
+      "EVENT_WEBHOOK_SECRET must be at least 32 characters when EVENT_WEBHOOK_URLS is set"
+    );
+  }
+  if (!["ar", "en"].includes(c.email.defaultLocale)) {
+    problems.push('EMAIL_DEFAULT_LOCALE must be "ar" or "en"');
+  }
+
+  if (!["debug", "info", "warn", "error", "silent"].includes(c.log.level)) {
+    problems.push(
+      'LOG_LEVEL must be one of "debug", "info", "warn", "error" or "silent"'
+    );
+  }
+
+  // Invoices with the marketplace as seller carry this in their ZATCA QR
+  // code, which is invalid without it.
+  const vatNumber = /^3\d{13}3$/;
+  if (!c.invoices.sellerVatNumber) {
+    problems.push("INVOICE_SELLER_VAT_NUMBER is required for tax invoices");
+  } else if (!vatNumber.test(c.invoices.sellerVatNumber)) {
+    problems.push(
+      "INVOICE_SELLER_VAT_NUMBER must be a 15-digit VAT number starting and ending in 3"
+    );
+  }
+
+  if (problems.length) {
+    throw new ConfigError(
+      `Invalid configuration:\n  • ${problems.join("\n  • ")}`
+    );
+  }
+  return c;
+}
+
+module.exports = { config, validateConfig, ConfigError, HOSTS };
@@ -0,0 +1,51 @@
+// lib/csp.js — Content-Security-Policy for pages embedding the HyperPay widget
+
+const crypto = require("crypto");
+
+// Apple Pay loads its JS SDK and talks to Apple's gateway; STC Pay opens
+// its confirmation step in a frame from stcpay.com.sa.
+const APPLE_PAY_SDK_ORIGIN = "https://applepay.cdn-apple.com";
+const APPLE_PAY_CONNECT_ORIGINS = [
+  "https://apple-pay-gateway.apple.com",
+  "https://*.apple.com",
+];
+const STC_PAY_ORIGIN = "https://*.stcpay.com.sa";
+
+/**
+ * Inline scripts only run with this response's `nonce`, so the payment
+ * page (routes/pay.js) needs neither 'unsafe-inline' nor 'unsafe-eval'
+ * for its own code. The widget's stylesheet and injected styles come
+ * from `widgetOrigin` and inline style attributes.
+ */
+function buildContentSecurityPolicy({ widgetOrigin, nonce }) {
+  const directives = {
+    "default-src": ["'self'"],
+    "script-src": [
+      "'self'",
+      `'nonce-${nonce}'`,
+      widgetOrigin,
+      APPLE_PAY_SDK_ORIGIN,
+    ],
+    "style-src": ["'self'", "'unsafe-inline'", widgetOrigin],
+    "font-src": ["'self'", widgetOrigin],
+    "connect-src": [
+      "'self'",
+      widgetOrigin,
+      ...APPLE_PAY_CONNECT_ORIGINS,
+      STC_PAY_ORIGIN,
+    ],
+    "frame-src": ["'self'", widgetOrigin, STC_PAY_ORIGIN],
+    "img-src": ["'self'", "data:", "https://*"],
+    "base-uri": ["'none'"],
+    "object-src": ["'none'"],
+  };
+
+  return Object.entries(directives)
+    .map(([name, sources]) => `${name} ${sources.join(" ")}`)
+    .join("; ");
+}
+
+/** A fresh nonce for one response. */
+const createNonce = () => crypto.randomBytes(16).toString("base64");
+
+module.exports = { buildContentSecurityPolicy, createNonce };
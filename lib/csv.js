@@ -0,0 +1,88 @@
+// lib/csv.js — minimal RFC 4180 CSV reading and writing for finance files
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render `rows` (plain objects) as CSV with a header line. `columns` picks
+ * and orders the keys; lines end in CRLF as spreadsheets expect.
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCell).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => escapeCell(row[c])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Parse CSV text into objects keyed by the header line. Handles quoted
+ * cells, doubled quotes, CRLF and a UTF-8 BOM. The delimiter is whichever
+ * of `,` `;` or tab appears most in the header, since exports from
+ * different back offices disagree.
+ *
+ * Each row also gets a non-enumerable `line` (1-based, header is line 1)
+ * for error reports.
+ */
+function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, "");
+  const header = source.slice(0, source.search(/\r?\n|$/));
+  const delimiter = [",", ";", "\t"].reduce((best, d) =>
+    header.split(d).length > header.split(best).length ? d : best
+  );
+
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push({ cells: record, line: recordLine });
+      record = [];
+      cell = "";
+      recordLine = ++line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || record.length) {
+    record.push(cell);
+    records.push({ cells: record, line: recordLine });
+  }
+
+  const [head, ...body] = records.filter((r) => r.cells.some((c) => c !== ""));
+  if (!head) return [];
+  const columns = head.cells.map((c) => c.trim());
+  return body.map(({ cells, line: rowLine }) => {
+    const row = Object.fromEntries(
+      columns.map((c, i) => [c, (cells[i] ?? "").trim()])
+    );
+    Object.defineProperty(row, "line", { value: rowLine });
+    return row;
+  });
+}
+
+module.exports = { toCsv, parseCsv };
@@ -0,0 +1,18 @@
+// lib/dates.js — calendar-day arguments for the finance CLIs
+
+/**
+ * `YYYY-MM-DD` → the start (or, with `endOfDay`, the last millisecond) of
+ * that UTC day. Throws on anything else.
+ */
+const parseDay = (value, endOfDay) => {
+  const date = new Date(`${value}T${endOfDay ? "23:59:59.999" : "00:00:00"}Z`);
+  if (
+    !/^\d{4}-\d{2}-\d{2}$/.test(value || "") ||
+    Number.isNaN(date.getTime())
+  ) {
+    throw new Error(`Invalid date "${value}", expected YYYY-MM-DD`);
+  }
+  return date;
+};
+
+module.exports = { parseDay };
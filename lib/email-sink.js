@@ -0,0 +1,150 @@
+// lib/email-sink.js — buyer and supplier emails for order and subscription events
+//
+// Recipients come from `users/{uid}` and `suppliers/{id}` (`email`,
+// `locale`, `name`); the buyer falls back to the email on the order.
+
+const nodemailer = require("nodemailer");
+const { db } = require("./firebase");
+const { config } = require("./config");
+const { renderEmail } = require("./email-templates");
+
+const profile = async (collection, id) => {
+  if (!id) return {};
+  const snap = await db.collection(collection).doc(id).get();
+  return snap.exists ? snap.data() : {};
+};
+
+const recipient = (key, person, fallbackEmail, template, vars) => {
+  const to = person.email || fallbackEmail;
+  if (!to) return [];
+  return [
+    {
+      key,
+      payload: {
+        to,
+        locale: person.locale || config.email.defaultLocale,
+        template,
+        vars: { name: person.name || person.companyName || "", ...vars },
+      },
+    },
+  ];
+};
+
+/** Which emails an event sends, as sink deliveries. */
+async function planEmails(event) {
+  const { data } = event;
+  const buyer = await profile("users", data.userId);
+
+  switch (event.type) {
+    case "payment.succeeded": {
+      const awaitingCapture = data.status === "Authorized";
+      const suppliers = await Promise.all(
+        data.orders.map((o) => profile("suppliers", o.supplierId))
+      );
+      return [
+        ...recipient("buyer", buyer, data.userEmail, "payment_received", {
+          paymentId: data.paymentId,
+          amount: data.amount,
+          currency: data.currency,
+          orders: data.orders,
+          awaitingCapture,
+        }),
+        ...data.orders.flatMap((o, i) =>
+          recipient(
+            `supplier-${o.supplierId}`,
+            suppliers[i],
+            null,
+            "new_order",
+            {
+              orderId: o.orderId,
+              amount: o.totalAmount,
+              currency: data.currency,
+              awaitingCapture,
+            }
+          )
+        ),
+      ];
+    }
+    case "payment.failed":
+      return recipient("buyer", buyer, data.userEmail, "payment_failed", {
+        amount: data.amount,
+        currency: data.currency,
+        description: data.result?.description,
+      });
+    case "order.captured":
+    case "order.voided":
+      return recipient(
+        "buyer",
+        buyer,
+        data.userEmail,
+        event.type === "order.captured" ? "order_confirmed" : "order_cancelled",
+        { orderId: data.orderId, amount: data.amount, currency: data.currency }
+      );
+    case "order.refunded": {
+      const supplier = await profile("suppliers", data.supplierId);
+      const vars = {
+        orderId: data.orderId,
+        amount: data.amount,
+        currency: data.currency,
+      };
+      return [
+        ...recipient("buyer", buyer, data.userEmail, "refund_issued", vars),
+        ...recipient("supplier", supplier, null, "order_refunded", vars),
+      ];
+    }
+    case "subscription.past_due":
+      return recipient(
+        "buyer",
+        buyer,
+        data.userEmail,
+        "subscription_past_due",
+        {
+          planName: data.planName,
+          amount: data.amount,
+          currency: data.currency,
+          nextChargeAt: data.nextChargeAt,
+        }
+      );
+    case "subscription.canceled":
+      return recipient(
+        "buyer",
+        buyer,
+        data.userEmail,
+        "subscription_canceled",
+        {
+          planName: data.planName,
+          reason: data.reason,
+        }
+      );
+    default:
+      return [];
+  }
+}
+
+/**
+ * A sink sending templated emails through `transport` (a nodemailer
+ * transport, or anything with `sendMail`).
+ */
+function createEmailSink({ transport, from = config.email.from }) {
+  return {
+    name: "email",
+    plan: planEmails,
+    async deliver({ to, locale, template, vars }) {
+      const { subject, text, html } = renderEmail(template, locale, vars);
+      await transport.sendMail({ from, to, subject, text, html });
+    },
+  };
+}
+
+/** The SMTP transport from config, or null when email is not configured. */
+function smtpTransport(smtp = config.email.smtp) {
+  if (!smtp.host) return null;
+  return nodemailer.createTransport({
+    host: smtp.host,
+    port: smtp.port,
+    secure: smtp.secure,
+    ...(smtp.user ? { auth: { user: smtp.user, pass: smtp.pass } } : {}),
+  });
+}
+
+module.exports = { createEmailSink, smtpTransport, planEmails };
@@ -0,0 +1,218 @@
+// lib/email-templates.js — buyer and supplier emails in Arabic and English
+
+const { config } = require("./config");
+const { escapeHtml } = require("./html");
+
+const money = (amount, currency) => `${amount} ${currency || ""}`.trim();
+// ISO timestamps are shown as their calendar day.
+const day = (iso) => String(iso || "").slice(0, 10);
+const orderList = (orders, currency) =>
+  (orders || []).map(
+    (o) => `• ${o.orderId}: ${money(o.totalAmount, currency)}`
+  );
+
+// Each template returns a subject and the body as a list of paragraphs.
+const TEMPLATES = {
+  payment_received: {
+    en: (v) => ({
+      subject: `Payment received — ${money(v.amount, v.currency)}`,
+      body: [
+        `Hello ${v.name || ""},`.trim(),
+        `We received your payment of ${money(v.amount, v.currency)}. ` +
+          `Reference: ${v.paymentId}.`,
+        v.orders?.length > 1
+          ? "Your order has been split between the following suppliers:"
+          : "Your order:",
+        ...orderList(v.orders, v.currency),
+        v.awaitingCapture
+          ? "The amount is reserved on your card and will be charged once the supplier confirms your order."
+          : "Your tax invoice is available from your order page.",
+      ],
+    }),
+    ar: (v) => ({
+      subject: `تم استلام الدفع — ${money(v.amount, v.currency)}`,
+      body: [
+        `مرحباً ${v.name || ""}،`.trim(),
+        `استلمنا دفعتك بمبلغ ${money(v.amount, v.currency)}. ` +
+          `المرجع: ${v.paymentId}.`,
+        v.orders?.length > 1 ? "تم تقسيم طلبك على الموردين التاليين:" : "طلبك:",
+        ...orderList(v.orders, v.currency),
+        v.awaitingCapture
+          ? "تم حجز المبلغ على بطاقتك وسيتم خصمه بعد تأكيد المورد لطلبك."
+          : "فاتورتك الضريبية متاحة في صفحة الطلب.",
+      ],
+    }),
+  },
+
+  new_order: {
+    en: (v) => ({
+      subject: `New order ${v.orderId}`,
+      body: [
+        `You have a new order ${v.orderId} for ${money(v.amount, v.currency)}.`,
+        v.awaitingCapture
+          ? "The payment is only authorized. Confirm stock and capture it from your dashboard, or void it."
+          : "The payment has been received.",
+      ],
+    }),
+    ar: (v) => ({
+      subject: `طلب جديد ${v.orderId}`,
+      body: [
+        `لديك طلب جديد ${v.orderId} بمبلغ ${money(v.amount, v.currency)}.`,
+        v.awaitingCapture
+          ? "تم تفويض الدفع فقط. يرجى تأكيد توفر المخزون وتحصيل المبلغ من لوحة التحكم أو إلغاؤه."
+          : "تم استلام الدفع.",
+      ],
+    }),
+  },
+
+  payment_failed: {
+    en: (v) => ({
+      subject: "Your payment did not go through",
+      body: [
+        `Your payment of ${money(v.amount, v.currency)} was not completed` +
+          (v.description ? `: ${v.description}.` : "."),
+        "Nothing has been charged. You can try again from your cart.",
+      ],
+    }),
+    ar: (v) => ({
+      subject: "لم تكتمل عملية الدفع",
+      body: [
+        `لم تكتمل عملية الدفع بمبلغ ${money(v.amount, v.currency)}.`,
+        "لم يتم خصم أي مبلغ. يمكنك المحاولة مرة أخرى من سلة التسوق.",
+      ],
+    }),
+  },
+
+  order_confirmed: {
+    en: (v) => ({
+      subject: `Order ${v.orderId} confirmed`,
+      body: [
+        `The supplier confirmed order ${v.orderId} and ${money(
+          v.amount,
+          v.currency
+        )} has been charged.`,
+      ],
+    }),
+    ar: (v) => ({
+      subject: `تم تأكيد الطلب ${v.orderId}`,
+      body: [
+        `أكد المورد الطلب ${v.orderId} وتم خصم ${money(v.amount, v.currency)}.`,
+      ],
+    }),
+  },
+
+  order_cancelled: {
+    en: (v) => ({
+      subject: `Order ${v.orderId} cancelled`,
+      body: [
+        `Order ${v.orderId} was cancelled and the amount reserved on your card has been released.`,
+      ],
+    }),
+    ar: (v) => ({
+      subject: `تم إلغاء الطلب ${v.orderId}`,
+      body: [`تم إلغاء الطلب ${v.orderId} وتحرير المبلغ المحجوز على بطاقتك.`],
+    }),
+  },
+
+  refund_issued: {
+    en: (v) => ({
+      subject: `Refund of ${money(v.amount, v.currency)} for order ${
+        v.orderId
+      }`,
+      body: [
+        `We refunded ${money(v.amount, v.currency)} for order ${v.orderId}.`,
+        "It can take a few business days to appear on your statement.",
+      ],
+    }),
+    ar: (v) => ({
+      subject: `استرداد ${money(v.amount, v.currency)} للطلب ${v.orderId}`,
+      body: [
+        `تم استرداد ${money(v.amount, v.currency)} للطلب ${v.orderId}.`,
+        "قد يستغرق ظهور المبلغ في كشف حسابك بضعة أيام عمل.",
+      ],
+    }),
+  },
+
+  order_refunded: {
+    en: (v) => ({
+      subject: `Refund on order ${v.orderId}`,
+      body: [
+        `${money(v.amount, v.currency)} was refunded to the buyer on order ${
+          v.orderId
+        }. It will be deducted from your next settlement.`,
+      ],
+    }),
+    ar: (v) => ({
+      subject: `استرداد على الطلب ${v.orderId}`,
+      body: [
+        `تم استرداد ${money(v.amount, v.currency)} للمشتري على الطلب ${
+          v.orderId
+        }. سيتم خصمه من التسوية القادمة.`,
+      ],
+    }),
+  },
+
+  subscription_past_due: {
+    en: (v) => ({
+      subject: "Your subscription payment did not go through",
+      body: [
+        `We could not charge ${money(v.amount, v.currency)} for your ` +
+          `${v.planName || "subscription"}.`,
+        `We will try again on ${day(v.nextChargeAt)}. Please make sure your ` +
+          "card can be charged, or the subscription will be cancelled.",
+      ],
+    }),
+    ar: (v) => ({
+      subject: "لم تكتمل عملية الدفع لاشتراكك",
+      body: [
+        `لم نتمكن من خصم ${money(v.amount, v.currency)} لاشتراكك` +
+          (v.planName ? ` في ${v.planName}.` : "."),
+        `سنحاول مرة أخرى في ${day(v.nextChargeAt)}. ` +
+          "يرجى التأكد من إمكانية الخصم من بطاقتك، وإلا سيتم إلغاء الاشتراك.",
+      ],
+    }),
+  },
+
+  subscription_canceled: {
+    en: (v) => ({
+      subject: `Your ${v.planName || "subscription"} has been cancelled`,
+      body: [
+        v.reason === "payment_failed"
+          ? "We cancelled your subscription after several renewal payments could not be charged."
+          : "Your subscription has been cancelled as you asked.",
+        "You will not be charged for it again.",
+      ],
+    }),
+    ar: (v) => ({
+      subject: "تم إلغاء اشتراكك",
+      body: [
+        v.reason === "payment_failed"
+          ? "تم إلغاء اشتراكك بعد تعذر خصم عدة دفعات تجديد."
+          : "تم إلغاء اشتراكك بناءً على طلبك.",
+        "لن يتم خصم أي مبلغ آخر مقابله.",
+      ],
+    }),
+  },
+};
+
+/**
+ * Render `template` for `locale` ("ar" or "en", falling back to the
+ * configured default). Resolves to `{ subject, text, html }`.
+ */
+function renderEmail(template, locale, vars) {
+  const variants = TEMPLATES[template];
+  if (!variants) throw new Error(`Unknown email template "${template}"`);
+  const lang = variants[locale] ? locale : config.email.defaultLocale;
+  const { subject, body } = variants[lang](vars);
+
+  const dir = lang === "ar" ? "rtl" : "ltr";
+  const html =
+    `<!doctype html><html lang="${lang}" dir="${dir}"><body ` +
+    `style="font-family:Arial,sans-serif;direction:${dir}">` +
+    body.map((p) => `<p>${escapeHtml(p)}</p>`).join("") +
+    "</body></html>";
+
+  return { subject, text: body.join("\n\n"), html };
+}
+
+module.exports = { renderEmail, TEMPLATES };
@@ -0,0 +1,77 @@
+// lib/entities.js — pick the HyperPay entity for the brands a checkout offers
+
+const { config } = require("./config");
+
+// Mada must run on its own entity in Saudi Arabia; Apple Pay and STC Pay
+// usually have one too but can share the card entity when no separate one
+// is set up.
+const ENTITY_IDS = config.hyperpay.entityIds;
+const DEDICATED_BRANDS = ["MADA", "APPLEPAY", "STC_PAY"];
+const DEFAULT_BRANDS = ["VISA", "MASTER"];
+
+class EntityError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Accepts `["VISA", "MASTER"]` or the widget's `"VISA MASTER"` form.
+ * "STC PAY" style spellings are folded to HyperPay's `STC_PAY`.
+ */
+function parseBrands(input) {
+  const list = Array.isArray(input)
+    ? input
+    : String(input || "").split(/[\s,]+/);
+  const brands = [
+    ...new Set(
+      list
+        .map((b) =>
+          String(b)
+            .trim()
+            .toUpperCase()
+            .replace(/^STCPAY$/, "STC_PAY")
+        )
+        .filter(Boolean)
+    ),
+  ];
+  return brands.length ? brands : DEFAULT_BRANDS;
+}
+
+const entityKeyFor = (brand) =>
+  DEDICATED_BRANDS.includes(brand) ? brand : "default";
+
+/**
+ * Resolve the entity that must process a checkout offering `brands`.
+ * Brands that live on different entities cannot share one checkout.
+ */
+function selectEntity(brands) {
+  const keys = [...new Set(brands.map(entityKeyFor))];
+  if (keys.length > 1) {
+    throw new EntityError(
+      `${brands.join(", ")} are processed on different entities; ` +
+        "create a separate checkout for each"
+    );
+  }
+
+  const key = keys[0];
+  const entityId =
+    ENTITY_IDS[key] || (key === "MADA" ? "" : ENTITY_IDS.default);
+  if (!entityId) {
+    throw new EntityError(
+      `HyperPay entity ID for ${key === "default" ? "cards" : key} ` +
+        "is not defined on the server.",
+      500
+    );
+  }
+  return entityId;
+}
+
+module.exports = {
+  parseBrands,
+  selectEntity,
+  EntityError,
+  ENTITY_IDS,
+  DEFAULT_BRANDS,
+};
@@ -0,0 +1,158 @@
+// lib/events.js — domain events and their durable delivery to sinks
+//
+// emitEvent() writes one outbox document per delivery a sink plans for
+// the event (`eventDeliveries/{eventId}~{sink}~{key}`) and tries to send
+// them straight away. Anything that fails is retried by
+// deliverDueEvents() with exponential backoff, so an SMTP or subscriber
+// outage never loses a notification or slows down a payment.
+//
+// Events with a `key` get a deterministic id: emitting
+// `payment.failed` for the same payment from the redirect and the
+// webhook only notifies once.
+
+const crypto = require("crypto");
+const { admin, db } = require("./firebase");
+const { config } = require("./config");
+const { logger } = require("./logger");
+
+const { maxAttempts, retryBaseMs } = config.events;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+// Firestore's "document already exists" from create().
+const ALREADY_EXISTS = 6;
+
+const EVENT_TYPES = [
+  "payment.succeeded",
+  "payment.failed",
+  "order.captured",
+  "order.voided",
+  "order.refunded",
+  "subscription.past_due",
+  "subscription.canceled",
+];
+
+const deliveries = () => db.collection("eventDeliveries");
+const sinks = new Map();
+
+/**
+ * Register a sink: `{ name, plan(event), deliver(payload, event) }`.
+ * `plan` resolves to the deliveries this event needs as
+ * `[{ key, payload }]` (none to ignore it); `deliver` throws to be retried.
+ */
+function registerSink(sink) {
+  sinks.set(sink.name, sink);
+}
+
+const unregisterSink = (name) => sinks.delete(name);
+
+const backoffMs = (attempts) =>
+  Math.min(retryBaseMs * 4 ** (attempts - 1), MAX_BACKOFF_MS);
+
+const safeId = (value) => String(value).replace(/[/~]/g, "_");
+
+async function attempt(ref, delivery) {
+  const sink = sinks.get(delivery.sink);
+  if (!sink) return; // Sink no longer configured; leave it for later.
+
+  const attempts = (delivery.attempts || 0) + 1;
+  try {
+    await sink.deliver(delivery.payload, delivery.event);
+    await ref.update({
+      status: "delivered",
+      attempts,
+      deliveredAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (err) {
+    const exhausted = attempts >= maxAttempts;
+    logger[exhausted ? "error" : "warn"]("Event delivery failed", {
+      deliveryId: ref.id,
+      attempts,
+      givingUp: exhausted,
+      err,
+    });
+    await ref.update({
+      status: exhausted ? "failed" : "pending",
+      attempts,
+      lastError: err.message,
+      nextAttemptAt: new Date(Date.now() + backoffMs(attempts)),
+    });
+  }
+}
+
+/**
+ * Record an event and hand it to every sink. Never throws: a
+ * notification problem must not fail the payment flow that raised it.
+ *
+ * Resolves to the event, once its deliveries are safely in the outbox;
+ * `delivered` resolves after the first delivery attempts.
+ */
+async function emitEvent(type, data, { key } = {}) {
+  const event = {
+    id: key ? `${type}:${safeId(key)}` : `${type}:${crypto.randomUUID()}`,
+    type,
+    occurredAt: new Date().toISOString(),
+    data,
+  };
+
+  const queued = [];
+  for (const sink of sinks.values()) {
+    try {
+      for (const { key: deliveryKey, payload } of await sink.plan(event)) {
+        const ref = deliveries().doc(
+          `${event.id}~${sink.name}~${safeId(deliveryKey)}`
+        );
+        const delivery = {
+          eventId: event.id,
+          type,
+          sink: sink.name,
+          key: deliveryKey,
+          payload,
+          event,
+          status: "pending",
+          attempts: 0,
+          // The first attempt is made right below; the worker only picks
+          // this up if that one never finished.
+          nextAttemptAt: new Date(Date.now() + retryBaseMs),
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+        try {
+          await ref.create(delivery);
+          queued.push([ref, delivery]);
+        } catch (err) {
+          if (err.code !== ALREADY_EXISTS) throw err;
+        }
+      }
+    } catch (err) {
+      logger.error("Queuing event failed", { type, sink: sink.name, err });
+    }
+  }
+
+  const delivered = Promise.all(queued.map(([ref, d]) => attempt(ref, d)));
+  delivered.catch((err) => logger.error("Event delivery failed", { err }));
+  return { ...event, delivered };
+}
+
+/**
+ * Retry deliveries whose backoff has passed. Run on an interval by the
+ * server; resolves to the number attempted.
+ */
+async function deliverDueEvents(now = new Date()) {
+  const snap = await deliveries()
+    .where("status", "==", "pending")
+    .where("nextAttemptAt", "<=", now)
+    .orderBy("nextAttemptAt")
+    .limit(BATCH_SIZE)
+    .get();
+  for (const doc of snap.docs) {
+    await attempt(doc.ref, doc.data());
+  }
+  return snap.size;
+}
+
+module.exports = {
+  emitEvent,
+  registerSink,
+  unregisterSink,
+  deliverDueEvents,
+  EVENT_TYPES,
+};
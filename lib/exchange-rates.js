@@ -0,0 +1,153 @@
+// lib/exchange-rates.js — converting base-currency prices for GCC buyers
+//
+// `settings/exchangeRates` holds `{ base, rates, updatedAt, updatedBy }`
+// where `rates.AED` is how many dirhams one unit of the base currency
+// (CURRENCY, i.e. SAR) buys. A checkout converts at the table's rate of
+// the moment and keeps that as a snapshot on the checkout and its orders,
+//
+//   { base: "SAR", currency: "KWD", rate: 0.0819, asOf: <rate table time> }
+//
+// so reports can get back to SAR however the table changes later.
+
+const { admin, db } = require("./firebase");
+const { config } = require("./config");
+const { toMinorUnits, formatAmount, minorUnitDigits } = require("./money");
+
+const BASE_CURRENCY = config.currency;
+const HOUR = 60 * 60 * 1000;
+
+class CurrencyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const ratesRef = () => db.collection("settings").doc("exchangeRates");
+
+/**
+ * The currency a buyer asked to pay in (the base currency when none),
+ * checked against CURRENCIES. Throws CurrencyError.
+ */
+function resolveCurrency(requested) {
+  if (requested === undefined || requested === null || requested === "") {
+    return BASE_CURRENCY;
+  }
+  const currency = String(requested).trim().toUpperCase();
+  if (!config.currencies.includes(currency)) {
+    throw new CurrencyError(
+      `Currency ${currency} is not accepted; use one of ${config.currencies.join(
+        ", "
+      )}`
+    );
+  }
+  return currency;
+}
+
+/**
+ * The rate snapshot for paying in `currency`. Throws CurrencyError (409)
+ * when the table has no rate for it or hasn't been updated within
+ * EXCHANGE_RATE_MAX_AGE_HOURS; paying at a stale rate costs real money.
+ */
+async function rateSnapshot(currency, now = new Date()) {
+  if (currency === BASE_CURRENCY) {
+    return { base: BASE_CURRENCY, currency, rate: 1, asOf: null };
+  }
+
+  const snap = await ratesRef().get();
+  const table = snap.exists ? snap.data() : {};
+  const rate = table.base === BASE_CURRENCY ? table.rates?.[currency] : null;
+  if (!(rate > 0)) {
+    throw new CurrencyError(`No exchange rate is set for ${currency}`, 409);
+  }
+  const asOf = table.updatedAt?.toDate?.() || null;
+  if (!asOf || now - asOf > config.exchangeRates.maxAgeHours * HOUR) {
+    throw new CurrencyError(
+      `The ${currency} exchange rate is out of date; try again later`,
+      409
+    );
+  }
+  return { base: BASE_CURRENCY, currency, rate, asOf };
+}
+
+/**
+ * `amount` in the base currency, converted at `snapshot` and rounded to
+ * the minor unit of the currency paid in.
+ */
+function convertAmount(amount, { currency, rate }) {
+  const scale =
+    10 ** (minorUnitDigits(currency) - minorUnitDigits(BASE_CURRENCY));
+  return formatAmount(
+    Math.round(toMinorUnits(amount, BASE_CURRENCY) * rate * scale),
+    currency
+  );
+}
+
+/** What `amount` paid in `snapshot.currency` was worth in the base currency. */
+function baseAmount(amount, { currency, rate }) {
+  const scale =
+    10 ** (minorUnitDigits(BASE_CURRENCY) - minorUnitDigits(currency));
+  return formatAmount(
+    Math.round((toMinorUnits(amount, currency) / rate) * scale),
+    BASE_CURRENCY
+  );
+}
+
+/** The current table, with the currencies buyers may choose from. */
+async function getExchangeRates() {
+  const snap = await ratesRef().get();
+  const table = snap.exists ? snap.data() : {};
+  return {
+    base: BASE_CURRENCY,
+    currencies: config.currencies,
+    rates: table.base === BASE_CURRENCY ? table.rates || {} : {},
+    updatedAt: table.updatedAt || null,
+    updatedBy: table.updatedBy || null,
+  };
+}
+
+/**
+ * Replace the rate table with `rates` (`{ AED: 0.9793, KWD: 0.0819 }`).
+ * Every currency must be one of CURRENCIES other than the base. Throws
+ * CurrencyError.
+ */
+async function setExchangeRates(rates, { updatedBy = null } = {}) {
+  if (!rates || typeof rates !== "object" || Array.isArray(rates)) {
+    throw new CurrencyError('rates must be an object such as { "AED": 0.98 }');
+  }
+  const clean = {};
+  for (const [code, value] of Object.entries(rates)) {
+    const currency = code.toUpperCase();
+    if (currency === BASE_CURRENCY || !config.currencies.includes(currency)) {
+      throw new CurrencyError(
+        `${code} is not one of the accepted currencies besides ${BASE_CURRENCY}`
+      );
+    }
+    const rate = Number(value);
+    if (!Number.isFinite(rate) || rate <= 0) {
+      throw new CurrencyError(
+        `The rate for ${currency} must be a positive number`
+      );
+    }
+    clean[currency] = rate;
+  }
+
+  await ratesRef().set({
+    base: BASE_CURRENCY,
+    rates: clean,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedBy,
+  });
+  return clean;
+}
+
+module.exports = {
+  BASE_CURRENCY,
+  CurrencyError,
+  resolveCurrency,
+  rateSnapshot,
+  convertAmount,
+  baseAmount,
+  getExchangeRates,
+  setExchangeRates,
+};
@@ -0,0 +1,402 @@
+// lib/finalize-payment.js — single place where a paid checkout becomes orders
+
+const { admin, db } = require("./firebase");
+const { toMinorUnits } = require("./money");
+const { savedCardsOf, savedCardFromPayment } = require("./saved-cards");
+const { resolvePaymentBrand } = require("./brands");
+const {
+  loadCommissionRules,
+  buildSaleEntries,
+  ledgerEntries,
+} = require("./ledger");
+
+const { classifyResult } = require("./result-codes");
+const { issueInvoice, issueQuietly } = require("./invoices");
+const { emitEvent } = require("./events");
+const { checkoutSupplierIds } = require("./checkouts");
+const {
+  subscriptions,
+  paidSubscriptionUpdate,
+  flaggedSubscriptionUpdate,
+} = require("./subscriptions");
+const { BASE_CURRENCY, baseAmount } = require("./exchange-rates");
+
+// Money was taken, even if HyperPay wants someone to review it.
+const isSuccessfulPayment = (payment) =>
+  ["success", "review"].includes(classifyResult(payment).outcome);
+
+/**
+ * Compare what HyperPay actually charged with what create-checkout asked
+ * for. Returns a description of the mismatch, or null when they agree.
+ */
+function findAmountMismatch(checkout, payment) {
+  const sameAmount =
+    toMinorUnits(checkout.amount, checkout.currency) ===
+    toMinorUnits(payment.amount, checkout.currency);
+  const sameCurrency = checkout.currency === payment.currency;
+  if (sameAmount && sameCurrency) return null;
+
+  return {
+    expected: { amount: checkout.amount, currency: checkout.currency },
+    received: {
+      amount: payment.amount ?? null,
+      currency: payment.currency ?? null,
+    },
+  };
+}
+
+// Single-supplier payments keep the transaction id as their order id so
+// existing links and lookups still work; split payments suffix it with
+// the supplier.
+const childOrderId = (transactionId, supplierId, split) =>
+  split ? `${transactionId}-${supplierId}` : transactionId;
+
+/**
+ * Work out which supplier gets which items from a checkout record. Returns
+ * `[{ supplierId, items, itemRefs, totals }]`.
+ *
+ * Current records carry a `suppliers` map; single-supplier records from
+ * before that carry `items`, and checkouts created before records existed
+ * fall back to whatever is in the cart now (which needs a transaction read).
+ */
+async function supplierGroups(t, { checkout, cartItems, supplierId }) {
+  if (checkout?.suppliers) {
+    return Object.entries(checkout.suppliers).map(([id, group]) => ({
+      supplierId: id,
+      items: group.items,
+      itemRefs: (group.cartItemIds || []).map((itemId) =>
+        cartItems.doc(itemId)
+      ),
+      totals: group.totals,
+    }));
+  }
+  if (checkout?.items) {
+    return [
+      {
+        supplierId,
+        items: checkout.items,
+        itemRefs: (checkout.cartItemIds || []).map((id) => cartItems.doc(id)),
+        totals: checkout.totals,
+      },
+    ];
+  }
+  const cartSnap = await t.get(cartItems.where("supplierId", "==", supplierId));
+  return [
+    {
+      supplierId,
+      items: cartSnap.docs.map((d) => d.data()),
+      itemRefs: cartSnap.docs.map((d) => d.ref),
+      totals: null,
+    },
+  ];
+}
+
+/**
+ * Persist a successful HyperPay payment (DB or PA): one parent record in
+ * `payments/{transactionId}` and one child order per supplier in the
+ * checkout, each with its own items and totals, then clear those items
+ * from the buyer's cart. Both the shopper redirect and the webhook call
+ * this; whichever arrives first creates the records and the other sees
+ * they already exist and does nothing.
+ *
+ * Everything runs in one Firestore transaction keyed on the HyperPay
+ * transaction id, so a refresh, a double redirect or two tabs racing on
+ * the same resourcePath can never snapshot the (now empty) cart twice.
+ *
+ * When the checkout record from create-checkout exists, the charged
+ * amount and currency must match it; otherwise nothing is written and
+ * the checkout (and a subscription renewing with it) is flagged for
+ * review.
+ *
+ * `checkoutId` defaults to the payment's `ndc`, which is the COPYandPAY
+ * checkout id; server-to-server charges pass their own record id.
+ *
+ * A checkout made for a subscription also activates or renews that
+ * subscription in the same transaction.
+ *
+ * Resolves to `{ paymentId, orderId, orders, created, mismatch }` where
+ * `orders` is `[{ orderId, supplierId }]` and `orderId` is the first one.
+ */
+async function finalizePayment({
+  payment,
+  userId,
+  supplierId,
+  source,
+  checkoutId = payment.ndc,
+}) {
+  const paymentId = payment.id;
+  const paymentRef = db.collection("payments").doc(paymentId);
+  // Orders finalized before parent records existed sit at this id.
+  const legacyOrderRef = db.collection("orders").doc(paymentId);
+  const cartItems = db.collection("carts").doc(userId).collection("items");
+  const checkoutRef = checkoutId
+    ? db.collection("checkouts").doc(checkoutId)
+    : null;
+
+  const result = await db.runTransaction(async (t) => {
+    const paymentSnap = await t.get(paymentRef);
+    if (paymentSnap.exists) {
+      const { orders } = paymentSnap.data();
+      return { paymentId, orderId: orders[0]?.orderId, orders, created: false };
+    }
+    const legacySnap = await t.get(legacyOrderRef);
+    if (legacySnap.exists) {
+      const orders = [
+        { orderId: paymentId, supplierId: legacySnap.data().supplierId },
+      ];
+      return { paymentId, orderId: paymentId, orders, created: false };
+    }
+
+    // All reads must happen before the first write in a transaction.
+    const checkoutSnap = checkoutRef ? await t.get(checkoutRef) : null;
+    const checkout = checkoutSnap?.exists ? checkoutSnap.data() : null;
+    const subscriptionRef = checkout?.subscriptionId
+      ? subscriptions().doc(checkout.subscriptionId)
+      : null;
+    const subscriptionSnap = subscriptionRef
+      ? await t.get(subscriptionRef)
+      : null;
+
+    if (checkout) {
+      const mismatch = findAmountMismatch(checkout, payment);
+      if (mismatch) {
+        t.update(checkoutRef, {
+          status: "flagged",
+          flagReason: "amount_mismatch",
+          flaggedTransactionId: paymentId,
+          mismatch,
+          flaggedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        // A renewal the subscription is waiting on: without this it would
+        // wait forever and never be billed again.
+        if (subscriptionSnap?.data()?.pendingCharge === checkoutId) {
+          t.update(subscriptionRef, flaggedSubscriptionUpdate(checkoutId));
+        }
+        return {
+          paymentId,
+          orderId: null,
+          orders: [],
+          created: false,
+          mismatch,
+        };
+      }
+    }
+
+    const groups = await supplierGroups(t, { checkout, cartItems, supplierId });
+    const split = groups.length > 1;
+
+    // A pre-authorization only reserves the money; the supplier captures
+    // it once they confirm stock.
+    const authorizedOnly = payment.paymentType === "PA";
+    const orderStatus = authorizedOnly ? "Authorized" : "Paid";
+    const reviewRequired = classifyResult(payment).outcome === "review";
+    const paymentBrand = resolvePaymentBrand(payment);
+
+    // Money taken now goes on the supplier ledger now; a PA only does once
+    // it is captured.
+    const rateFor = authorizedOnly
+      ? null
+      : await loadCommissionRules(
+          groups.map((g) => g.supplierId),
+          (ref) => t.get(ref)
+        );
+
+    // What the payment was worth in the base currency, for reporting; a
+    // foreign-currency checkout carries the rate it was priced at.
+    const exchangeRate = checkout?.exchangeRate || null;
+    const inBaseCurrency = (amount) =>
+      exchangeRate ? baseAmount(amount, exchangeRate) : amount;
+
+    const orders = [];
+    const sales = [];
+    for (const group of groups) {
+      const orderId = childOrderId(paymentId, group.supplierId, split);
+      const order = {
+        transactionId: paymentId,
+        paymentId,
+        splitPayment: split,
+        resultCode: payment.result?.code || null,
+        reviewRequired,
+        orderStatus,
+        paymentMethod: payment.paymentType,
+        // A lone order is worth whatever was charged; split orders are
+        // worth their own share of the checkout.
+        totalAmount: split ? group.totals.total : payment.amount.toString(),
+        currency: payment.currency || null,
+        subtotal: group.totals?.subtotal ?? null,
+        shippingTotal: group.totals?.shipping ?? null,
+        vatAmount: group.totals?.vat ?? null,
+        exchangeRate,
+        baseCurrency: BASE_CURRENCY,
+        paymentBrand,
+        // Kept for existing readers of the order; same value as paymentBrand.
+        cardBrand: paymentBrand,
+        entityId: checkout?.entityId || null,
+        userId,
+        supplierId: group.supplierId,
+        userEmail: payment.customer?.email || null,
+        userName: payment.customer?.givenName || null,
+        finalizedBy: source || null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        items: group.items,
+      };
+      order.baseAmount = inBaseCurrency(order.totalAmount);
+      if (authorizedOnly) {
+        order.authorizedAmount = order.totalAmount;
+        order.authorizedAt = admin.firestore.FieldValue.serverTimestamp();
+      }
+      t.set(db.collection("orders").doc(orderId), order);
+      orders.push({
+        orderId,
+        supplierId: group.supplierId,
+        totalAmount: order.totalAmount,
+      });
+      sales.push({
+        orderId,
+        supplierId: group.supplierId,
+        items: group.items,
+        amount: order.totalAmount,
+      });
+
+      // Clear cart
+      group.itemRefs.forEach((ref) => t.delete(ref));
+    }
+
+    t.set(paymentRef, {
+      transactionId: paymentId,
+      checkoutId: checkoutId || null,
+      merchantTransactionId: payment.merchantTransactionId || null,
+      userId,
+      amount: payment.amount.toString(),
+      currency: payment.currency || null,
+      exchangeRate,
+      baseCurrency: BASE_CURRENCY,
+      baseAmount: inBaseCurrency(payment.amount.toString()),
+      paymentType: payment.paymentType,
+      paymentBrand,
+      entityId: checkout?.entityId || null,
+      resultCode: payment.result?.code || null,
+      reviewRequired,
+      status: orderStatus,
+      orders,
+      orderIds: orders.map((o) => o.orderId),
+      supplierIds: orders.map((o) => o.supplierId),
+      finalizedBy: source || null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    if (rateFor) {
+      const entries = buildSaleEntries({
+        paymentId,
+        currency: payment.currency,
+        exchangeRate,
+        orders: sales,
+        rateFor,
+      });
+      for (const { id, entry } of entries) {
+        t.set(ledgerEntries().doc(id), entry);
+      }
+    }
+
+    // Keep the card token if the shopper asked us to remember the card.
+    // Charges on a stored card echo its registrationId back; they must not
+    // overwrite the card, whose initialTransactionId has to stay the
+    // cardholder-initiated original that later charges cite.
+    const savedCard =
+      checkout?.saveCard && !checkout.registrationId
+        ? savedCardFromPayment(payment, checkout.entityId)
+        : null;
+    if (savedCard) {
+      t.set(savedCardsOf(userId).doc(savedCard.registrationId), savedCard);
+    }
+
+    if (subscriptionSnap?.exists) {
+      t.update(
+        subscriptionRef,
+        paidSubscriptionUpdate(subscriptionSnap.data(), { checkout, payment })
+      );
+    }
+
+    if (checkout) {
+      t.update(checkoutRef, {
+        status: "finalized",
+        paymentId,
+        orderId: orders[0].orderId,
+        orderIds: orders.map((o) => o.orderId),
+        finalizedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    return {
+      paymentId,
+      orderId: orders[0].orderId,
+      orders,
+      created: true,
+      subscriptionId: checkout?.subscriptionId || null,
+    };
+  });
+
+  // Paid orders get their tax invoice straight away; a PA is invoiced
+  // when it is captured.
+  if (result.created && payment.paymentType !== "PA") {
+    for (const { orderId } of result.orders) {
+      await issueQuietly(issueInvoice, orderId);
+    }
+  }
+  if (result.created) {
+    await emitEvent(
+      "payment.succeeded",
+      {
+        paymentId,
+        checkoutId: checkoutId || null,
+        userId,
+        userEmail: payment.customer?.email || null,
+        amount: payment.amount.toString(),
+        currency: payment.currency || null,
+        paymentType: payment.paymentType,
+        paymentBrand: resolvePaymentBrand(payment),
+        status: payment.paymentType === "PA" ? "Authorized" : "Paid",
+        reviewRequired: classifyResult(payment).outcome === "review",
+        orders: result.orders,
+        subscriptionId: result.subscriptionId,
+        source: source || null,
+      },
+      { key: paymentId }
+    );
+  }
+  return result;
+}
+
+/**
+ * Let listeners know a checkout's payment was declined. Keyed on the
+ * HyperPay transaction, so the redirect, the webhook and the reconciler
+ * seeing the same decline only report it once.
+ */
+function reportFailedPayment({ payment, checkout, source }) {
+  return emitEvent(
+    "payment.failed",
+    {
+      paymentId: payment.id || null,
+      checkoutId: checkout?.id || null,
+      merchantTransactionId:
+        payment.merchantTransactionId ||
+        checkout?.merchantTransactionId ||
+        null,
+      userId: checkout?.userId || null,
+      userEmail: payment.customer?.email || null,
+      supplierIds: checkout ? checkoutSupplierIds(checkout) : [],
+      amount: payment.amount || checkout?.amount || null,
+      currency: payment.currency || checkout?.currency || null,
+      result: payment.result || null,
+      source: source || null,
+    },
+    { key: payment.id || checkout?.id }
+  );
+}
+
+module.exports = {
+  finalizePayment,
+  reportFailedPayment,
+  isSuccessfulPayment,
+  findAmountMismatch,
+};
@@ -0,0 +1,21 @@
+// lib/firebase.js — shared Firebase Admin instance
+
+const admin = require("firebase-admin");
+const { config } = require("./config");
+
+// ── Load GCP Service Account (local file)
+const serviceAccount = require("../serviceAccountKey.json");
+
+// ── Initialize Firebase Admin ────────────────────────────────
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount),
+  ...(config.firebase.storageBucket
+    ? { storageBucket: config.firebase.storageBucket }
+    : {}),
+});
+const db = admin.firestore();
+
+// Only resolved when needed, so nothing breaks without a bucket configured.
+const bucket = () => admin.storage().bucket();
+
+module.exports = { admin, db, bucket };
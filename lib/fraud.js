@@ -0,0 +1,222 @@
+// lib/fraud.js — screening payments before they reach HyperPay
+//
+// screenPayment() runs on every buyer-initiated payment once its amount is
+// known and refuses it when the buyer, their email, IP or card BIN is on
+// the blocklist, when the amount is over the ceiling for the buyer's tier,
+// or when the buyer or BIN has been declined too often lately (a sign of
+// card testing). Every refusal, including rate-limited requests from
+// lib/abuse.js, is written to `blockedAttempts` for review.
+//
+// The card BIN is only known before the payment on saved-card charges;
+// widget shoppers type their card into HyperPay's form, so BIN blocks and
+// BIN velocity apply to saved cards only. Declines from either path count
+// towards a BIN's velocity.
+//
+// Blocklist entries live in `blocklist/{type}_{hash}` with type one of
+// BLOCK_TYPES and a hash of the normalized value (emails may contain
+// characters a document id can't), so blocking the same thing twice just
+// updates the entry.
+
+const crypto = require("crypto");
+const { admin, db } = require("./firebase");
+const { config } = require("./config");
+const { toMinorUnits } = require("./money");
+const { countRecentDeclines } = require("./attempts");
+const { logger } = require("./logger");
+
+const BLOCK_TYPES = ["user", "email", "ip", "bin"];
+const MINUTE = 60 * 1000;
+const {
+  velocityWindowMinutes,
+  maxDeclinesPerUser,
+  maxDeclinesPerBin,
+  amountCeilings,
+} = config.abuse;
+
+class PaymentBlockedError extends Error {
+  constructor(message, status, rule) {
+    super(message);
+    this.status = status;
+    this.rule = rule;
+  }
+}
+
+const blocklist = () => db.collection("blocklist");
+const blockedAttempts = () => db.collection("blockedAttempts");
+
+const normalize = (type, value) => {
+  const text = String(value).trim();
+  return type === "email" ? text.toLowerCase() : text;
+};
+const entryId = (type, value) =>
+  `${type}_${crypto
+    .createHash("sha256")
+    .update(normalize(type, value))
+    .digest("hex")
+    .slice(0, 32)}`;
+
+/**
+ * Write a refused request to `blockedAttempts`. Never throws: failing to
+ * log a refusal must not let the request through or fail it differently.
+ */
+async function recordBlockedAttempt(req, { rule, reason, ...details }) {
+  try {
+    await blockedAttempts().add({
+      rule,
+      reason: reason || null,
+      userId: req.user?.uid || null,
+      ip: req.ip || null,
+      origin: req.get("Origin") || null,
+      method: req.method,
+      path: req.originalUrl,
+      ...details,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (err) {
+    logger.error("Recording blocked attempt failed", { rule, err });
+  }
+}
+
+/**
+ * The first blocklist entry matching any of `candidates`
+ * (`{ type: value }`, or `{ type: [values] }` to check several).
+ */
+async function findBlocklistEntry(candidates) {
+  const refs = Object.entries(candidates).flatMap(([type, values]) =>
+    []
+      .concat(values)
+      .filter(Boolean)
+      .map((value) => blocklist().doc(entryId(type, value)))
+  );
+  const snaps = await Promise.all(refs.map((ref) => ref.get()));
+  const hit = snaps.find((snap) => snap.exists);
+  return hit ? { id: hit.id, ...hit.data() } : null;
+}
+
+/** The largest payment allowed for `user`, as a string in CURRENCY, or null. */
+const ceilingFor = (user) =>
+  amountCeilings[user?.tier] ?? amountCeilings.default ?? null;
+
+/**
+ * Check a payment of `amount` (in the base currency) before asking
+ * HyperPay for it. The signed-in buyer's verified email is always
+ * checked; `email` is the one the payment is made out to, if the buyer
+ * gave another. `bin` is the card's BIN where it is known up front
+ * (saved cards only). Resolves when the payment may go ahead; otherwise
+ * records the attempt and throws PaymentBlockedError.
+ */
+async function screenPayment(req, { amount, email, bin, now = new Date() }) {
+  const userId = req.user?.uid;
+  const refuse = async (rule, reason, status, message) => {
+    await recordBlockedAttempt(req, {
+      rule,
+      reason,
+      amount: amount ?? null,
+      currency: config.currency,
+      email: email || req.user?.email || null,
+      bin: bin || null,
+    });
+    logger.warn("Payment refused", { rule, userId, reason });
+    throw new PaymentBlockedError(message, status, rule);
+  };
+
+  const listed = await findBlocklistEntry({
+    user: userId,
+    email: [req.user?.email, email],
+    ip: req.ip,
+    bin,
+  });
+  if (listed) {
+    await refuse(
+      "blocklist",
+      `${listed.type} ${listed.value}`,
+      403,
+      "Payments are not available for this account"
+    );
+  }
+
+  const ceiling = ceilingFor(req.user);
+  if (
+    ceiling !== null &&
+    toMinorUnits(amount, config.currency) >
+      toMinorUnits(ceiling, config.currency)
+  ) {
+    await refuse(
+      "amount_ceiling",
+      `${amount} over ${ceiling} for tier ${req.user?.tier || "default"}`,
+      403,
+      `Payments over ${ceiling} ${config.currency} are not available for this account`
+    );
+  }
+
+  const since = new Date(now.getTime() - velocityWindowMinutes * MINUTE);
+  const velocity = [
+    ["userId", userId, maxDeclinesPerUser, "velocity_user"],
+    ["cardBin", bin, maxDeclinesPerBin, "velocity_bin"],
+  ];
+  for (const [field, value, max, rule] of velocity) {
+    if (!value) continue;
+    const declines = await countRecentDeclines(field, value, {
+      since,
+      limit: max,
+    });
+    if (declines >= max) {
+      await refuse(
+        rule,
+        `${declines} declines in ${velocityWindowMinutes} minutes`,
+        429,
+        "Too many declined payments; please try again later"
+      );
+    }
+  }
+}
+
+// ── Blocklist management ────────────────────────────────────
+
+/**
+ * Block `value` of `type` (a user id, email, IP address or card BIN).
+ * Resolves to the entry; throws PaymentBlockedError (400) on bad input.
+ */
+async function addToBlocklist(
+  { type, value, reason },
+  { addedBy = null } = {}
+) {
+  if (!BLOCK_TYPES.includes(type)) {
+    throw new PaymentBlockedError(
+      `type must be one of ${BLOCK_TYPES.join(", ")}`,
+      400
+    );
+  }
+  if (!value || !String(value).trim()) {
+    throw new PaymentBlockedError("value is required", 400);
+  }
+  const entry = {
+    type,
+    value: normalize(type, value),
+    reason: reason ? String(reason) : null,
+    addedBy,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  const id = entryId(type, value);
+  await blocklist().doc(id).set(entry);
+  return { id, ...entry };
+}
+
+/** Resolves to false when there was no such entry. */
+async function removeFromBlocklist(id) {
+  const ref = blocklist().doc(id);
+  if (!(await ref.get()).exists) return false;
+  await ref.delete();
+  return true;
+}
+
+module.exports = {
+  BLOCK_TYPES,
+  PaymentBlockedError,
+  screenPayment,
+  recordBlockedAttempt,
+  addToBlocklist,
+  removeFromBlocklist,
+  blocklist,
+  blockedAttempts,
+};
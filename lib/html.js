@@ -0,0 +1,15 @@
+// lib/html.js — escaping for the HTML the backend renders itself
+
+const ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/** Safe to put inside element text or a quoted attribute. */
+const escapeHtml = (text) =>
+  String(text ?? "").replace(/[&<>"']/g, (ch) => ENTITIES[ch]);
+
+module.exports = { escapeHtml };
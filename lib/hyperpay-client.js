@@ -0,0 +1,204 @@
+// lib/hyperpay-client.js — the only place that talks HTTP to HyperPay
+
+const axios = require("axios");
+const { config } = require("./config");
+const { logger, currentRequestId } = require("./logger");
+
+class HyperPayError extends Error {}
+
+/** HyperPay could not be reached (after retries) or did not answer in time. */
+class HyperPayNetworkError extends HyperPayError {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/** HyperPay answered with a non-2xx status; `data.result` says why. */
+class HyperPayApiError extends HyperPayError {
+  constructor(status, data) {
+    super(data?.result?.description || `HyperPay responded ${status}`);
+    this.status = status;
+    this.data = data;
+    this.result = data?.result || null;
+  }
+}
+
+// Errors where the request certainly never reached HyperPay, so even a
+// payment-creating POST can be retried without risking a double charge.
+const NOT_SENT_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+// GET/DELETE are safe to repeat on any network failure.
+const NETWORK_CODES = [
+  ...NOT_SENT_CODES,
+  "ECONNRESET",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+];
+
+/**
+ * HyperPay reports declines as HTTP 4xx with the usual payment body, so
+ * callers that want to classify the result use `.catch(rejectionBody)`:
+ * it returns that body and rethrows anything else.
+ */
+function rejectionBody(err) {
+  if (err instanceof HyperPayApiError && err.result) return err.data;
+  throw err;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Card tokens travel in the path of registration calls.
+const loggedUrl = (url) => url.replace(/(\/registrations\/)[^/?]+/, "$1…");
+
+function createHyperPayClient({
+  host,
+  accessToken,
+  timeoutMs = 15000,
+  maxRetries = 2,
+  retryDelayMs = 250,
+}) {
+  const http = axios.create({
+    baseURL: host,
+    timeout: timeoutMs,
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+
+  async function request({ method, url, params, form }) {
+    const idempotent = method === "get" || method === "delete";
+    const retryable = idempotent ? NETWORK_CODES : NOT_SENT_CODES;
+
+    const requestId = currentRequestId();
+    const call = { method: method.toUpperCase(), url: loggedUrl(url) };
+
+    for (let attempt = 0; ; attempt++) {
+      const started = Date.now();
+      try {
+        const { data } = await http.request({
+          method,
+          url,
+          params,
+          data: form && new URLSearchParams(form),
+          headers: {
+            ...(form
+              ? { "Content-Type": "application/x-www-form-urlencoded" }
+              : {}),
+            ...(requestId ? { "X-Request-Id": requestId } : {}),
+          },
+        });
+        logger.info("HyperPay call", {
+          ...call,
+          durationMs: Date.now() - started,
+          resultCode: data?.result?.code,
+        });
+        logger.debug("HyperPay response", { ...call, response: data });
+        return data;
+      } catch (err) {
+        if (err.response) {
+          logger.warn("HyperPay call rejected", {
+            ...call,
+            status: err.response.status,
+            durationMs: Date.now() - started,
+            resultCode: err.response.data?.result?.code,
+          });
+          logger.debug("HyperPay response", {
+            ...call,
+            response: err.response.data,
+          });
+          throw new HyperPayApiError(err.response.status, err.response.data);
+        }
+        logger.warn("HyperPay call failed", {
+          ...call,
+          attempt,
+          code: err.code,
+          durationMs: Date.now() - started,
+        });
+        if (attempt < maxRetries && retryable.includes(err.code)) {
+          await sleep(retryDelayMs * 2 ** attempt);
+          continue;
+        }
+        throw new HyperPayNetworkError(
+          `HyperPay ${method.toUpperCase()} ${url} failed: ${err.message}`,
+          err.code
+        );
+      }
+    }
+  }
+
+  const backOffice = (paymentType) => (transactionId, fields) =>
+    request({
+      method: "post",
+      url: `/v1/payments/${encodeURIComponent(transactionId)}`,
+      form: { ...fields, paymentType },
+    });
+
+  return {
+    request,
+
+    /** COPYandPAY checkout; `fields` are the form parameters incl. entityId. */
+    createCheckout: (fields) =>
+      request({ method: "post", url: "/v1/checkouts", form: fields }),
+
+    /** Status of the payment behind a widget `resourcePath`. */
+    getPaymentStatus: (resourcePath, entityId) =>
+      request({ method: "get", url: resourcePath, params: { entityId } }),
+
+    getCheckoutPayment: (checkoutId, entityId) =>
+      request({
+        method: "get",
+        url: `/v1/checkouts/${encodeURIComponent(checkoutId)}/payment`,
+        params: { entityId },
+      }),
+
+    /** Transaction report for one payment id. */
+    queryTransaction: (transactionId, entityId) =>
+      request({
+        method: "get",
+        url: `/v1/query/${encodeURIComponent(transactionId)}`,
+        params: { entityId },
+      }),
+
+    /** Transaction report searched by our own merchantTransactionId. */
+    queryByMerchantTransactionId: (merchantTransactionId, entityId) =>
+      request({
+        method: "get",
+        url: "/v1/query",
+        params: { entityId, merchantTransactionId },
+      }),
+
+    refund: backOffice("RF"),
+    reverse: backOffice("RV"),
+    capture: backOffice("CP"),
+
+    /** Server-to-server payment with a stored card token. */
+    chargeRegistration: (registrationId, fields) =>
+      request({
+        method: "post",
+        url: `/v1/registrations/${encodeURIComponent(registrationId)}/payments`,
+        form: fields,
+      }),
+
+    deleteRegistration: (registrationId, entityId) =>
+      request({
+        method: "delete",
+        url: `/v1/registrations/${encodeURIComponent(registrationId)}`,
+        params: { entityId },
+      }),
+  };
+}
+
+const hyperpay = createHyperPayClient({
+  host: config.hyperpay.host,
+  accessToken: config.hyperpay.accessToken,
+  timeoutMs: config.hyperpay.timeoutMs,
+  maxRetries: config.hyperpay.maxRetries,
+});
+
+module.exports = {
+  hyperpay,
+  createHyperPayClient,
+  rejectionBody,
+  HyperPayError,
+  HyperPayNetworkError,
+  HyperPayApiError,
+};
@@ -0,0 +1,39 @@
+// lib/hyperpay-webhook.js — decrypt HyperPay server-to-server notifications
+
+const crypto = require("crypto");
+
+class WebhookDecryptionError extends Error {}
+
+/**
+ * HyperPay sends notifications as a hex-encoded AES-256-GCM ciphertext.
+ * The IV and auth tag arrive in the `X-Initialization-Vector` and
+ * `X-Authentication-Tag` headers; the key is the hex secret shown in the
+ * HyperPay dashboard for the webhook. The tag must be the full 16 bytes:
+ * GCM would otherwise check a truncated one, which is far easier to forge.
+ */
+function decryptNotification(body, { iv, authTag, secret }) {
+  if (!body || !iv || !authTag) {
+    throw new WebhookDecryptionError("Missing payload, IV or auth tag");
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      Buffer.from(secret, "hex"),
+      Buffer.from(iv, "hex"),
+      { authTagLength: 16 }
+    );
+    decipher.setAuthTag(Buffer.from(authTag, "hex"));
+    const plain = Buffer.concat([
+      decipher.update(Buffer.from(body.trim(), "hex")),
+      decipher.final(),
+    ]).toString("utf8");
+    return JSON.parse(plain);
+  } catch (err) {
+    throw new WebhookDecryptionError(
+      `Unable to decrypt notification: ${err.message}`
+    );
+  }
+}
+
+module.exports = { decryptNotification, WebhookDecryptionError };
@@ -0,0 +1,157 @@
+// lib/invoice-pdf.js — render a stored invoice or credit note as an A4 PDF
+
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+const { config } = require("./config");
+
+const { fontFile } = config.invoices;
+
+const TITLES = {
+  invoice: ["Tax Invoice", "فاتورة ضريبية"],
+  credit_note: ["Credit Note", "إشعار دائن"],
+};
+
+const LABELS = {
+  number: ["Number", "الرقم"],
+  date: ["Date", "التاريخ"],
+  original: ["Original invoice", "الفاتورة الأصلية"],
+  order: ["Order", "الطلب"],
+  seller: ["Seller", "البائع"],
+  buyer: ["Buyer", "المشتري"],
+  vatNumber: ["VAT number", "الرقم الضريبي"],
+  description: ["Description", "الوصف"],
+  quantity: ["Qty", "الكمية"],
+  unitPrice: ["Unit price", "سعر الوحدة"],
+  net: ["Net", "الصافي"],
+  vat: ["VAT", "الضريبة"],
+  total: ["Total", "الإجمالي"],
+  taxable: ["Total excl. VAT", "الإجمالي غير شامل الضريبة"],
+  totalVat: ["VAT", "ضريبة القيمة المضافة"],
+  grandTotal: ["Total incl. VAT", "الإجمالي شامل الضريبة"],
+  baseVat: ["VAT in", "الضريبة بعملة"],
+};
+
+// English only unless a font with Arabic glyphs is configured; the
+// built-in PDF fonts can't draw Arabic.
+const label = ([en, ar]) => (fontFile ? `${en} / ${ar}` : en);
+
+// x offset and width of each table column on an A4 page with 50pt margins.
+const TABLE = [
+  ["description", 50, 190],
+  ["quantity", 240, 40],
+  ["unitPrice", 280, 70],
+  ["net", 350, 70],
+  ["vat", 420, 55],
+  ["total", 475, 70],
+];
+
+function tableRow(doc, y, cells) {
+  let height = 0;
+  for (const [key, x, width] of TABLE) {
+    const text = String(cells[key] ?? "");
+    const align = key === "description" ? "left" : "right";
+    doc.text(text, x, y, { width, align });
+    height = Math.max(height, doc.heightOfString(text, { width }));
+  }
+  return y + height + 6;
+}
+
+function party(doc, heading, { name, vatNumber, address, email }, x, y) {
+  doc.fontSize(9).text(label(heading), x, y, { width: 240, underline: true });
+  doc.fontSize(10).text(name || "-", { width: 240 });
+  if (vatNumber) doc.text(`${label(LABELS.vatNumber)}: ${vatNumber}`);
+  if (address) doc.text(address, { width: 240 });
+  if (email) doc.text(email, { width: 240 });
+}
+
+/**
+ * Lay out `invoice` (a document from the `invoices` collection) with its
+ * ZATCA QR code. Resolves to the PDF as a Buffer.
+ */
+async function renderInvoicePdf(invoice) {
+  const [titleEn] = TITLES[invoice.type];
+  const qrPng = await QRCode.toBuffer(invoice.qrCode, {
+    margin: 1,
+    width: 140,
+  });
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: 50,
+    info: { Title: `${titleEn} ${invoice.number}` },
+  });
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+  if (fontFile) {
+    doc.registerFont("Body", fontFile);
+    doc.font("Body");
+  }
+
+  const issuedAt = invoice.issuedAt?.toDate?.() || new Date(invoice.issuedAt);
+
+  doc.fontSize(18).text(label(TITLES[invoice.type]), 50, 50);
+  doc.image(qrPng, 405, 40, { width: 140 });
+  doc
+    .fontSize(10)
+    .text(`${label(LABELS.number)}: ${invoice.number}`, 50, 85)
+    .text(`${label(LABELS.date)}: ${issuedAt.toISOString()}`)
+    .text(`${label(LABELS.order)}: ${invoice.orderId}`);
+  if (invoice.originalNumber) {
+    doc.text(`${label(LABELS.original)}: ${invoice.originalNumber}`);
+  }
+
+  party(doc, LABELS.seller, invoice.seller, 50, 190);
+  party(doc, LABELS.buyer, invoice.buyer, 305, 190);
+
+  let y = 290;
+  doc.fontSize(9);
+  y = tableRow(
+    doc,
+    y,
+    Object.fromEntries(TABLE.map(([key]) => [key, label(LABELS[key])]))
+  );
+  doc
+    .moveTo(50, y - 3)
+    .lineTo(545, y - 3)
+    .stroke();
+  for (const line of invoice.lines) {
+    if (y > 720) {
+      doc.addPage();
+      y = 50;
+    }
+    y = tableRow(doc, y, line);
+  }
+
+  y += 10;
+  const percent = `${Math.round(invoice.vatRate * 10000) / 100}%`;
+  const totals = [
+    [label(LABELS.taxable), invoice.taxableAmount],
+    [`${label(LABELS.totalVat)} (${percent})`, invoice.vatAmount],
+    [label(LABELS.grandTotal), invoice.total],
+  ];
+  if (invoice.baseVatAmount) {
+    totals.push([
+      `${label(LABELS.baseVat)} ${invoice.baseCurrency}`,
+      invoice.baseVatAmount,
+      invoice.baseCurrency,
+    ]);
+  }
+  doc.fontSize(10);
+  for (const [text, amount, currency = invoice.currency] of totals) {
+    doc.text(text, 280, y, { width: 180, align: "right" });
+    doc.text(`${amount} ${currency}`, 465, y, {
+      width: 80,
+      align: "right",
+    });
+    y += 16;
+  }
+
+  doc.end();
+  return done;
+}
+
+module.exports = { renderInvoicePdf };
@@ -0,0 +1,373 @@
+// lib/invoices.js — sequential tax invoices and credit notes for orders
+//
+// Invoice documents live in `invoices` with deterministic ids
+// (`{orderId}_invoice`, `{orderId}_cn_{refundId}`), so issuing twice is
+// harmless. Numbers run per seller, as ZATCA expects from each taxpayer,
+// from `invoiceCounters/{sellerKey}`. The PDF is kept in Cloud Storage
+// at `invoices/{id}.pdf` and re-rendered from the document if missing.
+
+const { admin, db, bucket } = require("./firebase");
+const { toMinorUnits, formatAmount, allocate } = require("./money");
+const { zatcaQrPayload } = require("./zatca");
+const { renderInvoicePdf } = require("./invoice-pdf");
+const { config } = require("./config");
+const { logger } = require("./logger");
+const { baseAmount } = require("./exchange-rates");
+
+const INVOICEABLE_STATUSES = ["Paid", "PartiallyRefunded", "Refunded"];
+const PREFIXES = { invoice: "INV", credit_note: "CN" };
+// The marketplace's own counter, for suppliers without a VAT number.
+const MARKETPLACE = "_marketplace";
+
+class InvoiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const invoices = () => db.collection("invoices");
+const pdfPath = (invoiceId) => `invoices/${invoiceId}.pdf`;
+
+/**
+ * Who the invoice is from. A supplier registered for VAT invoices in its
+ * own name; otherwise the marketplace is the seller of record.
+ */
+function sellerFor(supplierId, supplier) {
+  if (supplier?.vatNumber) {
+    return {
+      key: supplierId,
+      name: supplier.legalName || supplier.name || supplierId,
+      vatNumber: supplier.vatNumber,
+      address: supplier.address || "",
+    };
+  }
+  return {
+    key: MARKETPLACE,
+    name: config.invoices.sellerName,
+    vatNumber: config.invoices.sellerVatNumber,
+    address: config.invoices.sellerAddress,
+  };
+}
+
+const buyerFor = (order, user) => ({
+  name: user?.companyName || user?.name || order.userName || "",
+  vatNumber: user?.vatNumber || "",
+  address: user?.address || "",
+  email: order.userEmail || user?.email || "",
+});
+
+/**
+ * ZATCA wants the VAT of an invoice in another currency stated in SAR as
+ * well, at the rate the order was priced at.
+ */
+function baseCurrencyVat(order, vat) {
+  const rate = order.exchangeRate;
+  if (!rate || rate.currency === rate.base) return {};
+  return {
+    exchangeRate: rate,
+    baseCurrency: rate.base,
+    baseVatAmount: baseAmount(formatAmount(vat, rate.currency), rate),
+  };
+}
+
+/**
+ * Invoice lines for an order, in minor units until formatted. VAT comes
+ * from the order when its figures add up to what was charged; otherwise
+ * (older orders, partial captures) it is backed out of the total and an
+ * adjustment line reconciles the goods with the taxable amount.
+ */
+function invoiceAmounts(order) {
+  const { currency } = order;
+  const total = toMinorUnits(order.totalAmount, currency);
+  const lines = (order.items || []).map((item) => {
+    const quantity = Number(item.quantity) || 1;
+    const unitPrice = toMinorUnits(item.price, currency);
+    return {
+      description: item.name || item.title || item.productId || "Item",
+      quantity,
+      unitPrice,
+      net: unitPrice * quantity,
+    };
+  });
+  const shipping =
+    order.shippingTotal != null
+      ? toMinorUnits(order.shippingTotal, currency)
+      : (order.items || []).reduce(
+          (sum, item) => sum + toMinorUnits(item.shippingCost || 0, currency),
+          0
+        );
+  if (shipping) {
+    lines.push({
+      description: "Shipping",
+      quantity: 1,
+      unitPrice: shipping,
+      net: shipping,
+    });
+  }
+
+  const net = lines.reduce((sum, l) => sum + l.net, 0);
+  const orderVat =
+    order.vatAmount != null ? toMinorUnits(order.vatAmount, currency) : 0;
+  const vat =
+    order.vatAmount != null && net + orderVat === total
+      ? orderVat
+      : Math.round((total * config.vatRate) / (1 + config.vatRate));
+  const taxable = total - vat;
+  if (taxable !== net) {
+    lines.push({
+      description: "Adjustment",
+      quantity: 1,
+      unitPrice: taxable - net,
+      net: taxable - net,
+    });
+  }
+
+  const lineVat = allocate(
+    vat,
+    lines.map((l) => l.net)
+  );
+  return {
+    lines: lines.map((l, i) => ({
+      description: l.description,
+      quantity: l.quantity,
+      unitPrice: formatAmount(l.unitPrice, currency),
+      net: formatAmount(l.net, currency),
+      vat: formatAmount(lineVat[i], currency),
+      total: formatAmount(l.net + lineVat[i], currency),
+    })),
+    taxable,
+    vat,
+    total,
+    // The rate the figures actually carry, so older orders priced at a
+    // different VAT_RATE still print a consistent invoice.
+    vatRate: taxable
+      ? Math.round((vat / taxable) * 10000) / 10000
+      : config.vatRate,
+  };
+}
+
+/**
+ * Allocate the next number for `sellerKey` and build the document. Must
+ * run inside `t` after all of the caller's reads except the counter.
+ */
+async function numberedInvoice(t, { type, seller, issuedAt, ...fields }) {
+  const counterRef = db.collection("invoiceCounters").doc(seller.key);
+  const counter = await t.get(counterRef);
+  const sequence = (counter.exists ? counter.data()[type] || 0 : 0) + 1;
+  t.set(counterRef, { [type]: sequence }, { merge: true });
+
+  const { key, ...sellerDetails } = seller;
+  return {
+    type,
+    number: `${PREFIXES[type]}-${String(sequence).padStart(6, "0")}`,
+    sequence,
+    sellerKey: key,
+    seller: sellerDetails,
+    issuedAt: admin.firestore.Timestamp.fromDate(issuedAt),
+    qrCode: zatcaQrPayload({
+      sellerName: sellerDetails.name,
+      vatNumber: sellerDetails.vatNumber,
+      timestamp: issuedAt,
+      total: fields.total,
+      vat: fields.vatAmount,
+    }),
+    pdfPath: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    ...fields,
+  };
+}
+
+/** Render and upload the PDF, recording where it went. */
+async function storePdf(invoiceId, invoice) {
+  const pdf = await renderInvoicePdf(invoice);
+  await bucket()
+    .file(pdfPath(invoiceId))
+    .save(pdf, { contentType: "application/pdf", resumable: false });
+  await invoices()
+    .doc(invoiceId)
+    .update({ pdfPath: pdfPath(invoiceId) });
+  return pdf;
+}
+
+/**
+ * Issue the tax invoice for a paid order (once). Resolves to
+ * `{ id, ...invoice }`.
+ */
+async function issueInvoice(orderId) {
+  const invoiceRef = invoices().doc(`${orderId}_invoice`);
+  const orderRef = db.collection("orders").doc(orderId);
+
+  const { invoice, created } = await db.runTransaction(async (t) => {
+    const existing = await t.get(invoiceRef);
+    if (existing.exists) return { invoice: existing.data(), created: false };
+
+    const orderSnap = await t.get(orderRef);
+    if (!orderSnap.exists) throw new InvoiceError("Order not found", 404);
+    const order = orderSnap.data();
+    if (!INVOICEABLE_STATUSES.includes(order.orderStatus)) {
+      throw new InvoiceError(
+        `Order is ${order.orderStatus}; only paid orders are invoiced`,
+        409
+      );
+    }
+
+    const [supplierSnap, userSnap] = await Promise.all([
+      t.get(db.collection("suppliers").doc(order.supplierId)),
+      t.get(db.collection("users").doc(order.userId)),
+    ]);
+    const amounts = invoiceAmounts(order);
+    const currency = order.currency || config.currency;
+    const doc = await numberedInvoice(t, {
+      type: "invoice",
+      seller: sellerFor(order.supplierId, supplierSnap.data()),
+      issuedAt: new Date(),
+      buyer: buyerFor(order, userSnap.data()),
+      orderId,
+      paymentId: order.paymentId || order.transactionId || null,
+      userId: order.userId,
+      supplierId: order.supplierId,
+      currency,
+      vatRate: amounts.vatRate,
+      lines: amounts.lines,
+      taxableAmount: formatAmount(amounts.taxable, currency),
+      vatAmount: formatAmount(amounts.vat, currency),
+      total: formatAmount(amounts.total, currency),
+      ...baseCurrencyVat(order, amounts.vat),
+    });
+
+    t.set(invoiceRef, doc);
+    t.update(orderRef, { invoiceId: invoiceRef.id, invoiceNumber: doc.number });
+    return { invoice: doc, created: true };
+  });
+
+  if (created) await storePdf(invoiceRef.id, invoice);
+  return { id: invoiceRef.id, ...invoice };
+}
+
+/**
+ * Issue the credit note for a succeeded refund (once), referencing the
+ * order's invoice, which is issued first if it never was. The refunded
+ * amount includes VAT at the invoice's rate.
+ */
+async function issueCreditNote(orderId, refundId) {
+  const original = await issueInvoice(orderId);
+  const noteRef = invoices().doc(`${orderId}_cn_${refundId}`);
+  const refundRef = db
+    .collection("orders")
+    .doc(orderId)
+    .collection("refunds")
+    .doc(refundId);
+
+  const { note, created } = await db.runTransaction(async (t) => {
+    const existing = await t.get(noteRef);
+    if (existing.exists) return { note: existing.data(), created: false };
+
+    const refundSnap = await t.get(refundRef);
+    if (!refundSnap.exists) throw new InvoiceError("Refund not found", 404);
+    const refund = refundSnap.data();
+    if (refund.status !== "succeeded") {
+      throw new InvoiceError("Only succeeded refunds get a credit note", 409);
+    }
+
+    const currency = refund.currency || original.currency;
+    const total = toMinorUnits(refund.amount, currency);
+    const vat = Math.round((total * original.vatRate) / (1 + original.vatRate));
+    const doc = await numberedInvoice(t, {
+      type: "credit_note",
+      seller: { key: original.sellerKey, ...original.seller },
+      issuedAt: new Date(),
+      buyer: original.buyer,
+      orderId,
+      refundId,
+      originalInvoiceId: original.id,
+      originalNumber: original.number,
+      paymentId: original.paymentId,
+      userId: original.userId,
+      supplierId: original.supplierId,
+      currency,
+      vatRate: original.vatRate,
+      lines: [
+        {
+          description: `${
+            refund.paymentType === "RV" ? "Reversal" : "Refund"
+          } of ${original.number}`,
+          quantity: 1,
+          unitPrice: formatAmount(total - vat, currency),
+          net: formatAmount(total - vat, currency),
+          vat: formatAmount(vat, currency),
+          total: formatAmount(total, currency),
+        },
+      ],
+      taxableAmount: formatAmount(total - vat, currency),
+      vatAmount: formatAmount(vat, currency),
+      total: formatAmount(total, currency),
+    });
+
+    t.set(noteRef, doc);
+    t.update(refundRef, {
+      creditNoteId: noteRef.id,
+      creditNoteNumber: doc.number,
+    });
+    return { note: doc, created: true };
+  });
+
+  if (created) await storePdf(noteRef.id, note);
+  return { id: noteRef.id, ...note };
+}
+
+/**
+ * Issue invoices for orders that just became paid (or credit notes for a
+ * refund) without letting a failure reach the payment flow; anything
+ * missed is issued on first download.
+ */
+async function issueQuietly(issue, ...args) {
+  try {
+    return await issue(...args);
+  } catch (err) {
+    logger.error("Issuing invoice failed", { args, err });
+    return null;
+  }
+}
+
+/** Resolves to `{ id, ...invoice }` or null. */
+async function getInvoice(invoiceId) {
+  const snap = await invoices().doc(invoiceId).get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+/** The order's invoice and credit notes, oldest first. */
+async function listInvoices(orderId) {
+  const snap = await invoices().where("orderId", "==", orderId).get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => a.issuedAt.toMillis() - b.issuedAt.toMillis());
+}
+
+/** The stored PDF, rendering and storing it first if it never was. */
+async function invoicePdf(invoice) {
+  if (invoice.pdfPath) {
+    const [pdf] = await bucket().file(invoice.pdfPath).download();
+    return pdf;
+  }
+  return storePdf(invoice.id, invoice);
+}
+
+const canViewInvoice = (invoice, user) =>
+  user?.admin === true ||
+  user?.support === true ||
+  invoice.userId === user?.uid ||
+  (user?.supplier === true && invoice.supplierId === user.uid);
+
+module.exports = {
+  issueInvoice,
+  issueCreditNote,
+  issueQuietly,
+  getInvoice,
+  listInvoices,
+  invoicePdf,
+  canViewInvoice,
+  invoiceAmounts,
+  InvoiceError,
+  INVOICEABLE_STATUSES,
+};
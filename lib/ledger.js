@@ -0,0 +1,276 @@
+// lib/ledger.js — what we owe each supplier: one entry per sale and refund
+//
+// Entries live in `ledgerEntries` with deterministic ids (`{orderId}_sale`,
+// `{orderId}_refund_{refundId}`), so writing one twice is harmless. For
+// every entry `net = gross - commission - gatewayFee`; refunds carry
+// negative figures so a period's entries simply add up.
+
+const { admin, db } = require("./firebase");
+const { toMinorUnits, formatAmount, allocate } = require("./money");
+const { toPlain } = require("./serialize");
+const { toCsv } = require("./csv");
+const { config } = require("./config");
+const { convertAmount } = require("./exchange-rates");
+
+const { commissionRate, gatewayFeeRate, gatewayFeeFixed } = config.ledger;
+
+const ledgerEntries = () => db.collection("ledgerEntries");
+
+const isRate = (value) => typeof value === "number" && value >= 0 && value < 1;
+
+/**
+ * Commission is configurable at three levels, most specific first:
+ * `suppliers/{id}.commissionRate`, then `settings/commission.categories`
+ * keyed by the cart item's `category`, then `settings/commission.defaultRate`,
+ * then LEDGER_COMMISSION_RATE.
+ *
+ * `get` lets a transaction do the reads. Resolves to
+ * `(supplierId, category) => rate`.
+ */
+async function loadCommissionRules(supplierIds, get = (ref) => ref.get()) {
+  const [settingsSnap, ...supplierSnaps] = await Promise.all([
+    get(db.collection("settings").doc("commission")),
+    ...supplierIds.map((id) => get(db.collection("suppliers").doc(id))),
+  ]);
+  const settings = settingsSnap.exists ? settingsSnap.data() : {};
+  const categories = settings.categories || {};
+  const fallback = isRate(settings.defaultRate)
+    ? settings.defaultRate
+    : commissionRate;
+
+  const bySupplier = {};
+  supplierIds.forEach((id, i) => {
+    const rate = supplierSnaps[i].exists
+      ? supplierSnaps[i].data().commissionRate
+      : undefined;
+    if (isRate(rate)) bySupplier[id] = rate;
+  });
+
+  return (supplierId, category) => {
+    if (supplierId in bySupplier) return bySupplier[supplierId];
+    return isRate(categories[category]) ? categories[category] : fallback;
+  };
+}
+
+/**
+ * Commission on an order's goods (shipping and VAT are passed through),
+ * in minor units. Resolves to `{ base, commission }`.
+ */
+function commissionOn(items, supplierId, rateFor, currency) {
+  let base = 0;
+  let commission = 0;
+  for (const item of items || []) {
+    const line = toMinorUnits(item.price, currency) * Number(item.quantity);
+    if (!Number.isFinite(line)) continue;
+    base += line;
+    commission += Math.round(line * rateFor(supplierId, item.category));
+  }
+  return { base, commission };
+}
+
+/**
+ * HyperPay's fee for charging `amount` minor units. The fixed part is set
+ * in the base currency and converted at `exchangeRate` for other ones.
+ */
+const gatewayFeeFor = (amount, currency, exchangeRate) =>
+  Math.round(amount * gatewayFeeRate) +
+  toMinorUnits(
+    exchangeRate && exchangeRate.currency === currency
+      ? convertAmount(gatewayFeeFixed, exchangeRate)
+      : gatewayFeeFixed,
+    currency
+  );
+
+/**
+ * Sale entries for money that has actually been taken: one per order,
+ * with the payment's gateway fee shared across the orders it paid for.
+ *
+ * `orders` is `[{ orderId, supplierId, items, amount, orderTotal }]` where
+ * `amount` is what was taken for the order. A PA captured for less than
+ * its `orderTotal` has its commission scaled down to match. Amounts are
+ * in `currency`; `exchangeRate` is the checkout's snapshot when that isn't
+ * the base currency.
+ *
+ * Returns `[{ id, entry }]` for the caller to write in its own batch or
+ * transaction.
+ */
+function buildSaleEntries({
+  paymentId,
+  transactionId,
+  currency,
+  exchangeRate,
+  orders,
+  rateFor,
+}) {
+  const amounts = orders.map((o) => toMinorUnits(o.amount, currency));
+  const fees = allocate(
+    gatewayFeeFor(
+      amounts.reduce((a, b) => a + b, 0),
+      currency,
+      exchangeRate
+    ),
+    amounts
+  );
+
+  return orders.map((order, i) => {
+    const gross = amounts[i];
+    const goods = commissionOn(
+      order.items,
+      order.supplierId,
+      rateFor,
+      currency
+    );
+    const orderTotal = toMinorUnits(order.orderTotal ?? order.amount, currency);
+    const commission =
+      orderTotal && gross < orderTotal
+        ? Math.round((goods.commission * gross) / orderTotal)
+        : goods.commission;
+
+    return {
+      id: `${order.orderId}_sale`,
+      entry: {
+        type: "sale",
+        orderId: order.orderId,
+        paymentId,
+        transactionId: transactionId || paymentId,
+        supplierId: order.supplierId,
+        currency: currency || null,
+        gross: formatAmount(gross, currency),
+        commissionBase: formatAmount(goods.base, currency),
+        commission: formatAmount(commission, currency),
+        gatewayFee: formatAmount(fees[i], currency),
+        net: formatAmount(gross - commission - fees[i], currency),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+    };
+  });
+}
+
+/**
+ * Refund entry for `amount` refunded on an order. Commission is handed
+ * back in proportion to the sale it reverses; HyperPay keeps its fee.
+ * Orders paid before the ledger existed have no sale entry, so nothing
+ * is handed back and the entry is marked.
+ */
+function buildRefundEntry({
+  orderId,
+  order,
+  refundId,
+  amount,
+  transactionId,
+  sale,
+}) {
+  const { currency } = order;
+  const refunded = toMinorUnits(amount, currency);
+  const saleGross = sale ? toMinorUnits(sale.gross, currency) : 0;
+  const commission = saleGross
+    ? Math.round(
+        (toMinorUnits(sale.commission, currency) * refunded) / saleGross
+      )
+    : 0;
+
+  return {
+    id: `${orderId}_refund_${refundId}`,
+    entry: {
+      type: "refund",
+      orderId,
+      paymentId: order.paymentId || order.transactionId || null,
+      transactionId: transactionId || null,
+      refundId,
+      supplierId: order.supplierId,
+      currency: order.currency || null,
+      gross: formatAmount(-refunded, currency),
+      commission: formatAmount(-commission, currency),
+      gatewayFee: formatAmount(0, currency),
+      net: formatAmount(-refunded + commission, currency),
+      ...(sale ? {} : { saleEntryMissing: true }),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+  };
+}
+
+const saleEntryRef = (orderId) => ledgerEntries().doc(`${orderId}_sale`);
+
+// ── Statements ──────────────────────────────────────────────
+
+const SUMMED = ["gross", "commission", "gatewayFee", "net"];
+
+function summarize(entries) {
+  const totals = {};
+  for (const entry of entries) {
+    const currency = entry.currency || "";
+    const sum = (totals[currency] ||= {
+      sales: 0,
+      refunds: 0,
+      ...Object.fromEntries(SUMMED.map((k) => [k, 0])),
+    });
+    sum[entry.type === "refund" ? "refunds" : "sales"] += 1;
+    for (const key of SUMMED) sum[key] += toMinorUnits(entry[key], currency);
+  }
+  for (const [currency, sum] of Object.entries(totals)) {
+    for (const key of SUMMED) sum[key] = formatAmount(sum[key], currency);
+  }
+  return totals;
+}
+
+/**
+ * Settlement statements for `[from, to]`, one per supplier (or just
+ * `supplierId`'s). Totals are per currency. Resolves to
+ * `[{ supplierId, from, to, totals, entries }]`.
+ */
+async function buildStatements({ from, to, supplierId }) {
+  let query = ledgerEntries();
+  if (supplierId) query = query.where("supplierId", "==", supplierId);
+  const snap = await query
+    .where("createdAt", ">=", from)
+    .where("createdAt", "<=", to)
+    .orderBy("createdAt")
+    .get();
+
+  const bySupplier = {};
+  if (supplierId) bySupplier[supplierId] = [];
+  for (const doc of snap.docs) {
+    const entry = { id: doc.id, ...toPlain(doc.data()) };
+    (bySupplier[entry.supplierId] ||= []).push(entry);
+  }
+
+  return Object.entries(bySupplier).map(([id, entries]) => ({
+    supplierId: id,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    totals: summarize(entries),
+    entries,
+  }));
+}
+
+const CSV_COLUMNS = [
+  "createdAt",
+  "supplierId",
+  "type",
+  "orderId",
+  "paymentId",
+  "transactionId",
+  "refundId",
+  "currency",
+  "gross",
+  "commission",
+  "gatewayFee",
+  "net",
+];
+
+/** One CSV for any number of statements, a row per ledger entry. */
+const statementsToCsv = (statements) =>
+  toCsv(
+    statements.flatMap((s) => s.entries),
+    CSV_COLUMNS
+  );
+
+module.exports = {
+  loadCommissionRules,
+  buildSaleEntries,
+  buildRefundEntry,
+  buildStatements,
+  statementsToCsv,
+  saleEntryRef,
+  ledgerEntries,
+};
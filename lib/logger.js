@@ -0,0 +1,176 @@
+// lib/logger.js — structured JSON logs with request ids and PII redaction
+//
+// One JSON object per line: `{ time, level, msg, requestId, ...fields }`.
+// Fields are redacted before they are written, so HyperPay responses,
+// checkout parameters and errors can be logged as they are without card,
+// customer or billing data ending up in the log pipeline.
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const { config } = require("./config");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = "[redacted]";
+
+// Whole objects that only hold personal or card data. Matched on the
+// first segment too, so form keys like `customer.email` are covered.
+const REDACTED_OBJECTS = ["card", "customer", "billing", "shipping"];
+const REDACTED_KEYS = [
+  "email",
+  "useremail",
+  "actoremail",
+  "name",
+  "username",
+  "givenname",
+  "surname",
+  "holder",
+  "mobile",
+  "phone",
+  "street",
+  "street1",
+  "street2",
+  "postcode",
+  "ip",
+  "number",
+  "cvv",
+  "expirymonth",
+  "expiryyear",
+  "registrationid",
+  "accesstoken",
+  "authorization",
+  "password",
+  "pass",
+  "secret",
+  "token",
+];
+// Worth keeping for correlation, but not in full.
+const MASKED_KEYS = ["entityid"];
+
+const PAN = /\b\d(?:[ -]?\d){12,18}\b/g;
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+const context = new AsyncLocalStorage();
+
+const mask = (value) => {
+  const text = String(value);
+  return text.length > 4 ? `…${text.slice(-4)}` : REDACTED;
+};
+
+function serializeError(err) {
+  return {
+    type: err.name,
+    message: err.message,
+    ...(err.code !== undefined ? { code: err.code } : {}),
+    ...(err.status !== undefined ? { status: err.status } : {}),
+    ...(err.result ? { result: err.result } : {}),
+    stack: err.stack,
+  };
+}
+
+/** A copy of `value` that is safe to log. */
+function redact(value, depth = 0) {
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (typeof value === "string") {
+    return value.replace(PAN, "[pan]").replace(EMAIL, "[email]");
+  }
+  if (value === null || typeof value !== "object") return value;
+  if (depth > 8) return "[depth]";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+  if (value instanceof URLSearchParams) {
+    return redact(Object.fromEntries(value), depth);
+  }
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    const lower = key.toLowerCase();
+    const head = lower.split(/[.[]/)[0];
+    if (
+      REDACTED_OBJECTS.includes(head) ||
+      REDACTED_KEYS.includes(lower) ||
+      REDACTED_KEYS.includes(lower.split(".").pop())
+    ) {
+      out[key] = REDACTED;
+    } else if (MASKED_KEYS.includes(lower)) {
+      out[key] = v == null ? v : mask(v);
+    } else {
+      out[key] = redact(v, depth + 1);
+    }
+  }
+  return out;
+}
+
+/** The id of the request being handled, if any. */
+const currentRequestId = () => context.getStore()?.requestId;
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < LEVELS[config.log.level]) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(currentRequestId() ? { requestId: currentRequestId() } : {}),
+    ...redact(fields || {}),
+  };
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch {
+    line = JSON.stringify({ ...entry, fields: "[unserializable]" });
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(
+    `${line}\n`
+  );
+}
+
+const logger = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+const REQUEST_ID = /^[\w.:-]{1,64}$/;
+
+/**
+ * Express middleware: give every request an id (the caller's
+ * X-Request-Id when it looks sane), echo it back, make it available to
+ * everything the request runs, and log the response.
+ */
+function requestLogging() {
+  return (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    const requestId = REQUEST_ID.test(incoming || "")
+      ? incoming
+      : crypto.randomUUID();
+    req.id = requestId;
+    res.setHeader("X-Request-Id", requestId);
+
+    const started = process.hrtime.bigint();
+    context.run({ requestId }, () => {
+      res.on("finish", () => {
+        const status = res.statusCode;
+        logger[status >= 500 ? "error" : "info"]("request", {
+          requestId,
+          method: req.method,
+          // The route pattern, so ids and card tokens in the URL stay out.
+          path: req.route ? `${req.baseUrl}${req.route.path}` : req.path,
+          status,
+          durationMs:
+            Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+          userId: req.user?.uid,
+        });
+      });
+      next();
+    });
+  };
+}
+
+module.exports = {
+  logger,
+  redact,
+  requestLogging,
+  currentRequestId,
+  LEVELS,
+};
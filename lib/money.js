@@ -0,0 +1,39 @@
+// lib/money.js — amounts are handled in minor units (halalas) to avoid float drift
+
+// Digits after the decimal point (ISO 4217). The GCC currencies we take
+// have two, except the 3-decimal Kuwaiti, Bahraini and Omani ones.
+const MINOR_UNIT_DIGITS = { BHD: 3, JOD: 3, KWD: 3, OMR: 3 };
+
+/** How many decimals `currency` has; 2 when not given. */
+const minorUnitDigits = (currency) => MINOR_UNIT_DIGITS[currency] ?? 2;
+
+const toMinorUnits = (value, currency) => {
+  const n = Number(value);
+  return Number.isFinite(n)
+    ? Math.round(n * 10 ** minorUnitDigits(currency))
+    : NaN;
+};
+
+// HyperPay expects amounts as strings with exactly the currency's
+// decimals: "10.00" SAR, "10.000" KWD.
+const formatAmount = (minorUnits, currency) => {
+  const digits = minorUnitDigits(currency);
+  return (minorUnits / 10 ** digits).toFixed(digits);
+};
+
+/**
+ * Split `total` minor units across `shares` in proportion, handing the
+ * rounding remainder to the last share so the parts add up exactly.
+ */
+function allocate(total, shares) {
+  const sum = shares.reduce((a, b) => a + b, 0);
+  let given = 0;
+  return shares.map((share, i) => {
+    if (i === shares.length - 1) return total - given;
+    const part = sum ? Math.round((total * share) / sum) : 0;
+    given += part;
+    return part;
+  });
+}
+
+module.exports = { toMinorUnits, formatAmount, allocate, minorUnitDigits };
@@ -0,0 +1,32 @@
+// lib/notifications.js — connect the configured sinks to the event bus
+
+const { registerSink } = require("./events");
+const { createEmailSink, smtpTransport } = require("./email-sink");
+const { createWebhookSink } = require("./webhook-sink");
+const { config } = require("./config");
+
+/**
+ * Register the email sink (when SMTP is configured) and one webhook sink
+ * per EVENT_WEBHOOK_URLS entry. Returns the registered sink names.
+ */
+function registerConfiguredSinks() {
+  const names = [];
+  const transport = smtpTransport();
+  if (transport) {
+    const sink = createEmailSink({ transport });
+    registerSink(sink);
+    names.push(sink.name);
+  }
+  for (const url of config.events.webhookUrls) {
+    const sink = createWebhookSink({
+      url,
+      secret: config.events.webhookSecret,
+      timeoutMs: config.events.webhookTimeoutMs,
+    });
+    registerSink(sink);
+    names.push(sink.name);
+  }
+  return names;
+}
+
+module.exports = { registerConfiguredSinks };
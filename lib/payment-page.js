@@ -0,0 +1,145 @@
+// lib/payment-page.js — the hosted COPYandPAY page, in Arabic and English
+
+const { escapeHtml } = require("./html");
+
+const LOCALES = ["ar", "en"];
+
+const STRINGS = {
+  en: {
+    title: "Secure payment",
+    heading: "Complete your payment",
+    amount: "Amount due",
+    note: "Your card details go straight to our payment provider and are never stored by Marsos.",
+    unavailableTitle: "Payment link unavailable",
+    notFound: "We could not find this checkout.",
+    paid: "This checkout has already been paid.",
+    closed:
+      "This checkout is no longer valid. Please return to your cart and try again.",
+    back: "Back to the shop",
+  },
+  ar: {
+    title: "الدفع الآمن",
+    heading: "أكمل عملية الدفع",
+    amount: "المبلغ المستحق",
+    note: "تُرسل بيانات بطاقتك مباشرة إلى مزود الدفع ولا يحتفظ بها مرسوس.",
+    unavailableTitle: "رابط الدفع غير متاح",
+    notFound: "لم نتمكن من العثور على عملية الدفع هذه.",
+    paid: "تم دفع هذه العملية مسبقاً.",
+    closed:
+      "لم تعد عملية الدفع هذه صالحة. يرجى العودة إلى سلة التسوق والمحاولة مرة أخرى.",
+    back: "العودة إلى المتجر",
+  },
+};
+
+const STYLE = `
+  body { font-family: Arial, Tahoma, sans-serif; background: #f5f6f8;
+    color: #1f2933; margin: 0; }
+  main { max-width: 480px; margin: 40px auto; background: #fff;
+    border-radius: 8px; padding: 24px; box-shadow: 0 1px 4px rgba(0,0,0,.08); }
+  h1 { font-size: 20px; margin: 0 0 16px; }
+  .amount { font-size: 24px; font-weight: bold; margin: 4px 0 20px; }
+  .note { color: #616e7c; font-size: 13px; margin-top: 16px; }
+  a { color: #0b6bcb; }
+`;
+
+/**
+ * "ar" or "en": an explicit `?lang=` wins, then the browser's
+ * Accept-Language, then Arabic.
+ */
+function pickLocale(req) {
+  const lang = String(req.query.lang || "").toLowerCase();
+  if (LOCALES.includes(lang)) return lang;
+  return req.acceptsLanguages(...LOCALES) || "ar";
+}
+
+// JSON inside a <script> must not be able to close the element.
+const scriptJson = (value) => JSON.stringify(value).replace(/</g, "\\u003c");
+
+function layout({ locale, nonce, title, body, head = "" }) {
+  const dir = locale === "ar" ? "rtl" : "ltr";
+  return `<!doctype html>
+<html lang="${locale}" dir="${dir}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+${head}
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>`;
+}
+
+/**
+ * The payment form for a pending checkout. `shopperResultUrl` is where
+ * HyperPay sends the shopper afterwards (our /api/payment-status).
+ */
+function renderPaymentPage({
+  checkout,
+  brands,
+  locale,
+  nonce,
+  widgetOrigin,
+  shopperResultUrl,
+  merchantName,
+}) {
+  const t = STRINGS[locale];
+  const wpwlOptions = {
+    locale,
+    style: "card",
+    brandDetection: true,
+    ...(brands.includes("APPLEPAY")
+      ? {
+          applePay: {
+            displayName: merchantName,
+            total: { label: merchantName },
+            countryCode: "SA",
+          },
+        }
+      : {}),
+  };
+  const widgetUrl = `${widgetOrigin}/v1/paymentWidgets.js?checkoutId=${encodeURIComponent(
+    checkout.id
+  )}`;
+
+  return layout({
+    locale,
+    nonce,
+    title: t.title,
+    head: `<script nonce="${escapeHtml(nonce)}">var wpwlOptions = ${scriptJson(
+      wpwlOptions
+    )};</script>
+<script nonce="${escapeHtml(nonce)}" src="${escapeHtml(widgetUrl)}"></script>`,
+    body: `<h1>${escapeHtml(t.heading)}</h1>
+<div>${escapeHtml(t.amount)}</div>
+<div class="amount" dir="ltr">${escapeHtml(checkout.amount)} ${escapeHtml(
+      checkout.currency
+    )}</div>
+<form action="${escapeHtml(
+      shopperResultUrl
+    )}" class="paymentWidgets" data-brands="${escapeHtml(
+      brands.join(" ")
+    )}"></form>
+<p class="note">${escapeHtml(t.note)}</p>`,
+  });
+}
+
+/** Shown instead of the form: "notFound", "paid" or "closed". */
+function renderUnavailablePage({ reason, locale, nonce, backUrl }) {
+  const t = STRINGS[locale];
+  return layout({
+    locale,
+    nonce,
+    title: t.unavailableTitle,
+    body: `<h1>${escapeHtml(t.unavailableTitle)}</h1>
+<p>${escapeHtml(t[reason])}</p>
+<p><a href="${escapeHtml(backUrl)}">${escapeHtml(t.back)}</a></p>`,
+  });
+}
+
+module.exports = { renderPaymentPage, renderUnavailablePage, pickLocale };
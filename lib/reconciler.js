@@ -0,0 +1,372 @@
+// lib/reconciler.js — settle checkouts the shopper never came back from
+//
+// Also settles refunds, captures and voids whose call got no answer from
+// HyperPay.
+
+const { admin, db } = require("./firebase");
+const { config } = require("./config");
+const { hyperpay, rejectionBody } = require("./hyperpay-client");
+const { classifyResult } = require("./result-codes");
+const { finalizePayment, reportFailedPayment } = require("./finalize-payment");
+const { recordAttemptResult, expireAttempt } = require("./attempts");
+const { settleRefund } = require("./refunds");
+const { completeOperation } = require("./authorizations");
+const {
+  recordRenewalFailure,
+  releaseRenewalCharge,
+} = require("./subscription-billing");
+
+const MINUTE = 60 * 1000;
+
+// Only payments that can turn into an order; refunds etc. are ignored.
+const ORDER_PAYMENT_TYPES = ["DB", "PA"];
+
+/**
+ * Every payment HyperPay has for a checkout. The transaction query by
+ * merchantTransactionId works at any age; the checkout-id lookup is the
+ * fallback for records without one and only answers for a short while.
+ */
+async function findPayments(checkout, entityId) {
+  if (checkout.merchantTransactionId) {
+    const report = await hyperpay
+      .queryByMerchantTransactionId(checkout.merchantTransactionId, entityId)
+      .catch(rejectionBody);
+    return report.payments || [];
+  }
+
+  const payment = await hyperpay
+    .getCheckoutPayment(checkout.id, entityId)
+    .catch(rejectionBody);
+  return payment.id ? [payment] : [];
+}
+
+/**
+ * Ask HyperPay what happened to one pending checkout and act on it:
+ *   finalized — a successful payment exists; the order is created
+ *   failed    — only declined attempts exist
+ *   expired   — nothing final after `expireAfterMinutes`
+ *   pending   — still undecided; try again on the next run
+ *
+ * With `dryRun` the outcome is reported but nothing is written.
+ * Resolves to `{ checkoutId, action, transactionId, resultCode }`.
+ */
+async function reconcileCheckout(
+  checkout,
+  { now = new Date(), dryRun = false } = {}
+) {
+  const checkoutRef = db.collection("checkouts").doc(checkout.id);
+  const entityId = checkout.entityId || config.hyperpay.entityIds.default;
+
+  const payments = (await findPayments(checkout, entityId)).filter((p) =>
+    ORDER_PAYMENT_TYPES.includes(p.paymentType)
+  );
+  const classified = payments.map((p) => ({
+    payment: p,
+    outcome: classifyResult(p).outcome,
+  }));
+  if (!dryRun) {
+    for (const payment of payments) {
+      await recordAttemptResult({ checkout, payment, source: "reconciler" });
+    }
+  }
+
+  const paid = classified.find((c) =>
+    ["success", "review"].includes(c.outcome)
+  );
+  if (paid) {
+    if (!dryRun) {
+      await finalizePayment({
+        payment: paid.payment,
+        userId: checkout.userId,
+        supplierId: checkout.supplierId,
+        checkoutId: checkout.id,
+        source: "reconciler",
+      });
+    }
+    return result(checkout, "finalized", paid.payment);
+  }
+
+  if (classified.some((c) => c.outcome === "pending")) {
+    return result(checkout, "pending");
+  }
+
+  if (classified.length) {
+    const last = classified[classified.length - 1].payment;
+    if (!dryRun) {
+      await checkoutRef.update({
+        status: "failed",
+        lastResult: last.result || null,
+        reconciledAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      await reportFailedPayment({
+        payment: last,
+        checkout,
+        source: "reconciler",
+      });
+      await recordRenewalFailure({ checkout, payment: last, now });
+    }
+    return result(checkout, "failed", last);
+  }
+
+  const createdAt = checkout.createdAt?.toDate?.() || now;
+  const ageMinutes = (now - createdAt) / MINUTE;
+  if (ageMinutes >= config.reconciler.expireAfterMinutes) {
+    if (!dryRun) {
+      await checkoutRef.update({
+        status: "expired",
+        reconciledAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      await expireAttempt(checkout.id);
+      await releaseRenewalCharge(checkout);
+    }
+    return result(checkout, "expired");
+  }
+
+  return result(checkout, "pending");
+}
+
+const result = (checkout, action, payment) => ({
+  checkoutId: checkout.id,
+  merchantTransactionId: checkout.merchantTransactionId,
+  action,
+  transactionId: payment?.id || null,
+  resultCode: payment?.result?.code || null,
+});
+
+/**
+ * Reconcile every pending checkout created between `from` and `to`.
+ * Checkouts younger than `minAgeMinutes` are left alone, since their
+ * shopper may still be on the 3DS page.
+ *
+ * Resolves to the list of per-checkout results.
+ */
+async function reconcilePending({
+  from = new Date(0),
+  to = new Date(),
+  minAgeMinutes = config.reconciler.minAgeMinutes,
+  dryRun = false,
+  now = new Date(),
+} = {}) {
+  const cutoff = new Date(
+    Math.min(to.getTime(), now.getTime() - minAgeMinutes * MINUTE)
+  );
+  const snap = await db
+    .collection("checkouts")
+    .where("status", "==", "pending")
+    .where("createdAt", ">=", from)
+    .where("createdAt", "<=", cutoff)
+    .get();
+
+  const results = [];
+  for (const doc of snap.docs) {
+    try {
+      results.push(
+        await reconcileCheckout({ id: doc.id, ...doc.data() }, { now, dryRun })
+      );
+    } catch (err) {
+      results.push({
+        checkoutId: doc.id,
+        merchantTransactionId: doc.data().merchantTransactionId,
+        action: "error",
+        error: err.message,
+      });
+    }
+  }
+  return results;
+}
+
+// ── Refunds and reversals ───────────────────────────────────
+
+/**
+ * Ask HyperPay what happened to one pending refund and settle it:
+ *   succeeded — HyperPay refunded; it is recorded as if it had answered
+ *   failed    — HyperPay declined it, or has no record of it after
+ *               `expireAfterMinutes`; the reserved amount is released
+ *   pending   — still undecided; try again on the next run
+ *
+ * Resolves to `{ orderId, refundId, action, transactionId, resultCode }`.
+ */
+async function reconcileRefund(refund, { now = new Date() } = {}) {
+  const orderSnap = await db.collection("orders").doc(refund.orderId).get();
+  const entityId =
+    orderSnap.data().entityId || config.hyperpay.entityIds.default;
+
+  const report = await hyperpay
+    .queryByMerchantTransactionId(refund.merchantTransactionId, entityId)
+    .catch(rejectionBody);
+  const payment = (report.payments || []).find(
+    (p) => p.paymentType === refund.paymentType
+  );
+  const outcome = payment ? classifyResult(payment).outcome : null;
+  const refundResult = (action) => ({
+    orderId: refund.orderId,
+    refundId: refund.id,
+    action,
+    transactionId: payment?.id || null,
+    resultCode: payment?.result?.code || null,
+  });
+
+  if (outcome === "pending") return refundResult("pending");
+  if (!payment) {
+    const createdAt = refund.createdAt?.toDate?.() || now;
+    if ((now - createdAt) / MINUTE < config.reconciler.expireAfterMinutes) {
+      return refundResult("pending");
+    }
+  }
+
+  const succeeded = outcome === "success";
+  await settleRefund({
+    orderId: refund.orderId,
+    refundId: refund.id,
+    succeeded,
+    response: payment || null,
+  });
+  return refundResult(succeeded ? "succeeded" : "failed");
+}
+
+/**
+ * Reconcile every refund still pending `minAgeMinutes` after it was
+ * requested; younger ones may still be waiting on their HyperPay call.
+ *
+ * Resolves to the list of per-refund results.
+ */
+async function reconcilePendingRefunds({
+  minAgeMinutes = config.reconciler.minAgeMinutes,
+  now = new Date(),
+} = {}) {
+  const snap = await db
+    .collectionGroup("refunds")
+    .where("status", "==", "pending")
+    .where("createdAt", "<=", new Date(now.getTime() - minAgeMinutes * MINUTE))
+    .get();
+
+  const results = [];
+  for (const doc of snap.docs) {
+    const refund = { id: doc.id, ...doc.data() };
+    try {
+      results.push(await reconcileRefund(refund, { now }));
+    } catch (err) {
+      results.push({
+        orderId: refund.orderId,
+        refundId: refund.id,
+        action: "error",
+        error: err.message,
+      });
+    }
+  }
+  return results;
+}
+
+// ── Captures and voids ──────────────────────────────────────
+
+const OPERATION_PAYMENT_TYPES = { capture: "CP", void: "RV" };
+
+/**
+ * Ask HyperPay what happened to the capture or void of an order left
+ * `Capturing` or `Voiding`, and complete it:
+ *   succeeded — HyperPay carried it out
+ *   failed    — HyperPay declined it, or has no record of it after
+ *               `expireAfterMinutes`; the order is `Authorized` again
+ *               (or `Expired`, for the void of a lapsed authorization)
+ *   pending   — still undecided; try again on the next run
+ *
+ * Resolves to `{ orderId, operation, action, transactionId, resultCode }`.
+ */
+async function reconcileAuthorizationOperation(
+  order,
+  { now = new Date() } = {}
+) {
+  const operation = order.orderStatus === "Capturing" ? "capture" : "void";
+  const entityId = order.entityId || config.hyperpay.entityIds.default;
+
+  let payment = null;
+  if (order.pendingOperationId) {
+    const report = await hyperpay
+      .queryByMerchantTransactionId(order.pendingOperationId, entityId)
+      .catch(rejectionBody);
+    payment =
+      (report.payments || []).find(
+        (p) => p.paymentType === OPERATION_PAYMENT_TYPES[operation]
+      ) || null;
+  }
+  const outcome = payment ? classifyResult(payment).outcome : null;
+  const operationResult = (action) => ({
+    orderId: order.id,
+    operation,
+    action,
+    transactionId: payment?.id || null,
+    resultCode: payment?.result?.code || null,
+  });
+
+  if (outcome === "pending") return operationResult("pending");
+  if (!payment) {
+    const startedAt = order.pendingOperationAt?.toDate?.() || now;
+    if ((now - startedAt) / MINUTE < config.reconciler.expireAfterMinutes) {
+      return operationResult("pending");
+    }
+  }
+
+  const succeeded = outcome === "success";
+  await completeOperation({
+    orderId: order.id,
+    operation,
+    amount:
+      operation === "capture"
+        ? order.pendingOperationAmount || order.authorizedAmount
+        : order.authorizedAmount,
+    succeeded,
+    response: payment,
+    // Only the expiry sweep voids on the system's behalf.
+    expired: operation === "void" && order.pendingOperationBy === "system",
+  });
+  return operationResult(succeeded ? "succeeded" : "failed");
+}
+
+/**
+ * Reconcile every order that has been `Capturing` or `Voiding` for at
+ * least `minAgeMinutes`.
+ *
+ * Resolves to the list of per-order results.
+ */
+async function reconcilePendingOperations({
+  minAgeMinutes = config.reconciler.minAgeMinutes,
+  now = new Date(),
+} = {}) {
+  const snap = await db
+    .collection("orders")
+    .where("orderStatus", "in", ["Capturing", "Voiding"])
+    .where(
+      "pendingOperationAt",
+      "<=",
+      new Date(now.getTime() - minAgeMinutes * MINUTE)
+    )
+    .get();
+
+  const results = [];
+  for (const doc of snap.docs) {
+    try {
+      results.push(
+        await reconcileAuthorizationOperation(
+          { id: doc.id, ...doc.data() },
+          { now }
+        )
+      );
+    } catch (err) {
+      results.push({
+        orderId: doc.id,
+        action: "error",
+        error: err.message,
+      });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  reconcilePending,
+  reconcileCheckout,
+  reconcilePendingRefunds,
+  reconcileRefund,
+  reconcilePendingOperations,
+  reconcileAuthorizationOperation,
+};
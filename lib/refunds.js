@@ -0,0 +1,219 @@
+// lib/refunds.js — bookkeeping for refunds (RF) and reversals (RV) on orders
+//
+// A refund is reserved before HyperPay is called and settled with its
+// answer. When the call gets no answer the refund stays `pending`, its
+// amount still reserved, until the reconciler finds it in HyperPay's
+// transaction report by its merchantTransactionId.
+
+const { admin, db } = require("./firebase");
+const { config } = require("./config");
+const { toMinorUnits, formatAmount } = require("./money");
+const { buildRefundEntry, saleEntryRef, ledgerEntries } = require("./ledger");
+const { issueCreditNote, issueQuietly } = require("./invoices");
+const { emitEvent } = require("./events");
+
+const REFUNDABLE_STATUSES = ["Paid", "PartiallyRefunded"];
+
+class RefundError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// HyperPay's day, not the server's or UTC's: in Riyadh a payment made
+// at 01:00 is still reversible at 23:00 the same local day.
+const settlementDay = (date) =>
+  date.toLocaleDateString("en-CA", {
+    timeZone: config.hyperpay.settlementTimeZone,
+  });
+const isSameDay = (a, b) => settlementDay(a) === settlementDay(b);
+
+/**
+ * Validate a refund or reversal against the order and reserve its amount
+ * before HyperPay is called, so two concurrent requests can never refund
+ * more than was captured between them. Omitting `amount` refunds whatever
+ * is still refundable.
+ *
+ * Resolves to `{ order, refundId, merchantTransactionId, amount, currency }`.
+ */
+async function reserveRefund({ orderId, amount, paymentType, requestedBy }) {
+  const orderRef = db.collection("orders").doc(orderId);
+
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(orderRef);
+    if (!snap.exists) throw new RefundError("Order not found", 404);
+
+    const order = snap.data();
+    const { currency } = order;
+    if (!REFUNDABLE_STATUSES.includes(order.orderStatus)) {
+      throw new RefundError(
+        `Order is ${order.orderStatus} and cannot be refunded`,
+        409
+      );
+    }
+
+    const captured = toMinorUnits(order.totalAmount, currency);
+    const refunded = toMinorUnits(order.refundedAmount || 0, currency);
+    const pending = toMinorUnits(order.pendingRefundAmount || 0, currency);
+    const refundable = captured - refunded - pending;
+    const requested =
+      amount === undefined || amount === null || amount === ""
+        ? refundable
+        : toMinorUnits(amount, currency);
+
+    if (!Number.isFinite(requested) || requested <= 0) {
+      throw new RefundError("Refund amount must be a positive number");
+    }
+    if (requested > refundable) {
+      throw new RefundError(
+        `Refund of ${formatAmount(
+          requested,
+          currency
+        )} exceeds the refundable ` +
+          `balance of ${formatAmount(refundable, currency)}`
+      );
+    }
+
+    if (paymentType === "RV") {
+      // A reversal cancels the whole HyperPay transaction, which here also
+      // pays for other suppliers' orders.
+      if (order.splitPayment) {
+        throw new RefundError(
+          "This order shares its payment with other suppliers; issue a refund instead",
+          409
+        );
+      }
+      if (refunded || pending || requested !== captured) {
+        throw new RefundError(
+          "A reversal must cover the full amount of an unrefunded order",
+          409
+        );
+      }
+      const createdAt = order.createdAt?.toDate?.();
+      if (!createdAt || !isSameDay(createdAt, new Date())) {
+        throw new RefundError(
+          "Reversals are only possible on the day of payment; issue a refund instead",
+          409
+        );
+      }
+    }
+
+    const refundRef = orderRef.collection("refunds").doc();
+    const merchantTransactionId = `refund_${refundRef.id}`;
+    t.set(refundRef, {
+      orderId,
+      merchantTransactionId,
+      paymentType,
+      amount: formatAmount(requested, currency),
+      currency: order.currency || null,
+      status: "pending",
+      requestedBy: requestedBy || null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    t.update(orderRef, {
+      pendingRefundAmount: formatAmount(pending + requested, currency),
+    });
+
+    return {
+      order,
+      refundId: refundRef.id,
+      merchantTransactionId,
+      amount: formatAmount(requested, currency),
+      currency: order.currency,
+    };
+  });
+}
+
+/**
+ * Record HyperPay's answer for a reserved refund: release the reservation,
+ * and on success add it to `refundedAmount`, move the order to
+ * `Refunded` or `PartiallyRefunded`, debit the supplier's ledger, issue a
+ * credit note and announce `order.refunded`. A refund that is already
+ * settled is left alone, so the route and the reconciler can't both
+ * count it.
+ */
+async function settleRefund({ orderId, refundId, succeeded, response }) {
+  const orderRef = db.collection("orders").doc(orderId);
+  const refundRef = orderRef.collection("refunds").doc(refundId);
+
+  let refund;
+  let alreadySettled = false;
+  const settled = await db.runTransaction(async (t) => {
+    const [orderSnap, refundSnap, saleSnap] = await Promise.all([
+      t.get(orderRef),
+      t.get(refundRef),
+      t.get(saleEntryRef(orderId)),
+    ]);
+    const order = orderSnap.data();
+    const { currency } = order;
+    refund = refundSnap.data();
+    if (refund.status !== "pending") {
+      alreadySettled = true;
+      return order;
+    }
+    const amount = toMinorUnits(refund.amount, currency);
+
+    const pending =
+      toMinorUnits(order.pendingRefundAmount || 0, currency) - amount;
+    const refunded =
+      toMinorUnits(order.refundedAmount || 0, currency) +
+      (succeeded ? amount : 0);
+    const captured = toMinorUnits(order.totalAmount, currency);
+
+    const orderUpdate = {
+      pendingRefundAmount: formatAmount(Math.max(pending, 0), currency),
+      refundedAmount: formatAmount(refunded, currency),
+    };
+    if (succeeded) {
+      orderUpdate.orderStatus =
+        refunded >= captured ? "Refunded" : "PartiallyRefunded";
+      orderUpdate.lastRefundedAt = admin.firestore.FieldValue.serverTimestamp();
+
+      const { id, entry } = buildRefundEntry({
+        orderId,
+        order,
+        refundId,
+        amount: refund.amount,
+        transactionId: response?.id,
+        sale: saleSnap.exists ? saleSnap.data() : null,
+      });
+      t.set(ledgerEntries().doc(id), entry);
+    }
+    t.update(orderRef, orderUpdate);
+
+    t.update(refundRef, {
+      status: succeeded ? "succeeded" : "failed",
+      hyperpayTransactionId: response?.id || null,
+      resultCode: response?.result?.code || null,
+      resultDescription: response?.result?.description || null,
+      settledAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { ...order, ...orderUpdate };
+  });
+
+  if (succeeded && !alreadySettled) {
+    await issueQuietly(issueCreditNote, orderId, refundId);
+    await emitEvent(
+      "order.refunded",
+      {
+        orderId,
+        refundId,
+        paymentId: settled.paymentId || settled.transactionId || null,
+        paymentType: refund.paymentType,
+        userId: settled.userId,
+        userEmail: settled.userEmail || null,
+        supplierId: settled.supplierId,
+        amount: refund.amount,
+        currency: settled.currency || null,
+        refundedAmount: settled.refundedAmount,
+        orderStatus: settled.orderStatus,
+      },
+      { key: `${orderId}:${refundId}` }
+    );
+  }
+  return settled;
+}
+
+module.exports = { reserveRefund, settleRefund, RefundError };
@@ -0,0 +1,66 @@
+// lib/result-codes.js — classify HyperPay result codes into documented groups
+//
+// The patterns are HyperPay's own "result code" regular expressions. Order
+// matters: the first matching group wins, exactly as in their reference.
+
+const GROUPS = [
+  ["success", /^(000\.000\.|000\.100\.1|000\.[36]|000\.400\.1[12]0)/],
+  ["review", /^(000\.400\.0[^3]|000\.400\.100)/],
+  ["pending", /^(000\.200)/],
+  ["pending", /^(800\.400\.5|100\.400\.500)/],
+  ["rejected_3ds", /^(000\.400\.[1][0-9][1-9]|000\.400\.2)/],
+  ["rejected_bank", /^(800\.[17]00|800\.800\.[123])/],
+  ["rejected_communication", /^(900\.[1234]00|000\.400\.030)/],
+  ["rejected_system", /^(800\.[56]|999\.|600\.1|800\.800\.[84])/],
+  ["rejected_async", /^(100\.39[765])/],
+  ["soft_decline", /^(300\.100\.100)/],
+  ["rejected_risk", /^(100\.400\.[0-3]|100\.38|100\.370\.100|100\.370\.11)/],
+  ["rejected_risk", /^(800\.400\.1)/],
+  ["rejected_3ds", /^(800\.400\.2|100\.380\.4|100\.390)/],
+  ["rejected_blacklist", /^(800\.[32])/],
+  ["rejected_risk", /^(800\.1[123456]0)/],
+  ["rejected_validation", /^(600\.[23]|500\.[12]|800\.121)/],
+  ["rejected_validation", /^(100\.[13]50)/],
+  ["rejected_validation", /^(100\.250|100\.360)/],
+  ["rejected_validation", /^(700\.[1345][05]0)/],
+  [
+    "rejected_validation",
+    /^(200\.[123]|100\.[53][07]|800\.900|100\.[69]00\.500)/,
+  ],
+  ["rejected_validation", /^(100\.800)/],
+  ["rejected_validation", /^(100\.[97]00)/],
+  ["rejected_validation", /^(100\.100|100.2[01])/],
+  ["rejected_validation", /^(100\.55)/],
+  ["rejected_risk", /^(100\.380\.[23]|100\.380\.101)/],
+  ["chargeback", /^(000\.100\.2)/],
+];
+
+/**
+ * What a caller should do with a result:
+ *   success — money moved
+ *   review  — money moved, but HyperPay wants a manual review
+ *   pending — no final answer yet; ask again later
+ *   failed  — declined or rejected
+ */
+const OUTCOMES = {
+  success: "success",
+  review: "review",
+  pending: "pending",
+};
+
+/**
+ * Classify a result code (or a payment / result object carrying one).
+ * Returns `{ code, group, outcome }`; unknown codes count as failed.
+ */
+function classifyResult(input) {
+  const code =
+    typeof input === "string"
+      ? input
+      : input?.result?.code || input?.code || null;
+
+  const match = code && GROUPS.find(([, pattern]) => pattern.test(code));
+  const group = match ? match[0] : "unknown";
+  return { code, group, outcome: OUTCOMES[group] || "failed" };
+}
+
+module.exports = { classifyResult, GROUPS };
@@ -0,0 +1,53 @@
+// lib/saved-cards.js — tokenized cards (HyperPay registrations) per user
+
+const { admin, db } = require("./firebase");
+const { resolvePaymentBrand } = require("./brands");
+
+const savedCardsOf = (userId) =>
+  db.collection("users").doc(userId).collection("savedCards");
+
+/**
+ * Card metadata worth keeping from a payment that was created with
+ * `createRegistration=true`, or null when HyperPay returned no token.
+ * Only the token and display details are stored, never the PAN. The token
+ * is only valid on the entity that created it, so that is kept too.
+ */
+function savedCardFromPayment(payment, entityId = null) {
+  if (!payment?.registrationId) return null;
+
+  return {
+    registrationId: payment.registrationId,
+    brand: resolvePaymentBrand(payment),
+    bin: payment.card?.bin || null,
+    last4: payment.card?.last4Digits || null,
+    holder: payment.card?.holder || null,
+    expiryMonth: payment.card?.expiryMonth || null,
+    expiryYear: payment.card?.expiryYear || null,
+    entityId,
+    // Repeat payments must reference the cardholder-initiated original.
+    initialTransactionId:
+      payment.resultDetails?.CardholderInitiatedTransactionID || payment.id,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+async function listSavedCards(userId) {
+  const snap = await savedCardsOf(userId).orderBy("createdAt", "desc").get();
+  return snap.docs.map((d) => d.data());
+}
+
+async function getSavedCard(userId, registrationId) {
+  const snap = await savedCardsOf(userId).doc(registrationId).get();
+  return snap.exists ? snap.data() : null;
+}
+
+const deleteSavedCard = (userId, registrationId) =>
+  savedCardsOf(userId).doc(registrationId).delete();
+
+module.exports = {
+  savedCardsOf,
+  savedCardFromPayment,
+  listSavedCards,
+  getSavedCard,
+  deleteSavedCard,
+};
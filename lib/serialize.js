@@ -0,0 +1,15 @@
+// lib/serialize.js — turn Firestore documents into plain JSON for responses
+
+/** Replace Firestore Timestamps (anything with toDate) with ISO strings. */
+function toPlain(value) {
+  if (value === null || typeof value !== "object") return value;
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  return Object.fromEntries(
+    Object.entries(value).map(([key, v]) => [key, toPlain(v)])
+  );
+}
+
+const docToJson = (doc) => ({ id: doc.id, ...toPlain(doc.data()) });
+
+module.exports = { toPlain, docToJson };
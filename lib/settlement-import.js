@@ -0,0 +1,344 @@
+// lib/settlement-import.js — match HyperPay's CSV transaction report to orders
+//
+// Finance downloads the transaction report from the HyperPay back office
+// (BIP). Column names differ between report templates and languages, so
+// each field is read from the first header that is present.
+
+const { db } = require("./firebase");
+const { parseCsv, toCsv } = require("./csv");
+const { toMinorUnits, formatAmount } = require("./money");
+const { classifyResult } = require("./result-codes");
+
+const COLUMNS = {
+  id: ["UniqueId", "Unique ID", "UniqueID", "id"],
+  merchantTransactionId: [
+    "TransactionId",
+    "Transaction ID",
+    "Merchant Transaction ID",
+    "merchantTransactionId",
+  ],
+  referenceId: ["ReferenceId", "Reference ID", "referencedId"],
+  paymentType: ["PaymentType", "Payment Type", "paymentType"],
+  credit: ["Credit", "Amount", "amount"],
+  debit: ["Debit"],
+  currency: ["Currency", "currency"],
+  resultCode: ["ReturnCode", "Return Code", "Result Code", "resultCode"],
+  result: ["Result", "Status"],
+  timestamp: ["RequestTimestamp", "Request Timestamp", "Timestamp", "Date"],
+};
+
+// Rows that move money. PA only reserves it and is settled by its CP.
+const SETTLED_TYPES = ["DB", "CP"];
+const REFUND_TYPES = ["RF", "RV"];
+const SETTLED_ORDER_STATUSES = ["Paid", "PartiallyRefunded", "Refunded"];
+
+// Firestore `in` filters take at most 30 values.
+const IN_LIMIT = 30;
+
+class SettlementImportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const pick = (raw, names) => {
+  const name = names.find((n) => raw[n] !== undefined && raw[n] !== "");
+  return name === undefined ? null : raw[name];
+};
+
+/**
+ * One report row in our own terms. A row is successful when its return
+ * code classifies as paid, or, for templates without codes, when its
+ * Result column says ACK.
+ */
+function normalizeRow(raw) {
+  const resultCode = pick(raw, COLUMNS.resultCode);
+  const result = (pick(raw, COLUMNS.result) || "").toUpperCase();
+  const successful = resultCode
+    ? ["success", "review"].includes(classifyResult(resultCode).outcome)
+    : result === "ACK";
+  const timestamp = pick(raw, COLUMNS.timestamp);
+  const date = timestamp ? new Date(timestamp.replace(" ", "T")) : null;
+
+  return {
+    line: raw.line,
+    id: pick(raw, COLUMNS.id),
+    merchantTransactionId: pick(raw, COLUMNS.merchantTransactionId),
+    referenceId: pick(raw, COLUMNS.referenceId),
+    paymentType: (pick(raw, COLUMNS.paymentType) || "").toUpperCase(),
+    amount: pick(raw, COLUMNS.credit) || pick(raw, COLUMNS.debit),
+    currency: pick(raw, COLUMNS.currency),
+    resultCode,
+    successful,
+    timestamp: date && !Number.isNaN(date.getTime()) ? date : null,
+  };
+}
+
+/** Parse report text; throws SettlementImportError if it isn't one. */
+function parseSettlementReport(text) {
+  const rows = parseCsv(text || "").map(normalizeRow);
+  if (!rows.length) {
+    throw new SettlementImportError("The report has no rows");
+  }
+  if (rows.every((r) => !r.id)) {
+    throw new SettlementImportError(
+      `No transaction id column found (expected one of ${COLUMNS.id.join(
+        ", "
+      )})`
+    );
+  }
+  return rows;
+}
+
+const chunks = (values, size = IN_LIMIT) => {
+  const out = [];
+  for (let i = 0; i < values.length; i += size) {
+    out.push(values.slice(i, i + size));
+  }
+  return out;
+};
+
+/** Docs in `query` whose `field` is one of `values`. */
+async function findWhereIn(query, field, values) {
+  const unique = [...new Set(values.filter(Boolean))];
+  const snaps = await Promise.all(
+    chunks(unique).map((part) => query.where(field, "in", part).get())
+  );
+  return snaps.flatMap((s) => s.docs);
+}
+
+/** Group docs into `{ [key]: [{ id, ...data }] }`. */
+const groupBy = (docs, key) =>
+  docs.reduce((acc, doc) => {
+    const data = { id: doc.id, ...doc.data() };
+    (acc[data[key]] ||= []).push(data);
+    return acc;
+  }, {});
+
+/**
+ * Orders each settled row pays for: by HyperPay id (a DB's transactionId
+ * or a CP's captureTransactionId), else through the checkout its
+ * merchantTransactionId belongs to.
+ */
+async function ordersForRows(rows) {
+  const orders = db.collection("orders");
+  const ids = rows.map((r) => r.id);
+  const [byTransaction, byCapture, checkouts] = await Promise.all([
+    // A CP's referenceId is the PA, in case the capture isn't recorded.
+    findWhereIn(orders, "transactionId", [
+      ...ids,
+      ...rows.map((r) => r.referenceId),
+    ]),
+    findWhereIn(orders, "captureTransactionId", ids),
+    findWhereIn(
+      db.collection("checkouts"),
+      "merchantTransactionId",
+      rows.map((r) => r.merchantTransactionId)
+    ),
+  ]);
+
+  const byPaymentId = groupBy(
+    await findWhereIn(
+      orders,
+      "transactionId",
+      checkouts.map((c) => c.data().paymentId)
+    ),
+    "transactionId"
+  );
+  const paymentIdByMerchantId = Object.fromEntries(
+    checkouts.map((c) => [c.data().merchantTransactionId, c.data().paymentId])
+  );
+
+  const transactionMap = groupBy(byTransaction, "transactionId");
+  const captureMap = groupBy(byCapture, "captureTransactionId");
+  return (row) =>
+    (row.paymentType === "CP"
+      ? captureMap[row.id] || transactionMap[row.referenceId]
+      : transactionMap[row.id]) ||
+    byPaymentId[paymentIdByMerchantId[row.merchantTransactionId]] ||
+    [];
+}
+
+/** HyperPay ids of refunds and voids we have on record. */
+async function knownRefundIds(rows) {
+  const ids = rows.map((r) => r.id);
+  const [refunds, voided] = await Promise.all([
+    findWhereIn(db.collectionGroup("refunds"), "hyperpayTransactionId", ids),
+    findWhereIn(db.collection("orders"), "voidTransactionId", ids),
+  ]);
+  return new Set([
+    ...refunds.map((d) => d.data().hyperpayTransactionId),
+    ...voided.map((d) => d.data().voidTransactionId),
+  ]);
+}
+
+/**
+ * Compare a parsed report with Firestore. Discrepancy types:
+ *
+ *   captured_without_order   HyperPay took money we have no order for
+ *   order_without_settlement a paid order in the period is not in the report
+ *   amount_mismatch          the row and its order(s) disagree on amount
+ *   currency_mismatch        … or on currency
+ *   refund_missing_locally   HyperPay refunded/reversed, we have no record
+ *
+ * The period for order_without_settlement is `from`/`to`, defaulting to
+ * the first and last row timestamps.
+ *
+ * Resolves to `{ period, summary, discrepancies }`.
+ */
+async function buildDiscrepancyReport(rows, { from, to } = {}) {
+  const times = rows.map((r) => r.timestamp).filter(Boolean);
+  const start =
+    from || times.reduce((a, b) => (a && a <= b ? a : b), null) || null;
+  const end = to || times.reduce((a, b) => (a && a >= b ? a : b), null) || null;
+
+  const successful = rows.filter((r) => r.successful && r.id);
+  const settled = successful.filter((r) =>
+    SETTLED_TYPES.includes(r.paymentType)
+  );
+  const refunds = successful.filter((r) =>
+    REFUND_TYPES.includes(r.paymentType)
+  );
+
+  const [ordersFor, refundIds] = await Promise.all([
+    ordersForRows(settled),
+    knownRefundIds(refunds),
+  ]);
+
+  const discrepancies = [];
+  const note = (type, row, details = {}) =>
+    discrepancies.push({
+      type,
+      line: row?.line ?? null,
+      transactionId: row?.id ?? null,
+      merchantTransactionId: row?.merchantTransactionId ?? null,
+      paymentType: row?.paymentType ?? null,
+      ...details,
+    });
+
+  const matchedOrderIds = new Set();
+  for (const row of settled) {
+    const matched = ordersFor(row);
+    if (!matched.length) {
+      note("captured_without_order", row, {
+        received: { amount: row.amount, currency: row.currency },
+      });
+      continue;
+    }
+    matched.forEach((o) => matchedOrderIds.add(o.id));
+
+    const orderIds = matched.map((o) => o.id);
+    const currency = row.currency || matched[0].currency;
+    const expected = matched.reduce(
+      (sum, o) => sum + toMinorUnits(o.totalAmount, currency),
+      0
+    );
+    if (expected !== toMinorUnits(row.amount, currency)) {
+      note("amount_mismatch", row, {
+        orderIds,
+        expected: formatAmount(expected, currency),
+        received: row.amount,
+      });
+    }
+    const currencies = [...new Set(matched.map((o) => o.currency))];
+    if (row.currency && currencies.some((c) => c && c !== row.currency)) {
+      note("currency_mismatch", row, {
+        orderIds,
+        expected: currencies.join(", "),
+        received: row.currency,
+      });
+    }
+  }
+
+  for (const row of refunds) {
+    if (!refundIds.has(row.id)) {
+      note("refund_missing_locally", row, {
+        referenceId: row.referenceId,
+        received: { amount: row.amount, currency: row.currency },
+      });
+    }
+  }
+
+  if (start && end) {
+    const reportedIds = new Set(rows.map((r) => r.id));
+    const snap = await db
+      .collection("orders")
+      .where("createdAt", ">=", start)
+      .where("createdAt", "<=", end)
+      .get();
+    for (const doc of snap.docs) {
+      const order = doc.data();
+      const settlementId = order.captureTransactionId || order.transactionId;
+      if (
+        SETTLED_ORDER_STATUSES.includes(order.orderStatus) &&
+        !matchedOrderIds.has(doc.id) &&
+        !reportedIds.has(settlementId)
+      ) {
+        note("order_without_settlement", null, {
+          transactionId: settlementId,
+          orderIds: [doc.id],
+          expected: order.totalAmount,
+        });
+      }
+    }
+  }
+
+  const byType = discrepancies.reduce((acc, d) => {
+    acc[d.type] = (acc[d.type] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    period: {
+      from: start ? start.toISOString() : null,
+      to: end ? end.toISOString() : null,
+    },
+    summary: {
+      rows: rows.length,
+      settled: settled.length,
+      refunds: refunds.length,
+      skipped: rows.length - settled.length - refunds.length,
+      discrepancies: discrepancies.length,
+      byType,
+    },
+    discrepancies,
+  };
+}
+
+/** Parse and compare in one go; resolves to the discrepancy report. */
+const importSettlementReport = (text, options) =>
+  buildDiscrepancyReport(parseSettlementReport(text), options);
+
+const REPORT_COLUMNS = [
+  "type",
+  "line",
+  "transactionId",
+  "merchantTransactionId",
+  "paymentType",
+  "orderIds",
+  "expected",
+  "received",
+];
+
+/** The discrepancy list as CSV for finance. */
+const reportToCsv = (report) =>
+  toCsv(
+    report.discrepancies.map((d) => ({
+      ...d,
+      orderIds: (d.orderIds || []).join(" "),
+      received:
+        d.received && typeof d.received === "object"
+          ? `${d.received.amount ?? ""} ${d.received.currency ?? ""}`.trim()
+          : d.received,
+    })),
+    REPORT_COLUMNS
+  );
+
+module.exports = {
+  importSettlementReport,
+  parseSettlementReport,
+  buildDiscrepancyReport,
+  reportToCsv,
+  SettlementImportError,
+};
@@ -0,0 +1,339 @@
+// lib/subscription-billing.js — charge subscriptions as their periods end
+//
+// chargeDueSubscriptions() runs on an interval. Each due subscription is
+// first claimed in a transaction, which writes the checkout record for the
+// renewal and names it in `pendingCharge`, so two servers never bill the
+// same period. The stored card is then charged as a merchant-initiated
+// RECURRING payment. A successful charge goes through finalizePayment()
+// like any other payment, which moves the subscription on a period; a
+// decline starts dunning. Charges whose outcome isn't known yet are left
+// to the reconciler, which reports back through recordRenewalFailure()
+// and releaseRenewalCharge().
+
+const { admin, db } = require("./firebase");
+const { config } = require("./config");
+const { hyperpay, rejectionBody } = require("./hyperpay-client");
+const { classifyResult } = require("./result-codes");
+const {
+  finalizePayment,
+  reportFailedPayment,
+  isSuccessfulPayment,
+} = require("./finalize-payment");
+const { openAttempt, recordAttemptResult } = require("./attempts");
+const { emitEvent } = require("./events");
+const { logger } = require("./logger");
+const {
+  BILLABLE_STATUSES,
+  subscriptions,
+  plans,
+  toDate,
+  addInterval,
+  planBinding,
+  emitSubscriptionCanceled,
+} = require("./subscriptions");
+
+const DAY = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+const RETRY_DAYS = config.subscriptions.retryDays;
+
+/**
+ * Claim `subscriptionId` for its next charge. Resolves to null when it is
+ * not due (or someone else got there first), `{ canceled }` when it was
+ * set to end with this period, or `{ subscription, checkout }`.
+ */
+function claimRenewal(subscriptionId, now) {
+  const ref = subscriptions().doc(subscriptionId);
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    const subscription = snap.exists ? { id: snap.id, ...snap.data() } : null;
+    if (
+      !subscription ||
+      !BILLABLE_STATUSES.includes(subscription.status) ||
+      subscription.pendingCharge ||
+      !(toDate(subscription.nextChargeAt) <= now)
+    ) {
+      return null;
+    }
+    const planSnap = await t.get(plans().doc(subscription.planId));
+
+    if (subscription.cancelAtPeriodEnd) {
+      t.update(ref, {
+        status: "canceled",
+        cancelReason: "requested",
+        canceledAt: now,
+        nextChargeAt: null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { canceled: subscription };
+    }
+    if (!planSnap.exists) {
+      throw new Error(`Plan ${subscription.planId} no longer exists`);
+    }
+
+    // Renewals bill the plan's current items and prices.
+    const binding = planBinding(planSnap.data());
+    const chargeCount = (subscription.chargeCount || 0) + 1;
+    const merchantTransactionId = `sub_${subscription.id}_${chargeCount}`;
+    const periodStart = toDate(subscription.currentPeriodEnd);
+    const checkout = {
+      userId: subscription.userId,
+      ...binding,
+      merchantTransactionId,
+      amount: binding.totals.total,
+      currency: subscription.currency,
+      // Nobody is around to capture a pre-authorization every period.
+      paymentType: "DB",
+      entityId: subscription.entityId,
+      brands: subscription.brand ? [subscription.brand] : [],
+      registrationId: subscription.registrationId,
+      subscriptionId: subscription.id,
+      subscriptionPeriod: {
+        start: periodStart,
+        end: addInterval(
+          periodStart,
+          subscription.interval,
+          subscription.intervalCount,
+          subscription.anchorDay
+        ),
+      },
+      status: "pending",
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    t.set(db.collection("checkouts").doc(merchantTransactionId), checkout);
+    t.update(ref, {
+      pendingCharge: merchantTransactionId,
+      chargeCount,
+      lastChargeAt: now,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return {
+      subscription,
+      checkout: { id: merchantTransactionId, ...checkout },
+    };
+  });
+}
+
+const result = (subscriptionId, action, payment) => ({
+  subscriptionId,
+  action,
+  transactionId: payment?.id || null,
+  resultCode: payment?.result?.code || null,
+});
+
+/**
+ * Charge one subscription if it is due. Resolves to
+ * `{ subscriptionId, action, transactionId, resultCode }` where action is
+ *   charged  — paid; the order exists and the period moved on
+ *   past_due — declined, a retry is scheduled
+ *   canceled — declined for the last time, or set to end this period
+ *   pending  — outcome unknown; the reconciler settles it
+ *   flagged  — HyperPay charged a different amount (see the checkout);
+ *              the subscription waits in needs_review
+ *   skipped  — not due
+ */
+async function chargeSubscription(subscriptionId, { now = new Date() } = {}) {
+  const claim = await claimRenewal(subscriptionId, now);
+  if (!claim) return result(subscriptionId, "skipped");
+  if (claim.canceled) {
+    await emitSubscriptionCanceled(claim.canceled, "requested");
+    return result(subscriptionId, "canceled");
+  }
+
+  const { subscription, checkout } = claim;
+  await openAttempt(checkout, "subscription");
+
+  let payment;
+  try {
+    payment = await hyperpay
+      .chargeRegistration(subscription.registrationId, {
+        entityId: checkout.entityId || config.hyperpay.entityIds.default,
+        amount: checkout.amount,
+        currency: checkout.currency,
+        paymentType: checkout.paymentType,
+        merchantTransactionId: checkout.merchantTransactionId,
+        "standingInstruction.mode": "REPEATED",
+        "standingInstruction.type": "RECURRING",
+        "standingInstruction.source": "MIT",
+        "standingInstruction.recurringType": "SUBSCRIPTION",
+        "standingInstruction.initialTransactionId":
+          subscription.initialTransactionId,
+      })
+      .catch(rejectionBody);
+  } catch (err) {
+    // HyperPay may or may not have taken the money; the reconciler asks
+    // by merchantTransactionId once the checkout is old enough.
+    logger.error("HyperPay subscription charge failed", {
+      subscriptionId,
+      merchantTransactionId: checkout.merchantTransactionId,
+      err,
+    });
+    return result(subscriptionId, "pending");
+  }
+  await recordAttemptResult({ checkout, payment, source: "subscription" });
+
+  if (isSuccessfulPayment(payment)) {
+    const { mismatch } = await finalizePayment({
+      payment,
+      userId: subscription.userId,
+      supplierId: checkout.supplierId,
+      checkoutId: checkout.id,
+      source: "subscription",
+    });
+    if (mismatch) {
+      logger.error("Subscription charge amount/currency mismatch", {
+        subscriptionId,
+        paymentId: payment.id,
+        mismatch,
+      });
+      return result(subscriptionId, "flagged", payment);
+    }
+    return result(subscriptionId, "charged", payment);
+  }
+  if (classifyResult(payment).outcome === "pending") {
+    return result(subscriptionId, "pending", payment);
+  }
+
+  await db
+    .collection("checkouts")
+    .doc(checkout.id)
+    .update({ status: "failed", lastResult: payment.result || null });
+  await reportFailedPayment({ payment, checkout, source: "subscription" });
+  const action = await recordRenewalFailure({ checkout, payment, now });
+  return result(subscriptionId, action || "past_due", payment);
+}
+
+/**
+ * Dunning for a declined renewal: retry after the next of
+ * SUBSCRIPTION_RETRY_DAYS, or cancel once they are used up. Only counts
+ * the charge the subscription is waiting on, so the scheduler and the
+ * reconciler reporting the same decline count it once.
+ *
+ * Resolves to "past_due", "canceled", or null when there was nothing to
+ * do (not a renewal, already settled, or paused/canceled meanwhile).
+ */
+async function recordRenewalFailure({ checkout, payment, now = new Date() }) {
+  if (!checkout?.subscriptionId) return null;
+  const ref = subscriptions().doc(checkout.subscriptionId);
+
+  const outcome = await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists || snap.data().pendingCharge !== checkout.id) return null;
+    const subscription = { id: snap.id, ...snap.data() };
+    const failedAttempts = (subscription.failedAttempts || 0) + 1;
+    const settled = {
+      pendingCharge: null,
+      lastResult: payment?.result || null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    if (!BILLABLE_STATUSES.includes(subscription.status)) {
+      t.update(ref, settled);
+      return null;
+    }
+    if (failedAttempts > RETRY_DAYS.length) {
+      t.update(ref, {
+        ...settled,
+        status: "canceled",
+        cancelReason: "payment_failed",
+        canceledAt: now,
+        nextChargeAt: null,
+        failedAttempts,
+      });
+      return { action: "canceled", subscription };
+    }
+    const nextChargeAt = new Date(
+      now.getTime() + RETRY_DAYS[failedAttempts - 1] * DAY
+    );
+    t.update(ref, {
+      ...settled,
+      status: "past_due",
+      failedAttempts,
+      nextChargeAt,
+    });
+    return { action: "past_due", subscription, failedAttempts, nextChargeAt };
+  });
+  if (!outcome) return null;
+
+  const { subscription } = outcome;
+  if (outcome.action === "canceled") {
+    await emitSubscriptionCanceled(subscription, "payment_failed");
+  } else {
+    await emitEvent(
+      "subscription.past_due",
+      {
+        subscriptionId: subscription.id,
+        userId: subscription.userId,
+        userEmail: subscription.userEmail || null,
+        planId: subscription.planId,
+        planName: subscription.planName || null,
+        supplierId: subscription.supplierId,
+        amount: checkout.amount,
+        currency: checkout.currency,
+        failedAttempts: outcome.failedAttempts,
+        nextChargeAt: outcome.nextChargeAt.toISOString(),
+        result: payment?.result || null,
+      },
+      { key: checkout.id }
+    );
+  }
+  return outcome.action;
+}
+
+/**
+ * A renewal HyperPay never heard of (the reconciler expired its checkout):
+ * free the subscription so the next run charges it again.
+ */
+async function releaseRenewalCharge(checkout) {
+  if (!checkout?.subscriptionId) return;
+  const ref = subscriptions().doc(checkout.subscriptionId);
+  await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (snap.exists && snap.data().pendingCharge === checkout.id) {
+      t.update(ref, {
+        pendingCharge: null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+  });
+}
+
+/**
+ * Charge every subscription whose `nextChargeAt` has passed, oldest
+ * first. Resolves to the per-subscription results.
+ */
+async function chargeDueSubscriptions({
+  now = new Date(),
+  limit = BATCH_SIZE,
+} = {}) {
+  const snap = await subscriptions()
+    .where("status", "in", BILLABLE_STATUSES)
+    .where("nextChargeAt", "<=", now)
+    .orderBy("nextChargeAt")
+    .limit(limit)
+    .get();
+
+  const results = [];
+  for (const doc of snap.docs) {
+    try {
+      results.push(await chargeSubscription(doc.id, { now }));
+    } catch (err) {
+      logger.error("Charging subscription failed", {
+        subscriptionId: doc.id,
+        err,
+      });
+      results.push({
+        subscriptionId: doc.id,
+        action: "error",
+        error: err.message,
+      });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  chargeDueSubscriptions,
+  chargeSubscription,
+  recordRenewalFailure,
+  releaseRenewalCharge,
+};
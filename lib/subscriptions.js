@@ -0,0 +1,469 @@
+// lib/subscriptions.js — subscription plans and the subscriptions on them
+//
+// A plan (`subscriptionPlans/{planId}`) is a fixed basket of one
+// supplier's items billed every `intervalCount` days, weeks, months or
+// years. A subscription (`subscriptions/{id}`) moves through
+//
+//   incomplete → active ⇄ past_due → canceled
+//                  ⇅          ↓
+//                paused   needs_review
+//
+// It starts "incomplete" with a COPYandPAY checkout that stores the card
+// under a RECURRING standing instruction. finalizePayment() activates it
+// when that first payment lands and moves it on a period after every
+// renewal, which lib/subscription-billing.js charges server-to-server.
+// A renewal HyperPay charged at the wrong amount or currency leaves it in
+// "needs_review", no longer billed, until someone looks at the checkout.
+
+const { admin, db } = require("./firebase");
+const { config } = require("./config");
+const { calculateTotals, CartError } = require("./cart");
+const { savedCardFromPayment } = require("./saved-cards");
+const { resolvePaymentBrand } = require("./brands");
+const { emitEvent } = require("./events");
+
+const INTERVALS = ["day", "week", "month", "year"];
+// Subscriptions the scheduler charges once `nextChargeAt` has passed.
+const BILLABLE_STATUSES = ["active", "past_due"];
+// Subscriptions that will still charge their card at some point.
+const LIVE_STATUSES = [
+  "incomplete",
+  "active",
+  "past_due",
+  "paused",
+  "needs_review",
+];
+
+const ITEM_FIELDS = [
+  "productId",
+  "name",
+  "category",
+  "price",
+  "quantity",
+  "shippingCost",
+];
+
+class SubscriptionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const plans = () => db.collection("subscriptionPlans");
+const subscriptions = () => db.collection("subscriptions");
+
+const toDate = (value) => {
+  if (!value) return null;
+  return typeof value.toDate === "function" ? value.toDate() : new Date(value);
+};
+
+/**
+ * `date` moved on by `count` intervals. Months and years stay on
+ * `anchorDay` where the month has it: a plan started on the 31st bills on
+ * 30 April and then on 31 May again.
+ */
+function addInterval(date, interval, count, anchorDay = date.getUTCDate()) {
+  const next = new Date(date.getTime());
+  if (interval === "day" || interval === "week") {
+    next.setUTCDate(next.getUTCDate() + count * (interval === "week" ? 7 : 1));
+    return next;
+  }
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + count * (interval === "year" ? 12 : 1));
+  const daysInMonth = new Date(
+    Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  next.setUTCDate(Math.min(anchorDay, daysInMonth));
+  return next;
+}
+
+// ── Plans ───────────────────────────────────────────────────
+
+/**
+ * Check plan fields from a request body and return the ones to store.
+ * With `partial` (updates) only the fields present are checked. Throws
+ * SubscriptionError.
+ */
+function planFields(input, { partial = false } = {}) {
+  const fields = {};
+  const given = (key) => !partial || input[key] !== undefined;
+
+  if (given("name")) {
+    if (typeof input.name !== "string" || !input.name.trim()) {
+      throw new SubscriptionError("name is required");
+    }
+    fields.name = input.name.trim();
+  }
+  if (input.description !== undefined) {
+    fields.description = String(input.description);
+  }
+  if (given("interval")) {
+    if (!INTERVALS.includes(input.interval)) {
+      throw new SubscriptionError(
+        `interval must be one of ${INTERVALS.join(", ")}`
+      );
+    }
+    fields.interval = input.interval;
+  }
+  if (given("intervalCount")) {
+    const count = Number(input.intervalCount ?? 1);
+    if (!Number.isInteger(count) || count < 1 || count > 365) {
+      throw new SubscriptionError(
+        "intervalCount must be a whole number from 1 to 365"
+      );
+    }
+    fields.intervalCount = count;
+  }
+  if (given("items")) {
+    if (!Array.isArray(input.items) || !input.items.length) {
+      throw new SubscriptionError("items must be a non-empty list");
+    }
+    fields.items = input.items.map((item) =>
+      Object.fromEntries(
+        ITEM_FIELDS.filter((key) => item?.[key] !== undefined).map((key) => [
+          key,
+          key === "price" || key === "shippingCost"
+            ? String(item[key])
+            : item[key],
+        ])
+      )
+    );
+    try {
+      calculateTotals(fields.items);
+    } catch (err) {
+      if (err instanceof CartError) throw new SubscriptionError(err.message);
+      throw err;
+    }
+  }
+  if (input.active !== undefined) fields.active = input.active === true;
+  return fields;
+}
+
+/** Create a plan for `supplierId`; resolves to `{ id, ...plan }`. */
+async function createPlan(supplierId, input) {
+  const plan = {
+    ...planFields(input),
+    supplierId,
+    currency: config.currency,
+    active: input.active !== false,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  const ref = await plans().add(plan);
+  return { id: ref.id, ...plan };
+}
+
+/**
+ * Change a plan. Price and item changes apply from each subscriber's
+ * next renewal; deactivating a plan stops new subscriptions only.
+ */
+async function updatePlan(planId, input) {
+  const fields = planFields(input, { partial: true });
+  await plans()
+    .doc(planId)
+    .update({
+      ...fields,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+}
+
+/** Resolves to `{ id, ...plan }` or null. */
+async function getPlan(planId) {
+  if (!planId) return null;
+  const snap = await plans().doc(planId).get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+/** Active plans, optionally for one supplier. */
+async function listPlans({ supplierId } = {}) {
+  let query = plans().where("active", "==", true);
+  if (supplierId) query = query.where("supplierId", "==", supplierId);
+  const snap = await query.get();
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * The checkout fields one period of `plan` charges, shaped like
+ * cartBinding() so finalizePayment() turns it into an order the same way.
+ */
+function planBinding(plan) {
+  const totals = calculateTotals(plan.items, undefined, plan.currency);
+  return {
+    supplierId: plan.supplierId,
+    supplierIds: [plan.supplierId],
+    suppliers: {
+      [plan.supplierId]: { items: plan.items, cartItemIds: [], totals },
+    },
+    totals,
+  };
+}
+
+// ── Subscriptions ───────────────────────────────────────────
+
+/**
+ * Start an "incomplete" subscription to `plan` for `userId`. A buyer can
+ * only hold one live subscription per plan; earlier incomplete ones
+ * (checkouts never paid) don't count. Resolves to `{ id, ...record }`.
+ */
+async function openSubscription({ userId, userEmail, plan }) {
+  const existing = await subscriptions()
+    .where("userId", "==", userId)
+    .where("planId", "==", plan.id)
+    .get();
+  if (
+    existing.docs.some((d) =>
+      BILLABLE_STATUSES.concat("paused").includes(d.data().status)
+    )
+  ) {
+    throw new SubscriptionError("Already subscribed to this plan", 409);
+  }
+
+  const record = {
+    userId,
+    userEmail: userEmail || null,
+    planId: plan.id,
+    planName: plan.name,
+    supplierId: plan.supplierId,
+    interval: plan.interval,
+    intervalCount: plan.intervalCount,
+    amount: planBinding(plan).totals.total,
+    currency: plan.currency,
+    status: "incomplete",
+    cancelAtPeriodEnd: false,
+    periodsPaid: 0,
+    failedAttempts: 0,
+    chargeCount: 0,
+    pendingCharge: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  const ref = subscriptions().doc();
+  await ref.set(record);
+  return { id: ref.id, ...record };
+}
+
+/** Resolves to the buyer's own subscription document, or throws 404. */
+async function getOwnSubscription(subscriptionId, userId) {
+  const snap = await subscriptions().doc(subscriptionId).get();
+  if (!snap.exists || snap.data().userId !== userId) {
+    throw new SubscriptionError("Subscription not found", 404);
+  }
+  return snap;
+}
+
+/**
+ * Live subscriptions paying with a saved card, so the card isn't deleted
+ * from under them.
+ */
+async function subscriptionsUsingCard(userId, registrationId) {
+  const snap = await subscriptions()
+    .where("userId", "==", userId)
+    .where("registrationId", "==", registrationId)
+    .get();
+  return snap.docs.filter((d) => LIVE_STATUSES.includes(d.data().status));
+}
+
+/**
+ * What pausing, resuming or canceling changes on `subscription`, or a
+ * SubscriptionError (409) when the action doesn't apply to its status.
+ */
+const ACTIONS = {
+  pause(subscription, { now }) {
+    if (subscription.status !== "active") {
+      throw new SubscriptionError(
+        "Only active subscriptions can be paused",
+        409
+      );
+    }
+    return { status: "paused", pausedAt: now };
+  },
+
+  // Resuming after the paid period has run out starts a new period now
+  // rather than billing for the months spent paused. On an active
+  // subscription it takes back a cancellation at the period end.
+  resume(subscription, { now }) {
+    if (subscription.status === "active" && subscription.cancelAtPeriodEnd) {
+      return { cancelAtPeriodEnd: false };
+    }
+    if (subscription.status !== "paused") {
+      throw new SubscriptionError(
+        "Only paused subscriptions can be resumed",
+        409
+      );
+    }
+    const periodEnd = toDate(subscription.currentPeriodEnd);
+    const lapsed = !periodEnd || periodEnd < now;
+    return {
+      status: "active",
+      pausedAt: null,
+      resumedAt: now,
+      ...(lapsed
+        ? {
+            currentPeriodEnd: now,
+            nextChargeAt: now,
+            anchorDay: now.getUTCDate(),
+          }
+        : { nextChargeAt: periodEnd }),
+    };
+  },
+
+  // `atPeriodEnd` lets an active subscription run out the period that is
+  // already paid for; anything else ends straight away.
+  cancel(subscription, { now, atPeriodEnd }) {
+    if (subscription.status === "canceled") {
+      throw new SubscriptionError("Subscription is already canceled", 409);
+    }
+    if (atPeriodEnd && subscription.status === "active") {
+      return { cancelAtPeriodEnd: true };
+    }
+    return {
+      status: "canceled",
+      cancelReason: "requested",
+      canceledAt: now,
+      nextChargeAt: null,
+    };
+  },
+};
+
+/**
+ * Pause, resume or cancel one of the buyer's subscriptions. A charge
+ * already in flight still completes and is recorded.
+ */
+async function changeSubscription(
+  subscriptionId,
+  userId,
+  action,
+  { atPeriodEnd = false, now = new Date() } = {}
+) {
+  const ref = subscriptions().doc(subscriptionId);
+  const { subscription, changes } = await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists || snap.data().userId !== userId) {
+      throw new SubscriptionError("Subscription not found", 404);
+    }
+    const changes = ACTIONS[action](snap.data(), { now, atPeriodEnd });
+    t.update(ref, {
+      ...changes,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { subscription: snap.data(), changes };
+  });
+
+  if (changes.status === "canceled") {
+    await emitSubscriptionCanceled(
+      { id: subscriptionId, ...subscription },
+      "requested"
+    );
+  }
+}
+
+const emitSubscriptionCanceled = (subscription, reason) =>
+  emitEvent(
+    "subscription.canceled",
+    {
+      subscriptionId: subscription.id,
+      userId: subscription.userId,
+      userEmail: subscription.userEmail || null,
+      planId: subscription.planId,
+      planName: subscription.planName || null,
+      supplierId: subscription.supplierId,
+      reason,
+    },
+    { key: subscription.id }
+  );
+
+/**
+ * The update finalizePayment() applies, in its transaction, to the
+ * subscription a paid checkout belongs to. The first payment activates
+ * it with the card it stored and starts the first period; a renewal
+ * moves it on to the period the charge was for.
+ */
+function paidSubscriptionUpdate(
+  subscription,
+  { checkout, payment, now = new Date() }
+) {
+  const update = {
+    lastPaymentId: payment.id,
+    amount: checkout.amount,
+    periodsPaid: (subscription.periodsPaid || 0) + 1,
+    failedAttempts: 0,
+    lastResult: null,
+    pendingCharge: null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  if (!checkout.subscriptionPeriod) {
+    // Paid after being canceled while incomplete: keep it canceled.
+    if (subscription.status !== "incomplete") return update;
+
+    const card = savedCardFromPayment(payment, checkout.entityId);
+    const anchorDay = now.getUTCDate();
+    const periodEnd = addInterval(
+      now,
+      subscription.interval,
+      subscription.intervalCount,
+      anchorDay
+    );
+    return {
+      ...update,
+      status: "active",
+      registrationId: card?.registrationId || null,
+      initialTransactionId: card?.initialTransactionId || null,
+      entityId: checkout.entityId || null,
+      brand: resolvePaymentBrand(payment),
+      last4: payment.card?.last4Digits || null,
+      startedAt: now,
+      anchorDay,
+      currentPeriodStart: now,
+      currentPeriodEnd: periodEnd,
+      nextChargeAt: periodEnd,
+      // Without a stored card there is nothing to renew with.
+      cancelAtPeriodEnd: !card,
+    };
+  }
+
+  const periodEnd = toDate(checkout.subscriptionPeriod.end);
+  return {
+    ...update,
+    status: subscription.status === "past_due" ? "active" : subscription.status,
+    currentPeriodStart: toDate(checkout.subscriptionPeriod.start),
+    currentPeriodEnd: periodEnd,
+    nextChargeAt: subscription.status === "canceled" ? null : periodEnd,
+  };
+}
+
+/**
+ * The update finalizePayment() applies, in its transaction, to the
+ * subscription whose renewal `checkoutId` HyperPay charged at a different
+ * amount or currency. The charge is settled as far as billing goes, so
+ * nothing waits on it, but the subscription isn't billed again.
+ */
+const flaggedSubscriptionUpdate = (checkoutId) => ({
+  status: "needs_review",
+  pendingCharge: null,
+  reviewCheckoutId: checkoutId,
+  updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+});
+
+module.exports = {
+  INTERVALS,
+  BILLABLE_STATUSES,
+  LIVE_STATUSES,
+  SubscriptionError,
+  subscriptions,
+  plans,
+  toDate,
+  addInterval,
+  planFields,
+  createPlan,
+  updatePlan,
+  getPlan,
+  listPlans,
+  planBinding,
+  openSubscription,
+  getOwnSubscription,
+  subscriptionsUsingCard,
+  changeSubscription,
+  emitSubscriptionCanceled,
+  paidSubscriptionUpdate,
+  flaggedSubscriptionUpdate,
+};
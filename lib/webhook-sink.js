@@ -0,0 +1,77 @@
+// lib/webhook-sink.js — signed outbound webhooks for internal subscribers
+//
+// Each event is POSTed as JSON with
+//
+//   X-Marsos-Event:      payment.succeeded
+//   X-Marsos-Event-Id:   payment.succeeded:8ac7a4a1…
+//   X-Marsos-Signature:  t=1760860800,v1=<hex HMAC-SHA256>
+//
+// where v1 signs `${t}.${body}` with the shared secret. Subscribers should
+// check it with verifySignature() (or the same recipe) and de-duplicate on
+// the event id, since a delivery may be retried after a lost response.
+
+const crypto = require("crypto");
+const axios = require("axios");
+
+const hmac = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+const signPayload = (body, secret, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+
+/**
+ * Check an `X-Marsos-Signature` header against the raw body. Signatures
+ * older than `toleranceSeconds` are rejected to stop replays.
+ */
+function verifySignature(body, header, secret, toleranceSeconds = 300) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("=", 2))
+  );
+  const timestamp = Number(parts.t);
+  if (!parts.v1 || !Number.isInteger(timestamp)) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(hmac(secret, timestamp, body), "hex");
+  const received = Buffer.from(parts.v1, "hex");
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+}
+
+/**
+ * A sink delivering every event to `url`. `post` defaults to axios and
+ * can be swapped in tests.
+ */
+function createWebhookSink({ url, secret, timeoutMs, post = axios.post }) {
+  const name = `webhook:${crypto
+    .createHash("sha256")
+    .update(url)
+    .digest("hex")
+    .slice(0, 12)}`;
+
+  return {
+    name,
+    plan: async () => [{ key: "event", payload: { url } }],
+    async deliver(payload, event) {
+      const body = JSON.stringify(event);
+      // Any non-2xx rejects, which schedules a retry.
+      await post(payload.url, body, {
+        timeout: timeoutMs,
+        headers: {
+          "Content-Type": "application/json",
+          "X-Marsos-Event": event.type,
+          "X-Marsos-Event-Id": event.id,
+          "X-Marsos-Signature": signPayload(body, secret),
+        },
+      });
+    },
+  };
+}
+
+module.exports = { createWebhookSink, signPayload, verifySignature };
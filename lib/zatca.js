@@ -0,0 +1,47 @@
+// lib/zatca.js — ZATCA (Saudi e-invoicing) Phase 1 QR payload
+
+// Tags from the ZATCA e-invoicing QR code specification.
+const TAGS = {
+  sellerName: 1,
+  vatNumber: 2,
+  timestamp: 3,
+  total: 4,
+  vat: 5,
+};
+
+/**
+ * Tag-length-value encode `[tag, value]` pairs. Each value is UTF-8 and at
+ * most 255 bytes, since the length is a single byte.
+ */
+function encodeTlv(fields) {
+  return Buffer.concat(
+    fields.map(([tag, value]) => {
+      const bytes = Buffer.from(String(value), "utf8");
+      if (bytes.length > 255) {
+        throw new RangeError(`TLV value for tag ${tag} exceeds 255 bytes`);
+      }
+      return Buffer.concat([Buffer.from([tag, bytes.length]), bytes]);
+    })
+  );
+}
+
+/**
+ * The base64 string a Phase 1 QR code carries: seller name, seller VAT
+ * number, invoice timestamp (ISO 8601), invoice total incl. VAT and the
+ * VAT amount. Amounts are the invoice's formatted strings ("115.00").
+ */
+function zatcaQrPayload({ sellerName, vatNumber, timestamp, total, vat }) {
+  const isoTimestamp =
+    timestamp instanceof Date
+      ? timestamp.toISOString().replace(/\.\d{3}Z$/, "Z")
+      : timestamp;
+  return encodeTlv([
+    [TAGS.sellerName, sellerName],
+    [TAGS.vatNumber, vatNumber],
+    [TAGS.timestamp, isoTimestamp],
+    [TAGS.total, total],
+    [TAGS.vat, vat],
+  ]).toString("base64");
+}
+
+module.exports = { zatcaQrPayload, encodeTlv };
@@ -0,0 +1,629 @@
+// routes/admin.js — back-office API mounted at /api/admin
+//
+// Every route needs a Firebase ID token whose custom claims include admin,
+// support or supplier. Suppliers only ever see their own orders.
+
+const express = require("express");
+const { db } = require("../lib/firebase");
+const { config } = require("../lib/config");
+const { requireAuth, requireRole } = require("../lib/auth");
+const { recordAudit } = require("../lib/audit");
+const { logger } = require("../lib/logger");
+const { docToJson, toPlain } = require("../lib/serialize");
+const { hyperpay, rejectionBody } = require("../lib/hyperpay-client");
+const { classifyResult } = require("../lib/result-codes");
+const { buildStatements, statementsToCsv } = require("../lib/ledger");
+const { paymentAnalytics } = require("../lib/attempts");
+const {
+  SubscriptionError,
+  subscriptions,
+  createPlan,
+  updatePlan,
+  getPlan,
+} = require("../lib/subscriptions");
+const {
+  importSettlementReport,
+  reportToCsv,
+  SettlementImportError,
+} = require("../lib/settlement-import");
+const {
+  getExchangeRates,
+  setExchangeRates,
+  CurrencyError,
+} = require("../lib/exchange-rates");
+const {
+  PaymentBlockedError,
+  addToBlocklist,
+  removeFromBlocklist,
+  blocklist,
+  blockedAttempts,
+} = require("../lib/fraud");
+
+const MAX_PAGE_SIZE = 200;
+
+// `?limit=` as a whole number from 1 to MAX_PAGE_SIZE, `fallback` if absent.
+const pageSize = (value, fallback) =>
+  Math.min(Math.max(1, Math.floor(Number(value) || fallback)), MAX_PAGE_SIZE);
+
+const router = express.Router();
+router.use(requireAuth, requireRole("admin", "support", "supplier"));
+
+const isStaff = (user) => user.admin === true || user.support === true;
+
+// Suppliers are pinned to their own supplierId whatever they ask for.
+const visibleTo = (order, user) =>
+  isStaff(user) || order.supplierId === user.uid;
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// ── Order search ────────────────────────────────────────────
+// GET /api/admin/orders?userId=&supplierId=&status=&from=&to=
+//                      &transactionId=&limit=&startAfter=
+router.get("/orders", async (req, res) => {
+  const { userId, status, transactionId, startAfter } = req.query;
+  const supplierId = isStaff(req.user) ? req.query.supplierId : req.user.uid;
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+  const limit = pageSize(req.query.limit, 50);
+
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: "from/to must be ISO dates" });
+  }
+
+  try {
+    // A multi-supplier payment has one order per supplier, all carrying
+    // the same HyperPay transaction id.
+    if (transactionId) {
+      const snap = await db
+        .collection("orders")
+        .where("transactionId", "==", transactionId)
+        .get();
+      const orders = snap.docs
+        .filter((d) => visibleTo(d.data(), req.user))
+        .map(docToJson);
+      await recordAudit(req, "orders.search", {
+        targetType: "order",
+        targetId: transactionId,
+        details: { found: orders.length },
+      });
+      return res.json({ orders, nextCursor: null });
+    }
+
+    let query = db.collection("orders");
+    if (userId) query = query.where("userId", "==", userId);
+    if (supplierId) query = query.where("supplierId", "==", supplierId);
+    if (status) query = query.where("orderStatus", "==", status);
+    if (from) query = query.where("createdAt", ">=", from);
+    if (to) query = query.where("createdAt", "<=", to);
+    query = query.orderBy("createdAt", "desc").limit(limit);
+
+    if (startAfter) {
+      const cursor = await db.collection("orders").doc(startAfter).get();
+      if (cursor.exists) query = query.startAfter(cursor);
+    }
+
+    const snap = await query.get();
+    const orders = snap.docs.map(docToJson);
+    await recordAudit(req, "orders.search", {
+      details: {
+        userId: userId || null,
+        supplierId: supplierId || null,
+        status: status || null,
+        from: req.query.from || null,
+        to: req.query.to || null,
+        results: orders.length,
+      },
+    });
+
+    return res.json({
+      orders,
+      nextCursor: orders.length === limit ? orders[orders.length - 1].id : null,
+    });
+  } catch (err) {
+    logger.error("Admin order search failed", { err });
+    return res.status(500).json({ error: "Failed to search orders" });
+  }
+});
+
+// ── Single order with its refund history ────────────────────
+router.get("/orders/:orderId", async (req, res) => {
+  const { orderId } = req.params;
+  try {
+    const orderRef = db.collection("orders").doc(orderId);
+    const snap = await orderRef.get();
+    if (!snap.exists || !visibleTo(snap.data(), req.user)) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    const refunds = await orderRef
+      .collection("refunds")
+      .orderBy("createdAt", "desc")
+      .get();
+    await recordAudit(req, "order.view", {
+      targetType: "order",
+      targetId: orderId,
+    });
+
+    return res.json({
+      order: docToJson(snap),
+      refunds: refunds.docs.map(docToJson),
+    });
+  } catch (err) {
+    logger.error("Admin order lookup failed", { err });
+    return res.status(500).json({ error: "Failed to load order" });
+  }
+});
+
+// ── Parent payment with its per-supplier orders ─────────────
+// Staff only: the parent record lists every supplier the buyer paid.
+router.get(
+  "/payments/:paymentId",
+  requireRole("admin", "support"),
+  async (req, res) => {
+    const { paymentId } = req.params;
+    try {
+      const snap = await db.collection("payments").doc(paymentId).get();
+      if (!snap.exists) {
+        return res.status(404).json({ error: "Payment not found" });
+      }
+
+      const orderSnaps = await Promise.all(
+        snap.data().orderIds.map((id) => db.collection("orders").doc(id).get())
+      );
+      await recordAudit(req, "payment.view", {
+        targetType: "payment",
+        targetId: paymentId,
+      });
+
+      return res.json({
+        payment: docToJson(snap),
+        orders: orderSnaps.filter((o) => o.exists).map(docToJson),
+      });
+    } catch (err) {
+      logger.error("Admin payment lookup failed", { err });
+      return res.status(500).json({ error: "Failed to load payment" });
+    }
+  }
+);
+
+// ── Live HyperPay status for a transaction ──────────────────
+router.get(
+  "/payments/:transactionId/status",
+  requireRole("admin", "support"),
+  async (req, res) => {
+    const { transactionId } = req.params;
+    try {
+      // Orders finalized before parent payment records existed are keyed
+      // by the transaction id themselves.
+      const [payment, order] = await Promise.all([
+        db.collection("payments").doc(transactionId).get(),
+        db.collection("orders").doc(transactionId).get(),
+      ]);
+      const entityId =
+        req.query.entityId ||
+        (payment.exists && payment.data().entityId) ||
+        (order.exists && order.data().entityId) ||
+        config.hyperpay.entityIds.default;
+
+      const report = await hyperpay
+        .queryTransaction(transactionId, entityId)
+        .catch(rejectionBody);
+      await recordAudit(req, "payment.status", {
+        targetType: "transaction",
+        targetId: transactionId,
+        details: { resultCode: report.result?.code || null },
+      });
+
+      return res.json({
+        transactionId,
+        entityId,
+        classification: classifyResult(report),
+        hyperpay: report,
+      });
+    } catch (err) {
+      logger.error("Admin HyperPay lookup failed", { err });
+      return res.status(502).json({ error: "HyperPay lookup failed" });
+    }
+  }
+);
+
+// ── Supplier settlement statements ──────────────────────────
+// GET /api/admin/statements?from=&to=&supplierId=&format=json|csv
+// Staff get every supplier (or the one asked for); suppliers their own.
+router.get("/statements", async (req, res) => {
+  const supplierId = isStaff(req.user) ? req.query.supplierId : req.user.uid;
+  const format = req.query.format || "json";
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+
+  if (!from || !to) {
+    return res.status(400).json({ error: "from and to must be ISO dates" });
+  }
+  if (!["json", "csv"].includes(format)) {
+    return res.status(400).json({ error: 'format must be "json" or "csv"' });
+  }
+
+  try {
+    const statements = await buildStatements({ from, to, supplierId });
+    await recordAudit(req, "statements.export", {
+      targetType: "supplier",
+      targetId: supplierId || null,
+      details: { from: req.query.from, to: req.query.to, format },
+    });
+
+    if (format === "csv") {
+      return res
+        .type("text/csv")
+        .attachment(`statement-${supplierId || "all"}.csv`)
+        .send(statementsToCsv(statements));
+    }
+    return res.json({ statements });
+  } catch (err) {
+    logger.error("Building statements failed", { err });
+    return res.status(500).json({ error: "Failed to build statements" });
+  }
+});
+
+// ── Payment analytics ───────────────────────────────────────
+// GET /api/admin/analytics/payments?from=&to=&supplierId=
+// Conversion, decline reasons, brand mix and daily volumes of the
+// checkouts created in the range.
+const MAX_ANALYTICS_DAYS = 366;
+
+router.get(
+  "/analytics/payments",
+  requireRole("admin", "support"),
+  async (req, res) => {
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (!from || !to || from > to) {
+      return res
+        .status(400)
+        .json({ error: "from and to must be ISO dates, from before to" });
+    }
+    if (to - from > MAX_ANALYTICS_DAYS * 24 * 60 * 60 * 1000) {
+      return res
+        .status(400)
+        .json({ error: `The range is limited to ${MAX_ANALYTICS_DAYS} days` });
+    }
+
+    try {
+      const analytics = await paymentAnalytics({
+        from,
+        to,
+        supplierId: req.query.supplierId,
+      });
+      await recordAudit(req, "analytics.view", {
+        targetType: "supplier",
+        targetId: req.query.supplierId || null,
+        details: { from: req.query.from, to: req.query.to },
+      });
+      return res.json(analytics);
+    } catch (err) {
+      logger.error("Building payment analytics failed", { err });
+      return res.status(500).json({ error: "Failed to build analytics" });
+    }
+  }
+);
+
+// ── HyperPay settlement report import ───────────────────────
+// POST /api/admin/settlements/import?from=&to=&format=json|csv
+// Body is the CSV transaction report exactly as downloaded from HyperPay.
+router.post(
+  "/settlements/import",
+  requireRole("admin", "support"),
+  express.text({
+    type: ["text/csv", "text/plain", "application/octet-stream"],
+    limit: "25mb",
+  }),
+  async (req, res) => {
+    const format = req.query.format || "json";
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+
+    if (from === undefined || to === undefined || !from !== !to) {
+      return res
+        .status(400)
+        .json({ error: "from and to must both be ISO dates, or both omitted" });
+    }
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({ error: 'format must be "json" or "csv"' });
+    }
+    if (typeof req.body !== "string" || !req.body) {
+      return res
+        .status(400)
+        .json({ error: "Send the report as text/csv in the request body" });
+    }
+
+    try {
+      const report = await importSettlementReport(
+        req.body,
+        from ? { from, to } : {}
+      );
+      await recordAudit(req, "settlements.import", {
+        targetType: "settlement",
+        details: { period: report.period, summary: report.summary },
+      });
+
+      if (format === "csv") {
+        return res
+          .type("text/csv")
+          .attachment("settlement-discrepancies.csv")
+          .send(reportToCsv(report));
+      }
+      return res.json(report);
+    } catch (err) {
+      if (err instanceof SettlementImportError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      logger.error("Settlement import failed", { err });
+      return res
+        .status(500)
+        .json({ error: "Failed to import settlement report" });
+    }
+  }
+);
+
+// ── Subscription plans ──────────────────────────────────────
+// POST  /api/admin/subscription-plans { name, interval, intervalCount,
+//       items, description, active, supplierId (admins only) }
+// PATCH /api/admin/subscription-plans/:planId with any of those fields
+// Suppliers manage their own plans; admins anyone's.
+router.post(
+  "/subscription-plans",
+  requireRole("admin", "supplier"),
+  async (req, res) => {
+    const supplierId =
+      req.user.admin === true ? req.body.supplierId : req.user.uid;
+    if (!supplierId) {
+      return res.status(400).json({ error: "Missing supplierId" });
+    }
+
+    try {
+      const plan = await createPlan(supplierId, req.body);
+      await recordAudit(req, "subscriptionPlan.create", {
+        targetType: "subscriptionPlan",
+        targetId: plan.id,
+        details: { supplierId, name: plan.name },
+      });
+      return res.status(201).json({ id: plan.id });
+    } catch (err) {
+      if (err instanceof SubscriptionError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      logger.error("Creating subscription plan failed", { err });
+      return res.status(500).json({ error: "Failed to create plan" });
+    }
+  }
+);
+
+router.patch(
+  "/subscription-plans/:planId",
+  requireRole("admin", "supplier"),
+  async (req, res) => {
+    const { planId } = req.params;
+    try {
+      const plan = await getPlan(planId);
+      if (
+        !plan ||
+        (req.user.admin !== true && plan.supplierId !== req.user.uid)
+      ) {
+        return res.status(404).json({ error: "Plan not found" });
+      }
+
+      await updatePlan(planId, req.body);
+      await recordAudit(req, "subscriptionPlan.update", {
+        targetType: "subscriptionPlan",
+        targetId: planId,
+        details: { fields: Object.keys(req.body || {}) },
+      });
+      return res.json(
+        docToJson(await db.collection("subscriptionPlans").doc(planId).get())
+      );
+    } catch (err) {
+      if (err instanceof SubscriptionError) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      logger.error("Updating subscription plan failed", { err });
+      return res.status(500).json({ error: "Failed to update plan" });
+    }
+  }
+);
+
+// ── Subscriptions ───────────────────────────────────────────
+// GET /api/admin/subscriptions?status=&supplierId=&userId=&limit=
+router.get("/subscriptions", async (req, res) => {
+  const { status, userId } = req.query;
+  const supplierId = isStaff(req.user) ? req.query.supplierId : req.user.uid;
+  const limit = pageSize(req.query.limit, 50);
+
+  try {
+    let query = subscriptions();
+    if (status) query = query.where("status", "==", status);
+    if (supplierId) query = query.where("supplierId", "==", supplierId);
+    if (userId) query = query.where("userId", "==", userId);
+    const snap = await query.orderBy("createdAt", "desc").limit(limit).get();
+    await recordAudit(req, "subscriptions.search", {
+      details: {
+        status: status || null,
+        supplierId: supplierId || null,
+        userId: userId || null,
+        results: snap.size,
+      },
+    });
+    return res.json({ subscriptions: snap.docs.map(docToJson) });
+  } catch (err) {
+    logger.error("Admin subscription search failed", { err });
+    return res.status(500).json({ error: "Failed to search subscriptions" });
+  }
+});
+
+// ── Exchange rates ──────────────────────────────────────────
+// GET /api/admin/exchange-rates
+// PUT /api/admin/exchange-rates { rates: { AED: 0.9793, KWD: 0.0819 } }
+// Rates are units of each currency per unit of CURRENCY. A PUT replaces
+// the whole table; checkouts already created keep the rate they got.
+router.get(
+  "/exchange-rates",
+  requireRole("admin", "support"),
+  async (req, res) => {
+    try {
+      return res.json(toPlain(await getExchangeRates()));
+    } catch (err) {
+      logger.error("Loading exchange rates failed", { err });
+      return res.status(500).json({ error: "Failed to load exchange rates" });
+    }
+  }
+);
+
+router.put("/exchange-rates", requireRole("admin"), async (req, res) => {
+  try {
+    const rates = await setExchangeRates(req.body?.rates, {
+      updatedBy: req.user.uid,
+    });
+    await recordAudit(req, "exchangeRates.update", {
+      targetType: "exchangeRates",
+      details: { rates },
+    });
+    return res.json(toPlain(await getExchangeRates()));
+  } catch (err) {
+    if (err instanceof CurrencyError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error("Updating exchange rates failed", { err });
+    return res.status(500).json({ error: "Failed to update exchange rates" });
+  }
+});
+
+// ── Blocklist and refused payment attempts ──────────────────
+// GET    /api/admin/blocklist?type=
+// POST   /api/admin/blocklist { type: user|email|ip|bin, value, reason }
+// DELETE /api/admin/blocklist/:entryId
+router.get("/blocklist", requireRole("admin", "support"), async (req, res) => {
+  try {
+    let query = blocklist();
+    if (req.query.type) query = query.where("type", "==", req.query.type);
+    const snap = await query.get();
+    await recordAudit(req, "blocklist.view", {
+      details: { type: req.query.type || null, results: snap.size },
+    });
+    return res.json({ entries: snap.docs.map(docToJson) });
+  } catch (err) {
+    logger.error("Reading blocklist failed", { err });
+    return res.status(500).json({ error: "Failed to read blocklist" });
+  }
+});
+
+router.post("/blocklist", requireRole("admin"), async (req, res) => {
+  try {
+    const entry = await addToBlocklist(req.body || {}, {
+      addedBy: req.user.uid,
+    });
+    await recordAudit(req, "blocklist.add", {
+      targetType: "blocklist",
+      targetId: entry.id,
+      details: { reason: entry.reason },
+    });
+    return res
+      .status(201)
+      .json(docToJson(await blocklist().doc(entry.id).get()));
+  } catch (err) {
+    if (err instanceof PaymentBlockedError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error("Adding to blocklist failed", { err });
+    return res.status(500).json({ error: "Failed to update blocklist" });
+  }
+});
+
+router.delete("/blocklist/:entryId", requireRole("admin"), async (req, res) => {
+  const { entryId } = req.params;
+  try {
+    if (!(await removeFromBlocklist(entryId))) {
+      return res.status(404).json({ error: "Blocklist entry not found" });
+    }
+    await recordAudit(req, "blocklist.remove", {
+      targetType: "blocklist",
+      targetId: entryId,
+    });
+    return res.sendStatus(204);
+  } catch (err) {
+    logger.error("Removing from blocklist failed", { err });
+    return res.status(500).json({ error: "Failed to update blocklist" });
+  }
+});
+
+// GET /api/admin/blocked-attempts?rule=&userId=&ip=&from=&to=&limit=
+router.get(
+  "/blocked-attempts",
+  requireRole("admin", "support"),
+  async (req, res) => {
+    const { rule, userId, ip } = req.query;
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    const limit = pageSize(req.query.limit, 100);
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: "from/to must be ISO dates" });
+    }
+
+    try {
+      let query = blockedAttempts();
+      if (rule) query = query.where("rule", "==", rule);
+      if (userId) query = query.where("userId", "==", userId);
+      if (ip) query = query.where("ip", "==", ip);
+      if (from) query = query.where("createdAt", ">=", from);
+      if (to) query = query.where("createdAt", "<=", to);
+
+      const snap = await query.orderBy("createdAt", "desc").limit(limit).get();
+      await recordAudit(req, "blockedAttempts.search", {
+        details: {
+          rule: rule || null,
+          userId: userId || null,
+          ip: ip || null,
+          from: req.query.from || null,
+          to: req.query.to || null,
+          results: snap.size,
+        },
+      });
+      return res.json({ attempts: snap.docs.map(docToJson) });
+    } catch (err) {
+      logger.error("Reading blocked attempts failed", { err });
+      return res.status(500).json({ error: "Failed to read blocked attempts" });
+    }
+  }
+);
+
+// ── Audit log ───────────────────────────────────────────────
+// GET /api/admin/audit-log?actorUid=&targetId=&action=&from=&to=&limit=
+router.get("/audit-log", requireRole("admin"), async (req, res) => {
+  const { actorUid, targetId, action } = req.query;
+  const from = parseDate(req.query.from);
+  const to = parseDate(req.query.to);
+  const limit = pageSize(req.query.limit, 100);
+
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: "from/to must be ISO dates" });
+  }
+
+  try {
+    let query = db.collection("auditLogs");
+    if (actorUid) query = query.where("actorUid", "==", actorUid);
+    if (targetId) query = query.where("targetId", "==", targetId);
+    if (action) query = query.where("action", "==", action);
+    if (from) query = query.where("createdAt", ">=", from);
+    if (to) query = query.where("createdAt", "<=", to);
+
+    const snap = await query.orderBy("createdAt", "desc").limit(limit).get();
+    return res.json({ entries: snap.docs.map(docToJson) });
+  } catch (err) {
+    logger.error("Reading audit log failed", { err });
+    return res.status(500).json({ error: "Failed to read audit log" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,74 @@
+// routes/invoices.js — tax invoices and credit notes, mounted at /api
+//
+// Buyers see the invoices for their own orders, suppliers those they
+// issued, and admin/support everything.
+
+const express = require("express");
+const { db } = require("../lib/firebase");
+const { requireAuth } = require("../lib/auth");
+const { logger } = require("../lib/logger");
+const { docToJson, toPlain } = require("../lib/serialize");
+const {
+  issueInvoice,
+  getInvoice,
+  listInvoices,
+  invoicePdf,
+  canViewInvoice,
+  InvoiceError,
+  INVOICEABLE_STATUSES,
+} = require("../lib/invoices");
+
+const router = express.Router();
+
+const summary = ({ id, ...invoice }) => ({
+  id,
+  ...toPlain(invoice),
+  pdfUrl: `/api/invoices/${encodeURIComponent(id)}/pdf`,
+});
+
+// ── Invoices for an order ───────────────────────────────────
+router.get("/orders/:orderId/invoices", requireAuth, async (req, res) => {
+  const { orderId } = req.params;
+  try {
+    const snap = await db.collection("orders").doc(orderId).get();
+    const order = snap.exists ? docToJson(snap) : null;
+    if (!order || !canViewInvoice(order, req.user)) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    let list = await listInvoices(orderId);
+    // Issuing right after payment is best effort; catch up here.
+    if (!list.length && INVOICEABLE_STATUSES.includes(order.orderStatus)) {
+      await issueInvoice(orderId);
+      list = await listInvoices(orderId);
+    }
+    return res.json({ invoices: list.map(summary) });
+  } catch (err) {
+    if (err instanceof InvoiceError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error("Listing invoices failed", { err });
+    return res.status(500).json({ error: "Failed to load invoices" });
+  }
+});
+
+// ── PDF download ────────────────────────────────────────────
+router.get("/invoices/:invoiceId/pdf", requireAuth, async (req, res) => {
+  try {
+    const invoice = await getInvoice(req.params.invoiceId);
+    if (!invoice || !canViewInvoice(invoice, req.user)) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const pdf = await invoicePdf(invoice);
+    return res
+      .type("application/pdf")
+      .attachment(`${invoice.number}.pdf`)
+      .send(pdf);
+  } catch (err) {
+    logger.error("Invoice download failed", { err });
+    return res.status(500).json({ error: "Failed to load invoice" });
+  }
+});
+
+module.exports = router;
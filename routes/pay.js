@@ -0,0 +1,73 @@
+// routes/pay.js — hosted payment page for a checkout, mounted at /pay
+//
+// GET /pay/:checkoutId?lang=ar|en renders the COPYandPAY widget for a
+// checkout created by /api/create-checkout, offering the brands it was
+// created with. The checkout id is the only credential, as it is for the
+// widget itself; the amount comes from our own record.
+
+const express = require("express");
+const { config } = require("../lib/config");
+const { getCheckout } = require("../lib/checkouts");
+const { parseBrands } = require("../lib/entities");
+const { logger } = require("../lib/logger");
+const { limitPerIp } = require("../lib/abuse");
+const {
+  renderPaymentPage,
+  renderUnavailablePage,
+  pickLocale,
+} = require("../lib/payment-page");
+
+const router = express.Router();
+
+// Behind a proxy without PUBLIC_URL this relies on `trust proxy` for the
+// scheme and host.
+const publicUrl = (req) =>
+  config.publicUrl || `${req.protocol}://${req.get("host")}`;
+
+// Counts against the same per-IP budget as creating checkouts, which
+// also slows down anyone guessing checkout ids.
+router.get("/:checkoutId", limitPerIp, async (req, res) => {
+  const locale = pickLocale(req);
+  const nonce = res.locals.cspNonce;
+  res.set("Cache-Control", "no-store");
+
+  const unavailable = (status, reason) =>
+    res
+      .status(status)
+      .type("html")
+      .send(
+        renderUnavailablePage({
+          reason,
+          locale,
+          nonce,
+          backUrl: config.frontendUrl,
+        })
+      );
+
+  try {
+    const checkout = await getCheckout(req.params.checkoutId);
+    // Saved-card charges have no widget checkout behind them.
+    if (!checkout || checkout.registrationId) {
+      return unavailable(404, "notFound");
+    }
+    if (checkout.status === "finalized") return unavailable(410, "paid");
+    if (checkout.status !== "pending") return unavailable(410, "closed");
+
+    return res.type("html").send(
+      renderPaymentPage({
+        checkout,
+        brands: parseBrands(checkout.brands),
+        locale,
+        nonce,
+        widgetOrigin: config.hyperpay.host,
+        shopperResultUrl: `${publicUrl(req)}/api/payment-status`,
+        merchantName: config.invoices.sellerName,
+      })
+    );
+  } catch (err) {
+    logger.error("Rendering payment page failed", { err });
+    return res.status(500).send("Failed to load payment page");
+  }
+});
+
+module.exports = router;
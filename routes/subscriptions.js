@@ -0,0 +1,262 @@
+// routes/subscriptions.js — plans and buyers' subscriptions, mounted at /api
+//
+// Subscribing works like create-checkout: the response carries a
+// COPYandPAY checkout id for the widget (or /pay/:checkoutId), and the
+// subscription becomes active once that payment is finalized. Suppliers
+// and admins manage plans under /api/admin/subscription-plans.
+
+const express = require("express");
+const { admin, db } = require("../lib/firebase");
+const { config } = require("../lib/config");
+const { requireAuth } = require("../lib/auth");
+const { logger } = require("../lib/logger");
+const { docToJson, toPlain } = require("../lib/serialize");
+const { hyperpay } = require("../lib/hyperpay-client");
+const { parseBrands, selectEntity, EntityError } = require("../lib/entities");
+const { isWalletCheckout } = require("../lib/brands");
+const {
+  customerParameters,
+  invalidCustomerField,
+} = require("../lib/checkouts");
+const { openAttempt } = require("../lib/attempts");
+const { guardPaymentRoute } = require("../lib/abuse");
+const { screenPayment, PaymentBlockedError } = require("../lib/fraud");
+const {
+  SubscriptionError,
+  subscriptions,
+  getPlan,
+  listPlans,
+  planBinding,
+  openSubscription,
+  getOwnSubscription,
+  changeSubscription,
+} = require("../lib/subscriptions");
+
+const router = express.Router();
+
+const planToJson = (plan) => ({
+  ...toPlain(plan),
+  totals: planBinding(plan).totals,
+});
+
+const sendError = (res, err, fallback) => {
+  if (err instanceof SubscriptionError || err instanceof PaymentBlockedError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  logger.error(fallback, { err });
+  return res.status(500).json({ error: fallback });
+};
+
+// ── Plans ───────────────────────────────────────────────────
+// GET /api/subscription-plans?supplierId=
+router.get("/subscription-plans", async (req, res) => {
+  try {
+    const list = await listPlans({ supplierId: req.query.supplierId });
+    return res.json({ plans: list.map(planToJson) });
+  } catch (err) {
+    return sendError(res, err, "Failed to list plans");
+  }
+});
+
+router.get("/subscription-plans/:planId", async (req, res) => {
+  try {
+    const plan = await getPlan(req.params.planId);
+    if (!plan || !plan.active) {
+      return res.status(404).json({ error: "Plan not found" });
+    }
+    return res.json(planToJson(plan));
+  } catch (err) {
+    return sendError(res, err, "Failed to load plan");
+  }
+});
+
+// ── Subscribe ───────────────────────────────────────────────
+// POST /api/subscriptions { planId, name, email, brands, street, ... }
+// The first period is paid through the widget with a RECURRING standing
+// instruction, which stores the card the renewals are charged to.
+router.post("/subscriptions", guardPaymentRoute, async (req, res) => {
+  const userId = req.user.uid;
+  const { planId, name, email } = req.body;
+  const brands = parseBrands(req.body.brands);
+
+  if (!planId) return res.status(400).json({ error: "Missing planId" });
+  if (typeof name !== "string" || !name.trim()) {
+    return res.status(400).json({ error: "Missing required field: name" });
+  }
+  const invalidField = invalidCustomerField(req.body);
+  if (invalidField) {
+    return res.status(400).json({ error: `${invalidField} must be text` });
+  }
+  if (isWalletCheckout(brands)) {
+    return res
+      .status(400)
+      .json({ error: "Subscriptions can only be paid by card" });
+  }
+
+  let entityId;
+  try {
+    entityId = selectEntity(brands);
+  } catch (err) {
+    const status = err instanceof EntityError ? err.status : 500;
+    return res.status(status).json({ error: err.message });
+  }
+
+  let plan;
+  let subscription;
+  try {
+    plan = await getPlan(planId);
+    if (!plan || !plan.active) {
+      return res.status(404).json({ error: "Plan not found" });
+    }
+    await screenPayment(req, {
+      amount: planBinding(plan).totals.total,
+      email,
+    });
+    subscription = await openSubscription({
+      userId,
+      userEmail: email || req.user.email,
+      plan,
+    });
+  } catch (err) {
+    return sendError(res, err, "Failed to start subscription");
+  }
+
+  const binding = planBinding(plan);
+  const merchantTransactionId = `sub_${subscription.id}_0`;
+  // Without a checkout nothing can pay for it; don't leave it behind.
+  const discardSubscription = () =>
+    subscriptions()
+      .doc(subscription.id)
+      .delete()
+      .catch((err) =>
+        logger.error("Discarding subscription failed", {
+          subscriptionId: subscription.id,
+          err,
+        })
+      );
+  try {
+    const params = new URLSearchParams({
+      entityId,
+      amount: binding.totals.total,
+      currency: plan.currency,
+      paymentType: "DB",
+      merchantTransactionId,
+      ...customerParameters(req.body),
+      createRegistration: "true",
+      "standingInstruction.mode": "INITIAL",
+      "standingInstruction.type": "RECURRING",
+      "standingInstruction.source": "CIT",
+      "standingInstruction.recurringType": "SUBSCRIPTION",
+    });
+    for (const [key, value] of Object.entries(config.hyperpay.testParameters)) {
+      params.set(key, value);
+    }
+
+    const resp = await hyperpay.createCheckout(params);
+    if (!resp.id) {
+      await discardSubscription();
+      return res
+        .status(500)
+        .json({ error: "No checkoutId returned", details: resp });
+    }
+
+    const checkout = {
+      userId,
+      ...binding,
+      merchantTransactionId,
+      amount: binding.totals.total,
+      currency: plan.currency,
+      paymentType: "DB",
+      entityId,
+      brands,
+      saveCard: true,
+      subscriptionId: subscription.id,
+      status: "pending",
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    await db.collection("checkouts").doc(resp.id).set(checkout);
+    await subscriptions().doc(subscription.id).update({ checkoutId: resp.id });
+    await openAttempt({ id: resp.id, ...checkout }, "subscription");
+
+    logger.info("Subscription started", {
+      subscriptionId: subscription.id,
+      planId,
+      userId,
+    });
+    return res.json({
+      subscriptionId: subscription.id,
+      checkoutId: resp.id,
+      amount: checkout.amount,
+      currency: checkout.currency,
+      brands,
+    });
+  } catch (err) {
+    const details = err.data || err.message;
+    logger.error("HyperPay subscription checkout failed", { err, details });
+    await discardSubscription();
+    return res
+      .status(500)
+      .json({ error: "Failed to create checkout", details });
+  }
+});
+
+// ── Buyer's subscriptions ───────────────────────────────────
+router.get("/subscriptions", requireAuth, async (req, res) => {
+  try {
+    const snap = await subscriptions()
+      .where("userId", "==", req.user.uid)
+      .orderBy("createdAt", "desc")
+      .get();
+    return res.json({ subscriptions: snap.docs.map(docToJson) });
+  } catch (err) {
+    return sendError(res, err, "Failed to list subscriptions");
+  }
+});
+
+router.get("/subscriptions/:subscriptionId", requireAuth, async (req, res) => {
+  try {
+    const snap = await getOwnSubscription(
+      req.params.subscriptionId,
+      req.user.uid
+    );
+    return res.json(docToJson(snap));
+  } catch (err) {
+    return sendError(res, err, "Failed to load subscription");
+  }
+});
+
+// POST /api/subscriptions/:id/pause | resume | cancel { atPeriodEnd }
+const manageSubscription = (action) => async (req, res) => {
+  const { subscriptionId } = req.params;
+  try {
+    await changeSubscription(subscriptionId, req.user.uid, action, {
+      atPeriodEnd: req.body?.atPeriodEnd === true,
+    });
+    logger.info(`Subscription ${action}`, {
+      subscriptionId,
+      userId: req.user.uid,
+    });
+    const snap = await subscriptions().doc(subscriptionId).get();
+    return res.json(docToJson(snap));
+  } catch (err) {
+    return sendError(res, err, `Failed to ${action} subscription`);
+  }
+};
+
+router.post(
+  "/subscriptions/:subscriptionId/pause",
+  requireAuth,
+  manageSubscription("pause")
+);
+router.post(
+  "/subscriptions/:subscriptionId/resume",
+  requireAuth,
+  manageSubscription("resume")
+);
+router.post(
+  "/subscriptions/:subscriptionId/cancel",
+  requireAuth,
+  manageSubscription("cancel")
+);
+
+module.exports = router;
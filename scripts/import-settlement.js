@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// scripts/import-settlement.js — check a HyperPay transaction report against orders
+//
+//   npm run import-settlement -- report.csv [--from 2026-10-01 --to 2026-10-31]
+//                                [--format json|csv] [--out file]
+//
+// Without --from/--to the period is taken from the report's timestamps.
+// The discrepancy report goes to stdout unless --out is given; exits 2 if
+// there are discrepancies so it can gate a finance job.
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { validateConfig } = require("../lib/config");
+const { parseDay } = require("../lib/dates");
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    from: { type: "string" },
+    to: { type: "string" },
+    format: { type: "string", default: "json" },
+    out: { type: "string" },
+  },
+});
+
+async function main() {
+  validateConfig();
+  const [file] = positionals;
+  if (
+    !file ||
+    Boolean(values.from) !== Boolean(values.to) ||
+    !["csv", "json"].includes(values.format)
+  ) {
+    throw new Error(
+      "Usage: import-settlement FILE [--from YYYY-MM-DD --to YYYY-MM-DD] " +
+        "[--format json|csv] [--out FILE]"
+    );
+  }
+  const text = fs.readFileSync(file, "utf8");
+  const period = values.from
+    ? { from: parseDay(values.from, false), to: parseDay(values.to, true) }
+    : {};
+
+  // Required here so a usage error doesn't need Firebase credentials.
+  const {
+    importSettlementReport,
+    reportToCsv,
+  } = require("../lib/settlement-import");
+  const report = await importSettlementReport(text, period);
+
+  const output =
+    values.format === "csv"
+      ? reportToCsv(report)
+      : `${JSON.stringify(report, null, 2)}\n`;
+  if (values.out) {
+    fs.writeFileSync(values.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  // Summary on stderr so it never ends up inside the export.
+  console.error(JSON.stringify(report.summary));
+  return report.discrepancies.length ? 2 : 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error(`‼️  ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// scripts/reconcile.js — reconcile pending checkouts for a date range
+//
+//   npm run reconcile -- --from 2026-10-01 --to 2026-10-18 [--dry-run]
+//
+// Dates are inclusive calendar days (UTC). Prints one line per checkout
+// and a summary per action; exits non-zero if any checkout errored.
+
+const { parseArgs } = require("util");
+const { validateConfig } = require("../lib/config");
+const { parseDay } = require("../lib/dates");
+
+const { values } = parseArgs({
+  options: {
+    from: { type: "string" },
+    to: { type: "string" },
+    "dry-run": { type: "boolean", default: false },
+  },
+});
+
+async function main() {
+  validateConfig();
+  if (!values.from || !values.to) {
+    throw new Error(
+      "Usage: reconcile --from YYYY-MM-DD --to YYYY-MM-DD [--dry-run]"
+    );
+  }
+
+  // Required here so a usage error doesn't need Firebase credentials.
+  const { reconcilePending } = require("../lib/reconciler");
+  const results = await reconcilePending({
+    from: parseDay(values.from, false),
+    to: parseDay(values.to, true),
+    // Finance asks about past days; don't hold back recent checkouts.
+    minAgeMinutes: 0,
+    dryRun: values["dry-run"],
+  });
+
+  for (const r of results) {
+    console.log(
+      [
+        r.checkoutId,
+        r.merchantTransactionId,
+        r.action,
+        r.transactionId || r.error || "",
+      ].join("\t")
+    );
+  }
+
+  const summary = results.reduce((acc, r) => {
+    acc[r.action] = (acc[r.action] || 0) + 1;
+    return acc;
+  }, {});
+  console.log(
+    `\n${values["dry-run"] ? "Dry run — " : ""}${results.length} checkout(s):`,
+    JSON.stringify(summary)
+  );
+  return summary.error ? 1 : 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error(`‼️  ${err.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// scripts/supplier-statements.js — export supplier settlement statements
+//
+//   npm run statements -- --from 2026-10-01 --to 2026-10-31
+//                         [--supplier <id>] [--format csv|json] [--out file]
+//
+// Dates are inclusive calendar days (UTC). Without --supplier every
+// supplier with ledger entries in the period gets a statement. Output goes
+// to stdout unless --out is given.
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { validateConfig } = require("../lib/config");
+const { parseDay } = require("../lib/dates");
+
+const { values } = parseArgs({
+  options: {
+    from: { type: "string" },
+    to: { type: "string" },
+    supplier: { type: "string" },
+    format: { type: "string", default: "csv" },
+    out: { type: "string" },
+  },
+});
+
+async function main() {
+  validateConfig();
+  if (!values.from || !values.to || !["csv", "json"].includes(values.format)) {
+    throw new Error(
+      "Usage: supplier-statements --from YYYY-MM-DD --to YYYY-MM-DD " +
+        "[--supplier ID] [--format csv|json] [--out FILE]"
+    );
+  }
+
+  // Required here so a usage error doesn't need Firebase credentials.
+  const { buildStatements, statementsToCsv } = require("../lib/ledger");
+  const statements = await buildStatements({
+    from: parseDay(values.from, false),
+    to: parseDay(values.to, true),
+    supplierId: values.supplier,
+  });
+
+  const output =
+    values.format === "json"
+      ? `${JSON.stringify(statements, null, 2)}\n`
+      : statementsToCsv(statements);
+  if (values.out) {
+    fs.writeFileSync(values.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  // Summary on stderr so it never ends up inside the export.
+  for (const s of statements) {
+    console.error(`${s.supplierId}\t${JSON.stringify(s.totals)}`);
+  }
+  return 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error(`‼️  ${err.message}`);
+    process.exit(1);
+  });
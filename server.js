@@ -1,21 +1,94 @@
 // server.js  (or wherever your Express code lives)
 
-require("dotenv").config();
+const { config, validateConfig } = require("./lib/config");
 const express = require("express");
-const axios = require("axios");
 const cors = require("cors");
 const helmet = require("helmet");
-const admin = require("firebase-admin");
+const { admin, db } = require("./lib/firebase");
+const {
+  finalizePayment,
+  reportFailedPayment,
+  isSuccessfulPayment,
+} = require("./lib/finalize-payment");
+const { decryptNotification } = require("./lib/hyperpay-webhook");
+const { loadCart, CartError } = require("./lib/cart");
+const {
+  cartBinding,
+  customerParameters,
+  invalidCustomerField,
+  checkoutSupplierIds,
+  findCheckoutForPayment,
+  checkoutIdFromResourcePath,
+  getCheckout,
+} = require("./lib/checkouts");
+const {
+  parseBrands,
+  selectEntity,
+  EntityError,
+  ENTITY_IDS,
+} = require("./lib/entities");
+const {
+  listSavedCards,
+  getSavedCard,
+  deleteSavedCard,
+} = require("./lib/saved-cards");
+const { requireAuth, requireRole } = require("./lib/auth");
+const { reserveRefund, settleRefund, RefundError } = require("./lib/refunds");
+const {
+  resolvePaymentType,
+  beginOperation,
+  completeOperation,
+  findExpiredAuthorizations,
+  AuthorizationError,
+} = require("./lib/authorizations");
+const {
+  isWalletCheckout,
+  brandParameters,
+  resolvePaymentBrand,
+} = require("./lib/brands");
+const { buildContentSecurityPolicy, createNonce } = require("./lib/csp");
+const { hyperpay, rejectionBody } = require("./lib/hyperpay-client");
+const { classifyResult } = require("./lib/result-codes");
+const {
+  reconcilePending,
+  reconcilePendingRefunds,
+  reconcilePendingOperations,
+} = require("./lib/reconciler");
+const { recordAudit } = require("./lib/audit");
+const { logger, requestLogging } = require("./lib/logger");
+const { openAttempt, recordAttemptResult } = require("./lib/attempts");
+const { deliverDueEvents } = require("./lib/events");
+const { registerConfiguredSinks } = require("./lib/notifications");
+const { subscriptionsUsingCard } = require("./lib/subscriptions");
+const {
+  resolveCurrency,
+  rateSnapshot,
+  baseAmount,
+  CurrencyError,
+} = require("./lib/exchange-rates");
+const { chargeDueSubscriptions } = require("./lib/subscription-billing");
+const { corsOptions, guardPaymentRoute } = require("./lib/abuse");
+const { screenPayment, PaymentBlockedError } = require("./lib/fraud");
+const adminRouter = require("./routes/admin");
+const invoicesRouter = require("./routes/invoices");
+const payRouter = require("./routes/pay");
+const subscriptionsRouter = require("./routes/subscriptions");
 
-// ── Load GCP Service Account (local file)
-const serviceAccount = require("./serviceAccountKey.json");
-
-// ── Initialize Firebase Admin ────────────────────────────────
-admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
-const db = admin.firestore();
+// Fail fast on missing or invalid settings, before anything calls HyperPay.
+try {
+  validateConfig();
+} catch (err) {
+  logger.error(err.message);
+  process.exit(1);
+}
+if (config.envDefaulted) {
+  logger.warn('HYPERPAY_ENV is not set; using the "test" HyperPay host');
+}
 
 const app = express();
-app.use(cors());
+if (config.trustProxyHops) app.set("trust proxy", config.trustProxyHops);
+app.use(requestLogging());
+app.use(cors(corsOptions));
 app.use(express.json());
 
 // ── Security headers (production) ────────────────────────────
@@ -25,132 +98,258 @@ app.use(
   })
 );
 app.use((req, res, next) => {
-  const widgetOrigin = "https://eu-prod.oppwa.com";
+  res.locals.cspNonce = createNonce();
   res.setHeader(
     "Content-Security-Policy",
-    [
-      "default-src 'self'",
-      `script-src 'self' 'unsafe-inline' 'unsafe-eval' ${widgetOrigin}`,
-      `connect-src 'self' ${widgetOrigin}`,
-      `frame-src 'self' ${widgetOrigin}`,
-      "img-src 'self' data: https://*",
-    ].join("; ")
+    buildContentSecurityPolicy({
+      widgetOrigin: config.hyperpay.host,
+      nonce: res.locals.cspNonce,
+    })
   );
   next();
 });
 
 // ── Configurable variables ───────────────────────────────────
-const PORT = process.env.PORT || 5002;
-const CHECKOUT_BASE = "https://eu-prod.oppwa.com/v1/checkouts";
-const WIDGET_ORIGIN = "https://eu-prod.oppwa.com";
-const ACCESS_TOKEN = process.env.HYPERPAY_ACCESS_TOKEN;
-const ENTITY_ID = (process.env.HYPERPAY_ENTITY_ID || "").trim();
-const CURRENCY = process.env.CURRENCY || "SAR";
-const FRONTEND_URL = process.env.FRONTEND_URL || "https://marsos.sa";
+// Everything comes from lib/config.js; HYPERPAY_ENV picks test or prod.
+const PORT = config.port;
+const ENTITY_ID = ENTITY_IDS.default;
+const CURRENCY = config.currency;
+const FRONTEND_URL = config.frontendUrl;
+const WEBHOOK_SECRET = config.hyperpay.webhookSecret;
+const APPLE_PAY_DOMAIN_ASSOCIATION_FILE = config.applePay.domainAssociationFile;
+const AUTH_SWEEP_INTERVAL_MS = config.authorizations.sweepIntervalMs;
+const RECONCILE_INTERVAL_MS = config.reconciler.intervalMs;
+const EVENT_DELIVERY_INTERVAL_MS = config.events.deliveryIntervalMs;
+const SUBSCRIPTION_BILLING_INTERVAL_MS = config.subscriptions.billingIntervalMs;
 
 // ── Healthcheck ─────────────────────────────────────────────
 app.get("/", (_req, res) =>
-  res.send("✅ HyperPay backend (production) running.")
+  res.send(`✅ HyperPay backend (${config.env}) running.`)
 );
 
-// ── Create checkout session ──────────────────────────────────
-app.post("/api/create-checkout", async (req, res) => {
-  const { amount, email, name, street, city, state, country, postcode } =
-    req.body;
+// ── Apple Pay merchant domain verification ──────────────────
+// Apple fetches this file when the domain is registered for Apple Pay.
+app.get(
+  "/.well-known/apple-developer-merchantid-domain-association",
+  (_req, res) =>
+    res.sendFile(APPLE_PAY_DOMAIN_ASSOCIATION_FILE, (err) => {
+      if (err && !res.headersSent) res.sendStatus(404);
+    })
+);
 
-  // 1) Quick sanity‐check logging:
-  console.log("↪︎ /api/create-checkout called with:");
-  console.log("   • name:", name);
-  console.log("   • amount:", amount);
-  console.log("   • ENTITY_ID (server sees):", JSON.stringify(ENTITY_ID));
+// ── Create checkout session ──────────────────────────────────
+// The buyer is whoever the Firebase ID token says; a userId in the body
+// is only accepted if it agrees. Without a supplierId the whole cart is
+// paid at once and split into one order per supplier on success.
+app.post("/api/create-checkout", guardPaymentRoute, async (req, res) => {
+  const { name, supplierId, saveCard, mobile } = req.body;
+  const userId = req.user.uid;
+  const brands = parseBrands(req.body.brands);
 
-  if (!name || !amount) {
+  if (typeof name !== "string" || !name.trim()) {
+    return res.status(400).json({ error: "Missing required field: name" });
+  }
+  const invalidField = invalidCustomerField(req.body);
+  if (invalidField) {
+    return res.status(400).json({ error: `${invalidField} must be text` });
+  }
+  if (req.body.userId && req.body.userId !== userId) {
     return res
-      .status(400)
-      .json({ error: "Missing required fields: name or amount" });
+      .status(403)
+      .json({ error: "userId does not match the signed-in user" });
   }
 
-  if (!ENTITY_ID) {
-    return res
-      .status(500)
-      .json({ error: "HyperPay entity ID is not defined on the server." });
-  }
-
-  // 2) Build URLSearchParams exactly as HyperPay expects:
-  const params = new URLSearchParams({
-    entityId: ENTITY_ID,
-    amount: parseFloat(amount).toFixed(2),
-    currency: CURRENCY,
-    paymentType: "DB",
-    merchantTransactionId: `txn_${Date.now()}`,
-    "customer.email": (email || "").trim() || "buyer@example.com",
-    "customer.givenName": name.trim(),
-    "customer.surname": name.trim(),
-    "billing.street1": street || "King Fahad Road",
-    "billing.city": city || "Riyadh",
-    "billing.state": state || "Riyadh",
-    "billing.country": country || "SA",
-    "billing.postcode": postcode || "12345",
-    "customParameters[3DS2_enrolled]": "true",
-    "customParameters[3DS2_scenario]": "02",
-    "standingInstruction.mode": "INITIAL",
-    "standingInstruction.type": "UNSCHEDULED",
+  // Mada (and usually Apple Pay) run on their own entity.
+  let entityId;
+  try {
+    entityId = selectEntity(brands);
+  } catch (err) {
+    const status = err instanceof EntityError ? err.status : 500;
+    return res.status(status).json({ error: err.message });
+  }
+
+  logger.info("create-checkout", {
+    userId,
+    supplierId: supplierId || "(all)",
+    brands,
+    entityId,
   });
 
+  // 2) Price the cart ourselves; the client never tells us the amount.
+  // Paying in another currency converts it at today's rate, which is kept
+  // with the checkout (and later the orders) as `exchangeRate`.
+  let cart;
+  let paymentType;
+  let currency;
+  let exchangeRate;
   try {
-    const { data: resp } = await axios.post(CHECKOUT_BASE, params, {
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        Authorization: `Bearer ${ACCESS_TOKEN}`,
-      },
+    currency = resolveCurrency(req.body.currency);
+    exchangeRate = await rateSnapshot(currency);
+    cart = await loadCart(userId, supplierId, exchangeRate);
+    if (!cart.items.length) {
+      return res.status(400).json({ error: "Cart is empty" });
+    }
+    paymentType = await resolvePaymentType(cart.supplierIds);
+    await screenPayment(req, {
+      amount: baseAmount(cart.totals.total, exchangeRate),
+      email: req.body.email,
     });
+  } catch (err) {
+    if (err instanceof CartError) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (
+      err instanceof AuthorizationError ||
+      err instanceof CurrencyError ||
+      err instanceof PaymentBlockedError
+    ) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error("Loading cart failed", { err });
+    return res.status(500).json({ error: "Failed to load cart" });
+  }
+  const { total } = cart.totals;
+  const merchantTransactionId = `txn_${Date.now()}`;
 
-    console.log("↪︎ HyperPay full response:", JSON.stringify(resp, null, 2));
+  try {
+    // 3) Build URLSearchParams exactly as HyperPay expects:
+    const params = new URLSearchParams({
+      entityId,
+      amount: total,
+      currency,
+      paymentType,
+      merchantTransactionId,
+      ...customerParameters(req.body),
+      ...brandParameters(brands, { mobile, merchantTransactionId }),
+    });
+    const walletCheckout = isWalletCheckout(brands);
+    if (!walletCheckout) {
+      // 3DS2 test scenarios; empty outside HYPERPAY_ENV=test.
+      for (const [key, value] of Object.entries(
+        config.hyperpay.testParameters
+      )) {
+        params.set(key, value);
+      }
+      params.set("standingInstruction.mode", "INITIAL");
+      params.set("standingInstruction.type", "UNSCHEDULED");
+      // Ask HyperPay to tokenize the card so it can be charged again later.
+      if (saveCard === true) params.set("createRegistration", "true");
+    }
+
+    const resp = await hyperpay.createCheckout(params);
 
     if (resp.id) {
-      return res.json({ checkoutId: resp.id });
+      // Remember who the checkout belongs to and what it should charge, so
+      // the webhook can finalize it even if the shopper never comes back
+      // from 3DS, and both paths can check the amount HyperPay reports.
+      const checkout = {
+        userId,
+        ...cartBinding(cart),
+        merchantTransactionId,
+        amount: total,
+        currency,
+        exchangeRate,
+        baseAmount: baseAmount(total, exchangeRate),
+        paymentType,
+        entityId,
+        brands,
+        saveCard: saveCard === true && !walletCheckout,
+        status: "pending",
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      await db.collection("checkouts").doc(resp.id).set(checkout);
+      await openAttempt({ id: resp.id, ...checkout }, "widget");
+      return res.json({
+        checkoutId: resp.id,
+        amount: total,
+        currency,
+        brands,
+        supplierIds: cart.supplierIds,
+      });
     }
 
     return res
       .status(500)
       .json({ error: "No checkoutId returned", details: resp });
   } catch (err) {
-    const details = err.response?.data || err.message;
-    console.error(
-      "‼️  HyperPay create-checkout failed:",
-      JSON.stringify(details)
-    );
+    const details = err.data || err.message;
+    logger.error("HyperPay create-checkout failed", { err, details });
     return res
       .status(500)
       .json({ error: "Failed to create checkout", details });
   }
 });
 
+// Status lookups must use the entity that created the checkout; records
+// from before entity routing fall back to the default entity.
+const entityForResourcePath = async (resourcePath) => {
+  const checkout = await getCheckout(checkoutIdFromResourcePath(resourcePath));
+  return checkout?.entityId || ENTITY_ID;
+};
+
 // ── Payment-status & order persistence ───────────────────────
+// The shopper lands here from HyperPay, so there is no ID token. Buyer and
+// supplier come from the binding stored by create-checkout; userId /
+// supplierId in the query are legacy and only accepted if they agree.
 app.get("/api/payment-status", async (req, res) => {
-  const { resourcePath, userId, supplierId } = req.query;
-  if (!resourcePath || !userId || !supplierId) {
-    return res
-      .status(400)
-      .json({ error: "Missing resourcePath, userId or supplierId" });
+  const { resourcePath } = req.query;
+  if (!resourcePath) {
+    return res.status(400).json({ error: "Missing resourcePath" });
   }
 
   try {
-    const { data } = await axios.get(
-      `${WIDGET_ORIGIN}${resourcePath}?entityId=${ENTITY_ID}`,
-      { headers: { Authorization: `Bearer ${ACCESS_TOKEN}` } }
+    const checkout = await getCheckout(
+      checkoutIdFromResourcePath(resourcePath)
     );
+    if (!checkout) {
+      return res.status(404).json({ error: "Unknown checkout" });
+    }
+    const { userId, supplierId } = checkout;
+    if (
+      (req.query.userId && req.query.userId !== userId) ||
+      (req.query.supplierId &&
+        !checkoutSupplierIds(checkout).includes(req.query.supplierId))
+    ) {
+      logger.warn("payment-status binding mismatch", {
+        checkoutId: checkout.id,
+      });
+      return res
+        .status(403)
+        .json({ error: "Checkout does not belong to this user or supplier" });
+    }
 
-    console.log("↪︎ Verifying payment with resourcePath:", resourcePath);
-    console.log(
-      "↪︎ Full verification response:",
-      JSON.stringify(data, null, 2)
-    );
+    const entityId = checkout.entityId || ENTITY_ID;
+    // Declined payments come back as HTTP 400 with the result in the body.
+    const data = await hyperpay
+      .getPaymentStatus(resourcePath, entityId)
+      .catch(rejectionBody);
 
     const { code, description } = data.result;
+    const { outcome } = classifyResult(data);
+    logger.info("Payment status", {
+      checkoutId: checkout.id,
+      transactionId: data.id,
+      resultCode: code,
+      outcome,
+    });
+    await recordAttemptResult({ checkout, payment: data, source: "redirect" });
+
+    // No final answer yet (e.g. 000.200.xxx): let the shopper wait rather
+    // than telling them it failed.
+    if (outcome === "pending") {
+      return res.redirect(
+        `${FRONTEND_URL}/payment-pending?checkoutId=${encodeURIComponent(
+          checkout.id
+        )}&message=${encodeURIComponent(description)}`
+      );
+    }
 
-    const successCodes = ["000.000.000", "000.100.110", "000.100.112"];
-    if (!successCodes.includes(code)) {
+    if (!isSuccessfulPayment(data)) {
+      await reportFailedPayment({
+        payment: data,
+        checkout,
+        source: "redirect",
+      });
       return res.redirect(
         `${FRONTEND_URL}/payment-failed?error=${encodeURIComponent(
           code
@@ -158,46 +357,647 @@ app.get("/api/payment-status", async (req, res) => {
       );
     }
 
-    // Fetch cart items
-    const cartSnap = await db
-      .collection("carts")
-      .doc(userId)
-      .collection("items")
-      .where("supplierId", "==", supplierId)
-      .get();
-    const items = cartSnap.docs.map((d) => d.data());
-
-    // Persist order
-    const orderId = data.id;
-    await db
-      .collection("orders")
-      .doc(orderId)
-      .set({
-        transactionId: orderId,
-        orderStatus: "Paid",
-        paymentMethod: data.paymentType,
-        totalAmount: data.amount.toString(),
-        cardBrand: data.card?.brand || "N/A",
-        userId,
-        userEmail: data.customer?.email,
-        userName: data.customer?.givenName,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        items,
-      });
+    const { paymentId, orderId, orders, mismatch } = await finalizePayment({
+      payment: data,
+      userId,
+      supplierId,
+      checkoutId: checkout.id,
+      source: "redirect",
+    });
 
-    // Clear cart
-    const batch = db.batch();
-    cartSnap.docs.forEach((doc) => batch.delete(doc.ref));
-    await batch.commit();
+    if (mismatch) {
+      logger.error("Amount/currency mismatch", { paymentId, mismatch });
+      return res.redirect(
+        `${FRONTEND_URL}/payment-failed?error=AMOUNT_MISMATCH&message=${encodeURIComponent(
+          "The charged amount did not match your order. Our team will review it."
+        )}`
+      );
+    }
 
+    // Paid but flagged by HyperPay for manual review; the order records it.
+    const review = outcome === "review" ? "&review=true" : "";
+    if (orders.length > 1) {
+      return res.redirect(
+        `${FRONTEND_URL}/orders?paymentId=${encodeURIComponent(
+          paymentId
+        )}${review}`
+      );
+    }
     return res.redirect(
-      `${FRONTEND_URL}/order-details/${orderId}?supplierId=${supplierId}`
+      `${FRONTEND_URL}/order-details/${orderId}?supplierId=${orders[0].supplierId}${review}`
     );
   } catch (err) {
+    logger.error("Verifying payment failed", { err });
     return res.status(500).send("Error verifying payment");
   }
 });
 
+// ── HyperPay webhook (server-to-server) ──────────────────────
+// The body is a hex string, so read it as text rather than JSON.
+app.post(
+  "/api/webhooks/hyperpay",
+  express.text({ type: "*/*" }),
+  async (req, res) => {
+    if (!WEBHOOK_SECRET) {
+      return res.status(500).json({
+        error: "HyperPay webhook secret is not defined on the server.",
+      });
+    }
+
+    let notification;
+    try {
+      notification = decryptNotification(req.body, {
+        iv: req.get("X-Initialization-Vector"),
+        authTag: req.get("X-Authentication-Tag"),
+        secret: WEBHOOK_SECRET,
+      });
+    } catch (err) {
+      logger.error("HyperPay webhook rejected", { err });
+      return res.status(400).json({ error: "Invalid notification" });
+    }
+
+    const payment = notification.payload;
+    logger.info("HyperPay webhook", {
+      type: notification.type,
+      transactionId: payment?.id,
+      resultCode: payment?.result?.code,
+    });
+
+    // Only successful (or paid-but-under-review) payments create orders;
+    // declined purchases are announced and everything else (refunds,
+    // chargebacks, ...) is just acked.
+    if (notification.type !== "PAYMENT") return res.sendStatus(200);
+    const declined =
+      ["DB", "PA"].includes(payment?.paymentType) &&
+      classifyResult(payment).outcome === "failed";
+    if (!isSuccessfulPayment(payment) && !declined) {
+      return res.sendStatus(200);
+    }
+
+    try {
+      const checkout = await findCheckoutForPayment(payment);
+      await recordAttemptResult({ checkout, payment, source: "webhook" });
+      if (declined) {
+        await reportFailedPayment({ payment, checkout, source: "webhook" });
+        return res.sendStatus(200);
+      }
+      if (!checkout) {
+        logger.error("No checkout binding for webhook payment", {
+          checkoutId: payment.ndc,
+          merchantTransactionId: payment.merchantTransactionId,
+        });
+        return res.sendStatus(200);
+      }
+
+      const { paymentId, orders, created, mismatch } = await finalizePayment({
+        payment,
+        userId: checkout.userId,
+        supplierId: checkout.supplierId,
+        checkoutId: checkout.id,
+        source: "webhook",
+      });
+      if (mismatch) {
+        logger.error("Webhook amount/currency mismatch", {
+          paymentId,
+          mismatch,
+        });
+        return res.sendStatus(200);
+      }
+      logger.info(
+        `Webhook ${created ? "finalized" : "skipped (already final)"}`,
+        { paymentId, orderIds: orders.map((o) => o.orderId) }
+      );
+      return res.sendStatus(200);
+    } catch (err) {
+      // Non-2xx makes HyperPay retry the notification later.
+      logger.error("HyperPay webhook processing failed", { err });
+      return res.sendStatus(500);
+    }
+  }
+);
+
+// ── Refunds & reversals (back office) ───────────────────────
+// RF refunds any part of the captured amount; RV voids the whole payment
+// and only works on the day it was made.
+const issueRefund = (paymentType) => async (req, res) => {
+  const { orderId } = req.params;
+  const action = paymentType === "RV" ? "order.reverse" : "order.refund";
+  const kind = paymentType === "RV" ? "reversal" : "refund";
+
+  let reservation;
+  try {
+    reservation = await reserveRefund({
+      orderId,
+      amount: req.body?.amount,
+      paymentType,
+      requestedBy: req.user.uid,
+    });
+  } catch (err) {
+    if (err instanceof RefundError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error("Preparing refund failed", { err });
+    return res.status(500).json({ error: "Failed to prepare refund" });
+  }
+
+  // Refunds go against the capture when the order was pre-authorized.
+  const operation = paymentType === "RV" ? hyperpay.reverse : hyperpay.refund;
+  let response;
+  try {
+    response = await operation(
+      reservation.order.captureTransactionId || reservation.order.transactionId,
+      {
+        entityId: reservation.order.entityId || ENTITY_ID,
+        amount: reservation.amount,
+        currency: reservation.currency || CURRENCY,
+        merchantTransactionId: reservation.merchantTransactionId,
+      }
+    ).catch(rejectionBody);
+  } catch (err) {
+    // HyperPay may or may not have refunded; the reservation stays until
+    // the reconciler finds out by merchantTransactionId.
+    logger.error(`HyperPay ${paymentType} failed`, {
+      orderId,
+      refundId: reservation.refundId,
+      err,
+    });
+    await recordAudit(req, action, {
+      targetType: "order",
+      targetId: orderId,
+      details: {
+        refundId: reservation.refundId,
+        amount: reservation.amount,
+        succeeded: null,
+        resultCode: null,
+      },
+    });
+    return res.status(202).json({
+      status: "pending",
+      error: `No answer from HyperPay; the ${kind} will be settled once its outcome is known`,
+      refundId: reservation.refundId,
+    });
+  }
+
+  const succeeded = classifyResult(response).outcome === "success";
+  try {
+    const order = await settleRefund({
+      orderId,
+      refundId: reservation.refundId,
+      succeeded,
+      response,
+    });
+    await recordAudit(req, action, {
+      targetType: "order",
+      targetId: orderId,
+      details: {
+        refundId: reservation.refundId,
+        amount: reservation.amount,
+        succeeded,
+        resultCode: response?.result?.code || null,
+      },
+    });
+
+    if (!succeeded) {
+      return res.status(502).json({
+        error: `HyperPay did not accept the ${kind}`,
+        refundId: reservation.refundId,
+        result: response?.result || null,
+      });
+    }
+
+    return res.json({
+      refundId: reservation.refundId,
+      transactionId: response.id,
+      amount: reservation.amount,
+      orderStatus: order.orderStatus,
+      refundedAmount: order.refundedAmount,
+    });
+  } catch (err) {
+    logger.error("Recording refund failed", { err });
+    return res.status(500).json({ error: "Failed to record refund" });
+  }
+};
+
+app.post(
+  "/api/orders/:orderId/refunds",
+  requireAuth,
+  requireRole("admin", "support"),
+  issueRefund("RF")
+);
+
+app.post(
+  "/api/orders/:orderId/reversal",
+  requireAuth,
+  requireRole("admin", "support"),
+  issueRefund("RV")
+);
+
+app.get(
+  "/api/orders/:orderId/refunds",
+  requireAuth,
+  requireRole("admin", "support"),
+  async (req, res) => {
+    try {
+      const snap = await db
+        .collection("orders")
+        .doc(req.params.orderId)
+        .collection("refunds")
+        .orderBy("createdAt", "desc")
+        .get();
+      await recordAudit(req, "order.refunds.view", {
+        targetType: "order",
+        targetId: req.params.orderId,
+      });
+      return res.json({
+        refunds: snap.docs.map((d) => ({ id: d.id, ...d.data() })),
+      });
+    } catch (err) {
+      logger.error("Listing refunds failed", { err });
+      return res.status(500).json({ error: "Failed to list refunds" });
+    }
+  }
+);
+
+// ── Capture / void of pre-authorized orders ─────────────────
+// Runs the HyperPay side of a capture (CP) or void (RV) that
+// beginOperation has already locked, then records the outcome. Without an
+// answer from HyperPay the order stays locked (`pending`) for the
+// reconciler to settle.
+const runAuthorizationOperation = async (
+  { orderId, operation, amount, order, merchantTransactionId },
+  expired = false
+) => {
+  const call = operation === "capture" ? hyperpay.capture : hyperpay.reverse;
+  let response;
+  try {
+    response = await call(order.transactionId, {
+      entityId: order.entityId || ENTITY_ID,
+      amount,
+      currency: order.currency || CURRENCY,
+      merchantTransactionId,
+    }).catch(rejectionBody);
+  } catch (err) {
+    logger.error(`HyperPay ${operation} failed`, { orderId, err });
+    return { pending: true };
+  }
+
+  const succeeded = classifyResult(response).outcome === "success";
+  const update = await completeOperation({
+    orderId,
+    operation,
+    amount,
+    succeeded,
+    response,
+    expired,
+  });
+  return { succeeded, response, update };
+};
+
+const manageAuthorization = (operation) => async (req, res) => {
+  const { orderId } = req.params;
+
+  let started;
+  try {
+    started = await beginOperation({
+      orderId,
+      operation,
+      amount: req.body?.amount,
+      user: req.user,
+    });
+  } catch (err) {
+    if (err instanceof AuthorizationError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error(`Preparing ${operation} failed`, { err });
+    return res.status(500).json({ error: `Failed to prepare ${operation}` });
+  }
+
+  try {
+    const { pending, succeeded, response, update } =
+      await runAuthorizationOperation({
+        orderId,
+        operation,
+        amount: started.amount,
+        order: started.order,
+        merchantTransactionId: started.merchantTransactionId,
+      });
+    await recordAudit(req, `order.${operation}`, {
+      targetType: "order",
+      targetId: orderId,
+      details: {
+        amount: started.amount,
+        succeeded: pending ? null : succeeded,
+        resultCode: response?.result?.code || null,
+      },
+    });
+
+    if (pending) {
+      return res.status(202).json({
+        status: "pending",
+        error: `No answer from HyperPay; the ${operation} will be settled once its outcome is known`,
+        orderId,
+      });
+    }
+
+    if (!succeeded) {
+      return res.status(502).json({
+        error: `HyperPay did not accept the ${operation}`,
+        result: response?.result || null,
+      });
+    }
+    return res.json({
+      orderId,
+      orderStatus: update.orderStatus,
+      amount: started.amount,
+      transactionId: response.id,
+    });
+  } catch (err) {
+    logger.error(`Recording ${operation} failed`, { err });
+    return res.status(500).json({ error: `Failed to record ${operation}` });
+  }
+};
+
+app.post(
+  "/api/orders/:orderId/capture",
+  requireAuth,
+  requireRole("admin", "supplier"),
+  manageAuthorization("capture")
+);
+
+app.post(
+  "/api/orders/:orderId/void",
+  requireAuth,
+  requireRole("admin", "supplier"),
+  manageAuthorization("void")
+);
+
+// Authorizations nobody captured are voided so the buyer's funds are
+// released instead of silently lapsing at the issuer.
+async function expireStaleAuthorizations() {
+  const orders = await findExpiredAuthorizations();
+  for (const order of orders) {
+    try {
+      const started = await beginOperation({
+        orderId: order.id,
+        operation: "void",
+      });
+      const { pending } = await runAuthorizationOperation(
+        {
+          orderId: order.id,
+          operation: "void",
+          amount: started.amount,
+          order: started.order,
+          merchantTransactionId: started.merchantTransactionId,
+        },
+        true
+      );
+      logger.info(
+        pending
+          ? "Expiring authorization left pending"
+          : "Expired authorization",
+        { orderId: order.id }
+      );
+    } catch (err) {
+      logger.error("Expiring authorization failed", {
+        orderId: order.id,
+        err,
+      });
+    }
+  }
+}
+
+// ── Saved cards ─────────────────────────────────────────────
+app.get("/api/saved-cards", requireAuth, async (req, res) => {
+  try {
+    const cards = await listSavedCards(req.user.uid);
+    // initialTransactionId stays server-side; the client only needs display data.
+    return res.json({
+      cards: cards.map(({ initialTransactionId, ...card }) => card),
+    });
+  } catch (err) {
+    logger.error("Listing saved cards failed", { err });
+    return res.status(500).json({ error: "Failed to list saved cards" });
+  }
+});
+
+app.delete(
+  "/api/saved-cards/:registrationId",
+  requireAuth,
+  async (req, res) => {
+    const { registrationId } = req.params;
+    try {
+      const card = await getSavedCard(req.user.uid, registrationId);
+      if (!card) return res.status(404).json({ error: "Card not found" });
+      if ((await subscriptionsUsingCard(req.user.uid, registrationId)).length) {
+        return res.status(409).json({
+          error: "This card pays for a subscription; cancel it first",
+        });
+      }
+
+      // Deregister the token at HyperPay too, so it can never be charged.
+      await hyperpay
+        .deleteRegistration(registrationId, card.entityId || ENTITY_ID)
+        .catch((err) =>
+          logger.error("HyperPay deregistration failed", { err })
+        );
+
+      await deleteSavedCard(req.user.uid, registrationId);
+      return res.sendStatus(204);
+    } catch (err) {
+      logger.error("Deleting saved card failed", { err });
+      return res.status(500).json({ error: "Failed to delete saved card" });
+    }
+  }
+);
+
+// ── One-click payment with a saved card (server-to-server) ──
+// `currency` works as in create-checkout: the cart is converted at
+// today's rate and the snapshot is kept with the checkout.
+app.post("/api/charge-saved-card", guardPaymentRoute, async (req, res) => {
+  const userId = req.user.uid;
+  // supplierId is optional; without it the whole cart is charged.
+  const { registrationId, supplierId } = req.body;
+  if (!registrationId) {
+    return res.status(400).json({ error: "Missing registrationId" });
+  }
+
+  let card;
+  let cart;
+  let currency;
+  let exchangeRate;
+  try {
+    currency = resolveCurrency(req.body.currency);
+    card = await getSavedCard(userId, registrationId);
+    if (!card) return res.status(404).json({ error: "Card not found" });
+    exchangeRate = await rateSnapshot(currency);
+    cart = await loadCart(userId, supplierId, exchangeRate);
+  } catch (err) {
+    if (err instanceof CartError) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err instanceof CurrencyError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error("Preparing saved-card charge failed", { err });
+    return res.status(500).json({ error: "Failed to prepare payment" });
+  }
+  if (!cart.items.length) {
+    return res.status(400).json({ error: "Cart is empty" });
+  }
+
+  const { total } = cart.totals;
+  const merchantTransactionId = `txn_${Date.now()}`;
+  // Tokens only work on the entity that created them.
+  const entityId = card.entityId || ENTITY_ID;
+  let paymentType;
+  try {
+    paymentType = await resolvePaymentType(cart.supplierIds);
+    await screenPayment(req, {
+      amount: baseAmount(total, exchangeRate),
+      bin: card.bin,
+    });
+
+    // Server-to-server charges have no checkout id, so the record is keyed
+    // by merchantTransactionId instead.
+    const checkout = {
+      userId,
+      ...cartBinding(cart),
+      merchantTransactionId,
+      amount: total,
+      currency,
+      exchangeRate,
+      baseAmount: baseAmount(total, exchangeRate),
+      paymentType,
+      entityId,
+      brands: card.brand ? [card.brand] : [],
+      registrationId,
+      status: "pending",
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    await db.collection("checkouts").doc(merchantTransactionId).set(checkout);
+    await openAttempt({ id: merchantTransactionId, ...checkout }, "saved-card");
+  } catch (err) {
+    if (
+      err instanceof AuthorizationError ||
+      err instanceof PaymentBlockedError
+    ) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    logger.error("Recording saved-card checkout failed", { err });
+    return res.status(500).json({ error: "Failed to prepare payment" });
+  }
+
+  let payment;
+  try {
+    payment = await hyperpay
+      .chargeRegistration(registrationId, {
+        entityId,
+        amount: total,
+        currency,
+        paymentType,
+        merchantTransactionId,
+        "standingInstruction.mode": "REPEATED",
+        "standingInstruction.type": "UNSCHEDULED",
+        "standingInstruction.source": "CIT",
+        "standingInstruction.initialTransactionId": card.initialTransactionId,
+      })
+      .catch(rejectionBody);
+  } catch (err) {
+    // HyperPay may or may not have charged the card. Telling the buyer it
+    // failed invites a second charge, so the checkout stays pending until
+    // the reconciler finds out by merchantTransactionId.
+    logger.error("HyperPay saved-card charge failed", {
+      merchantTransactionId,
+      err,
+    });
+    return res.status(202).json({
+      status: "pending",
+      error:
+        "No answer from HyperPay; the payment will be settled once its outcome is known",
+      merchantTransactionId,
+    });
+  }
+  await recordAttemptResult({
+    checkout: { id: merchantTransactionId },
+    payment,
+    source: "saved-card",
+  });
+
+  // The issuer may still want 3DS for a cardholder-initiated charge.
+  if (payment.redirect?.url) {
+    return res.status(202).json({
+      status: "redirect",
+      transactionId: payment.id,
+      redirect: payment.redirect,
+    });
+  }
+
+  const { outcome } = classifyResult(payment);
+  if (outcome === "pending") {
+    return res.status(202).json({
+      status: "pending",
+      transactionId: payment.id,
+      result: payment.result,
+    });
+  }
+  if (!isSuccessfulPayment(payment)) {
+    await reportFailedPayment({
+      payment,
+      checkout: {
+        id: merchantTransactionId,
+        userId,
+        merchantTransactionId,
+        supplierIds: cart.supplierIds,
+        amount: total,
+        currency,
+      },
+      source: "saved-card",
+    });
+    return res
+      .status(402)
+      .json({ error: "Payment declined", result: payment.result });
+  }
+
+  try {
+    const { paymentId, orderId, orders, mismatch } = await finalizePayment({
+      payment,
+      userId,
+      supplierId,
+      checkoutId: merchantTransactionId,
+      source: "saved-card",
+    });
+    if (mismatch) {
+      logger.error("Amount/currency mismatch", { paymentId, mismatch });
+      return res
+        .status(409)
+        .json({ error: "Charged amount did not match the cart", paymentId });
+    }
+    return res.json({
+      paymentId,
+      orderId,
+      orderIds: orders.map((o) => o.orderId),
+      amount: total,
+      currency,
+      reviewRequired: outcome === "review",
+    });
+  } catch (err) {
+    logger.error("Finalizing saved-card charge failed", { err });
+    return res.status(500).json({ error: "Failed to record payment" });
+  }
+});
+
+// ── Back-office API ─────────────────────────────────────────
+app.use("/api/admin", adminRouter);
+
+// ── Invoices & credit notes ─────────────────────────────────
+app.use("/api", invoicesRouter);
+
+// ── Hosted payment page ─────────────────────────────────────
+app.use("/pay", payRouter);
+
+// ── Subscriptions ───────────────────────────────────────────
+app.use("/api", subscriptionsRouter);
+
 // ── Verify payment endpoint (optional) ───────────────────────
 app.post("/api/verify-payment", async (req, res) => {
   const { resourcePath } = req.body;
@@ -208,15 +1008,15 @@ app.post("/api/verify-payment", async (req, res) => {
   }
 
   try {
-    const { data } = await axios.get(
-      `${WIDGET_ORIGIN}${resourcePath}?entityId=${ENTITY_ID}`,
-      { headers: { Authorization: `Bearer ${ACCESS_TOKEN}` } }
-    );
+    const entityId = await entityForResourcePath(resourcePath);
+    const data = await hyperpay.getPaymentStatus(resourcePath, entityId);
     return res.json({
       success: true,
+      outcome: classifyResult(data).outcome,
       transactionId: data.id,
       amount: data.amount,
       paymentType: data.paymentType,
+      paymentBrand: resolvePaymentBrand(data),
       cardBrand: data.card?.brand || null,
       customerName: data.customer?.givenName || null,
       customerEmail: data.customer?.email || null,
@@ -224,10 +1024,102 @@ app.post("/api/verify-payment", async (req, res) => {
       resourcePath,
     });
   } catch (err) {
+    logger.error("Verifying payment failed", { err });
     return res
       .status(500)
       .json({ success: false, error: "Verification failed" });
   }
 });
 
-app.listen(PORT, () => console.log(`✅ HyperPay server listening on ${PORT}`));
+// The e2e tests require the app and listen on a port of their own, without
+// the background jobs below.
+module.exports = app;
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info("HyperPay server listening", { port: PORT, env: config.env });
+    setInterval(
+      () =>
+        expireStaleAuthorizations().catch((err) =>
+          logger.error("Authorization sweep failed", { err })
+        ),
+      AUTH_SWEEP_INTERVAL_MS
+    ).unref();
+    // Pending checkouts (000.200.xxx, abandoned 3DS) are settled in the
+    // background instead of being forgotten.
+    setInterval(
+      () =>
+        reconcilePending()
+          .then((results) =>
+            results
+              .filter((r) => r.action !== "pending")
+              .forEach((r) =>
+                logger.info("Reconciled checkout", {
+                  checkoutId: r.checkoutId,
+                  action: r.action,
+                })
+              )
+          )
+          .catch((err) => logger.error("Reconciliation run failed", { err })),
+      RECONCILE_INTERVAL_MS
+    ).unref();
+    // Refunds, captures and voids whose HyperPay call got no answer stay
+    // pending until the transaction report says how they ended.
+    setInterval(
+      () =>
+        reconcilePendingRefunds()
+          .then((results) =>
+            results
+              .filter((r) => r.action !== "pending")
+              .forEach((r) =>
+                logger.info("Reconciled refund", {
+                  orderId: r.orderId,
+                  refundId: r.refundId,
+                  action: r.action,
+                })
+              )
+          )
+          .then(() => reconcilePendingOperations())
+          .then((results) =>
+            results
+              .filter((r) => r.action !== "pending")
+              .forEach((r) =>
+                logger.info("Reconciled authorization operation", {
+                  orderId: r.orderId,
+                  operation: r.operation,
+                  action: r.action,
+                })
+              )
+          )
+          .catch((err) =>
+            logger.error("Back-office reconciliation run failed", { err })
+          ),
+      RECONCILE_INTERVAL_MS
+    ).unref();
+    // Order notifications: email and outbound webhooks, retried from the
+    // eventDeliveries outbox.
+    const sinks = registerConfiguredSinks();
+    if (sinks.length) logger.info("Event sinks registered", { sinks });
+    setInterval(
+      () =>
+        deliverDueEvents().catch((err) =>
+          logger.error("Event delivery run failed", { err })
+        ),
+      EVENT_DELIVERY_INTERVAL_MS
+    ).unref();
+    // Renewals of subscriptions whose period has ended, and dunning retries.
+    setInterval(
+      () =>
+        chargeDueSubscriptions()
+          .then((results) =>
+            results
+              .filter((r) => r.action !== "skipped")
+              .forEach((r) => logger.info("Subscription billed", r))
+          )
+          .catch((err) =>
+            logger.error("Subscription billing run failed", { err })
+          ),
+      SUBSCRIPTION_BILLING_INTERVAL_MS
+    ).unref();
+  });
+}
@@ -0,0 +1,233 @@
+// test/e2e/abuse.test.js — origin allow-list, rate limits and payment screening
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("../support/app");
+const { CODES } = require("../support/fake-hyperpay");
+
+const ADMIN = { uid: "admin-1", admin: true };
+const MINUTE = 60 * 1000;
+
+describe("abuse protection on payment routes", () => {
+  let t;
+  let nextIp = 1;
+  // Rate limits outlive t.reset(), so every test gets its own address.
+  const freshIp = () => `203.0.113.${nextIp++}`;
+
+  before(async () => {
+    t = await startTestApp({
+      TRUST_PROXY_HOPS: "1",
+      RATE_LIMIT_PER_IP: "3",
+      RATE_LIMIT_PER_USER: "2",
+      VELOCITY_MAX_DECLINES_PER_USER: "3",
+      VELOCITY_MAX_DECLINES_PER_BIN: "3",
+      PAYMENT_CEILINGS: "default:100,verified:1000",
+    });
+  });
+  after(() => t.close());
+
+  beforeEach(async () => {
+    t.reset();
+    await t.db.collection("suppliers").doc("sup-1").set({ name: "Supplier 1" });
+  });
+
+  async function fillCart(uid, quantity = 1) {
+    await t.db
+      .collection("carts")
+      .doc(uid)
+      .collection("items")
+      .doc("item-1")
+      .set({
+        name: "Product 1",
+        quantity,
+        shippingCost: "0",
+        supplierId: "sup-1",
+        // 57.50 with VAT.
+        price: "50.00",
+      });
+  }
+
+  async function createCheckout(user, { ip = freshIp(), headers, body } = {}) {
+    await fillCart(user.uid, body?.quantity);
+    return t.request("POST", "/api/create-checkout", {
+      user,
+      body: { name: "Test Buyer", email: user.email, ...body },
+      headers: { "X-Forwarded-For": ip, ...headers },
+    });
+  }
+
+  const blocked = async () =>
+    (await t.db.collection("blockedAttempts").get()).docs.map((d) => d.data());
+
+  async function seedDeclines(count, fields) {
+    for (let i = 0; i < count; i++) {
+      await t.db
+        .collection("paymentDeclines")
+        .doc(`declined-${i}`)
+        .set({ declinedAt: new Date(Date.now() - i * MINUTE), ...fields });
+    }
+  }
+
+  it("only answers browsers on the allowed origins", async () => {
+    const user = { uid: "origin-1" };
+    const allowed = await createCheckout(user, {
+      headers: { Origin: "https://shop.test" },
+    });
+    assert.equal(allowed.status, 200, allowed.text);
+    assert.equal(
+      allowed.headers.get("access-control-allow-origin"),
+      "https://shop.test"
+    );
+
+    const foreign = await createCheckout(user, {
+      headers: { Origin: "https://evil.test" },
+    });
+    assert.equal(foreign.status, 403);
+    assert.equal(foreign.headers.get("access-control-allow-origin"), null);
+
+    const [attempt] = await blocked();
+    assert.equal(attempt.rule, "origin");
+    assert.equal(attempt.origin, "https://evil.test");
+  });
+
+  it("limits checkouts per IP and per user", async () => {
+    const ip = freshIp();
+    const statuses = [];
+    for (let i = 0; i < 5; i++) {
+      const res = await createCheckout({ uid: `ip-user-${i}` }, { ip });
+      statuses.push(res.status);
+      if (res.status === 429) assert.ok(res.headers.get("retry-after"));
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 429, 429]);
+    // The first refusal of the window is recorded, not every one.
+    assert.deepEqual(
+      (await blocked()).map((a) => [a.rule, a.ip]),
+      [["rate_limit_ip", ip]]
+    );
+
+    const user = { uid: "busy-user" };
+    const perUser = [];
+    for (let i = 0; i < 3; i++) {
+      perUser.push((await createCheckout(user)).status);
+    }
+    assert.deepEqual(perUser, [200, 200, 429]);
+  });
+
+  it("holds payments to the ceiling of the buyer's tier", async () => {
+    const over = await createCheckout(
+      { uid: "tier-1" },
+      { body: { quantity: 2 } }
+    );
+    assert.equal(over.status, 403);
+    assert.match(over.body.error, /100 SAR/);
+    assert.equal((await blocked())[0].rule, "amount_ceiling");
+    assert.equal(t.hyperpay.requests.length, 0);
+
+    const verified = await createCheckout(
+      { uid: "tier-2", tier: "verified" },
+      { body: { quantity: 2 } }
+    );
+    assert.equal(verified.status, 200, verified.text);
+  });
+
+  it("stops a buyer after too many recent declines", async () => {
+    const user = { uid: "tester-1" };
+    await seedDeclines(2, { userId: user.uid });
+    assert.equal((await createCheckout(user)).status, 200);
+
+    await seedDeclines(3, { userId: user.uid });
+    const res = await createCheckout(user);
+    assert.equal(res.status, 429);
+    assert.equal((await blocked())[0].rule, "velocity_user");
+  });
+
+  it("counts every declined try on a checkout", async () => {
+    const { recordAttemptResult } = require("../../lib/attempts");
+    const user = { uid: "retrier-1" };
+    const checkout = { id: "checkout-1", userId: user.uid };
+    // One checkout, three declined cards: the limit in this suite.
+    for (let i = 0; i < 3; i++) {
+      await recordAttemptResult({
+        checkout,
+        payment: { id: `try-${i}`, result: { code: CODES.declined } },
+        source: "webhook",
+      });
+    }
+
+    const res = await createCheckout(user);
+    assert.equal(res.status, 429);
+    assert.equal((await blocked())[0].rule, "velocity_user");
+  });
+
+  it("stops saved-card charges on a BIN that keeps being declined", async () => {
+    const user = { uid: "card-user" };
+    await fillCart(user.uid);
+    await t.db
+      .collection("users")
+      .doc(user.uid)
+      .collection("savedCards")
+      .doc("reg-1")
+      .set({ registrationId: "reg-1", brand: "VISA", bin: "411111" });
+    await seedDeclines(3, { userId: "someone-else", cardBin: "411111" });
+
+    const res = await t.request("POST", "/api/charge-saved-card", {
+      user,
+      body: { registrationId: "reg-1" },
+      headers: { "X-Forwarded-For": freshIp() },
+    });
+    assert.equal(res.status, 429);
+    const [attempt] = await blocked();
+    assert.equal(attempt.rule, "velocity_bin");
+    assert.equal(attempt.bin, "411111");
+    assert.equal(t.hyperpay.requests.length, 0);
+  });
+
+  it("refuses blocklisted buyers until an admin lifts the block", async () => {
+    const user = { uid: "listed-1", email: "buyer@example.com" };
+    const add = await t.request("POST", "/api/admin/blocklist", {
+      user: ADMIN,
+      body: {
+        type: "email",
+        value: "Buyer@Example.com",
+        reason: "chargebacks",
+      },
+      headers: { "X-Forwarded-For": freshIp() },
+    });
+    assert.equal(add.status, 201, add.text);
+    assert.equal(add.body.value, "buyer@example.com");
+
+    const refused = await createCheckout(user);
+    assert.equal(refused.status, 403);
+    // Any email can be looked up, even one that isn't a valid document id.
+    const slashed = { uid: "listed-2", email: "a/b@example.com" };
+    assert.equal((await createCheckout(slashed)).status, 200);
+
+    const review = await t.request(
+      "GET",
+      "/api/admin/blocked-attempts?rule=blocklist",
+      { user: ADMIN }
+    );
+    assert.equal(review.status, 200);
+    assert.equal(review.body.attempts.length, 1);
+    assert.equal(review.body.attempts[0].userId, user.uid);
+    assert.equal(review.body.attempts[0].reason, "email buyer@example.com");
+    const audited = (await t.db.collection("auditLogs").get()).docs.map(
+      (d) => d.data().action
+    );
+    assert.ok(audited.includes("blockedAttempts.search"));
+    // Another email in the body doesn't get round the signed-in one.
+    const evasive = await createCheckout(
+      { uid: "listed-3", email: user.email },
+      { body: { email: "someone-else@example.com" } }
+    );
+    assert.equal(evasive.status, 403);
+
+    const remove = await t.request(
+      "DELETE",
+      `/api/admin/blocklist/${encodeURIComponent(add.body.id)}`,
+      { user: ADMIN }
+    );
+    assert.equal(remove.status, 204);
+    assert.equal((await createCheckout(user)).status, 200);
+  });
+});
@@ -0,0 +1,218 @@
+// test/e2e/back-office.test.js — refunds, reversals, captures, voids, analytics and listings
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("../support/app");
+const { CODES } = require("../support/fake-hyperpay");
+
+const BUYER = { uid: "buyer-1", email: "buyer@example.com" };
+const ADMIN = { uid: "admin-1", admin: true };
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+describe("back-office operations", () => {
+  let t;
+  let reconciler;
+
+  before(async () => {
+    t = await startTestApp();
+    // Loaded after startTestApp() so it uses the in-memory Firestore.
+    reconciler = require("../../lib/reconciler");
+  });
+  after(() => t.close());
+
+  beforeEach(async () => {
+    t.reset();
+    await t.db.collection("suppliers").doc("sup-1").set({ name: "Supplier 1" });
+  });
+
+  /** Pay for one 100.00 item (115.00 with VAT); resolves to the payment. */
+  async function paidOrder() {
+    await t.db
+      .collection("carts")
+      .doc(BUYER.uid)
+      .collection("items")
+      .doc("item-1")
+      .set({
+        name: "Product 1",
+        quantity: 1,
+        shippingCost: "0",
+        supplierId: "sup-1",
+        price: "100.00",
+      });
+    const checkout = await t.request("POST", "/api/create-checkout", {
+      user: BUYER,
+      body: { name: "Test Buyer", email: BUYER.email },
+    });
+    assert.equal(checkout.status, 200, checkout.text);
+    const { checkoutId } = checkout.body;
+    t.hyperpay.scriptCheckout(checkoutId, { code: CODES.success });
+    await t.request(
+      "GET",
+      `/api/payment-status?resourcePath=${encodeURIComponent(
+        `/v1/checkouts/${checkoutId}/payment`
+      )}`
+    );
+    return t.hyperpay.paymentOf(checkoutId);
+  }
+
+  const orderOf = async (id) =>
+    (await t.db.collection("orders").doc(id).get()).data();
+
+  describe("refunds", () => {
+    it("keeps an unanswered refund pending until the reconciler settles it", async () => {
+      const payment = await paidOrder();
+      t.hyperpay.scriptPaymentOperation(payment.id, { dropResponse: true });
+
+      const res = await t.request("POST", `/api/orders/${payment.id}/refunds`, {
+        user: ADMIN,
+        body: { amount: "50.00" },
+      });
+      assert.equal(res.status, 202, res.text);
+      assert.equal(res.body.status, "pending");
+
+      let order = await orderOf(payment.id);
+      assert.equal(order.orderStatus, "Paid");
+      assert.equal(order.pendingRefundAmount, "50.00");
+      // The rest is all that can still be refunded meanwhile.
+      const over = await t.request(
+        "POST",
+        `/api/orders/${payment.id}/refunds`,
+        { user: ADMIN, body: { amount: "70.00" } }
+      );
+      assert.equal(over.status, 400);
+
+      // Too recent for the scheduled run.
+      assert.deepEqual(await reconciler.reconcilePendingRefunds(), []);
+
+      const [settled] = await reconciler.reconcilePendingRefunds({
+        minAgeMinutes: 0,
+      });
+      assert.equal(settled.action, "succeeded");
+      assert.equal(settled.refundId, res.body.refundId);
+
+      order = await orderOf(payment.id);
+      assert.equal(order.orderStatus, "PartiallyRefunded");
+      assert.equal(order.refundedAmount, "50.00");
+      assert.equal(order.pendingRefundAmount, "0.00");
+      const refund = (
+        await t.db
+          .collection("orders")
+          .doc(payment.id)
+          .collection("refunds")
+          .doc(res.body.refundId)
+          .get()
+      ).data();
+      assert.equal(refund.status, "succeeded");
+      assert.equal(refund.hyperpayTransactionId, settled.transactionId);
+
+      assert.deepEqual(
+        await reconciler.reconcilePendingRefunds({ minAgeMinutes: 0 }),
+        []
+      );
+    });
+  });
+
+  describe("reversals", () => {
+    it("only reverses payments from the same day in Riyadh", async () => {
+      const payment = await paidOrder();
+      const orderRef = t.db.collection("orders").doc(payment.id);
+      const reverse = () =>
+        t.request("POST", `/api/orders/${payment.id}/reversal`, {
+          user: ADMIN,
+        });
+      // Riyadh is UTC+3 all year. Half an hour either side of its last
+      // midnight is the same UTC day, so one of the two checks below would
+      // go the other way if days were compared in UTC.
+      const now = Date.now();
+      const midnight = Math.floor((now + 3 * HOUR) / DAY) * DAY - 3 * HOUR;
+
+      await orderRef.update({ createdAt: new Date(midnight - HOUR / 2) });
+      const stale = await reverse();
+      assert.equal(stale.status, 409);
+      assert.match(stale.body.error, /on the day of payment/);
+
+      await orderRef.update({
+        createdAt: new Date(Math.min(midnight + HOUR / 2, now)),
+      });
+      const res = await reverse();
+      assert.equal(res.status, 200, res.text);
+      assert.equal(res.body.orderStatus, "Refunded");
+    });
+  });
+
+  describe("authorizations", () => {
+    it("keeps an unanswered capture pending until the reconciler settles it", async () => {
+      await t.db
+        .collection("suppliers")
+        .doc("sup-1")
+        .set({ name: "Supplier 1", requiresConfirmation: true });
+      const payment = await paidOrder();
+      assert.equal((await orderOf(payment.id)).orderStatus, "Authorized");
+      t.hyperpay.scriptPaymentOperation(payment.id, { dropResponse: true });
+
+      const res = await t.request("POST", `/api/orders/${payment.id}/capture`, {
+        user: ADMIN,
+        body: { amount: "100.00" },
+      });
+      assert.equal(res.status, 202, res.text);
+      assert.equal((await orderOf(payment.id)).orderStatus, "Capturing");
+
+      const [settled] = await reconciler.reconcilePendingOperations({
+        minAgeMinutes: 0,
+      });
+      assert.equal(settled.operation, "capture");
+      assert.equal(settled.action, "succeeded");
+
+      const order = await orderOf(payment.id);
+      assert.equal(order.orderStatus, "Paid");
+      assert.equal(order.capturedAmount, "100.00");
+      // The rest of the 115.00 stays held until the authorization lapses.
+      assert.equal(order.uncapturedAmount, "15.00");
+      assert.equal(order.captureTransactionId, settled.transactionId);
+      assert.equal(order.pendingOperationId, undefined);
+    });
+  });
+
+  describe("payment analytics", () => {
+    it("adds up attempts a page at a time", async () => {
+      await paidOrder();
+      await paidOrder();
+      const from = new Date(Date.now() - DAY);
+      const to = new Date(Date.now() + HOUR);
+
+      const res = await t.request(
+        "GET",
+        `/api/admin/analytics/payments?from=${from.toISOString()}&to=${to.toISOString()}`,
+        { user: ADMIN }
+      );
+      assert.equal(res.status, 200, res.text);
+      assert.equal(res.body.conversion.checkouts, 2);
+      assert.equal(res.body.conversion.succeeded, 2);
+
+      const { paymentAnalytics } = require("../../lib/attempts");
+      const paged = await paymentAnalytics({ from, to, pageSize: 1 });
+      assert.deepEqual(paged, res.body);
+    });
+  });
+
+  describe("admin listings", () => {
+    it("reads page sizes as whole numbers of at least one", async () => {
+      await paidOrder();
+      await paidOrder();
+      const list = (limit) =>
+        t.request("GET", `/api/admin/orders?limit=${limit}`, { user: ADMIN });
+
+      for (const [limit, expected] of [
+        ["-2.5", 1],
+        ["0", 2],
+        ["1.9", 1],
+        ["abc", 2],
+      ]) {
+        const res = await list(limit);
+        assert.equal(res.status, 200, res.text);
+        assert.equal(res.body.orders.length, expected, `limit=${limit}`);
+      }
+    });
+  });
+});
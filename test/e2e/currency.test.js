@@ -0,0 +1,161 @@
+// test/e2e/currency.test.js — paying in another GCC currency at a snapshotted rate
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("../support/app");
+const { CODES } = require("../support/fake-hyperpay");
+
+const BUYER = { uid: "buyer-1", email: "buyer@example.com" };
+const ADMIN = { uid: "admin-1", admin: true };
+const SUPPORT = { uid: "support-1", support: true };
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("multi-currency checkout", () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ CURRENCIES: "SAR,KWD,USD" });
+  });
+  after(() => t.close());
+
+  beforeEach(async () => {
+    t.reset();
+    await t.db.collection("suppliers").doc("sup-1").set({ name: "Supplier 1" });
+    await t.db
+      .collection("carts")
+      .doc(BUYER.uid)
+      .collection("items")
+      .doc("item-1")
+      .set({
+        name: "Product 1",
+        quantity: 1,
+        shippingCost: "10.00",
+        supplierId: "sup-1",
+        price: "100.00",
+      });
+  });
+
+  const setRates = (rates, user = ADMIN) =>
+    t.request("PUT", "/api/admin/exchange-rates", {
+      user,
+      body: { rates },
+    });
+
+  const createCheckout = (body = {}) =>
+    t.request("POST", "/api/create-checkout", {
+      user: BUYER,
+      body: { name: "Test Buyer", email: BUYER.email, ...body },
+    });
+
+  const all = async (collection) =>
+    (await t.db.collection(collection).get()).docs.map((d) => d.data());
+
+  it("charges KWD to three decimals and keeps the rate on the order", async () => {
+    assert.equal((await setRates({ KWD: 0.0819 })).status, 200);
+
+    const res = await createCheckout({ currency: "kwd" });
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.currency, "KWD");
+    // 8.190 + 0.819 shipping + 1.351 VAT.
+    assert.equal(res.body.amount, "10.360");
+
+    const sent = t.hyperpay.requests.find((r) => r.path === "/v1/checkouts");
+    assert.equal(sent.form.amount, "10.360");
+    assert.equal(sent.form.currency, "KWD");
+
+    const { checkoutId } = res.body;
+    t.hyperpay.scriptCheckout(checkoutId, { code: CODES.success });
+    await t.request(
+      "GET",
+      `/api/payment-status?resourcePath=${encodeURIComponent(
+        `/v1/checkouts/${checkoutId}/payment`
+      )}`
+    );
+
+    const [order] = await all("orders");
+    assert.equal(order.currency, "KWD");
+    assert.equal(order.totalAmount, "10.360");
+    assert.equal(order.vatAmount, "1.351");
+    assert.equal(order.items[0].price, "8.190");
+    assert.equal(order.items[0].basePrice, "100.00");
+    assert.equal(order.exchangeRate.rate, 0.0819);
+    assert.equal(order.exchangeRate.base, "SAR");
+    assert.equal(order.baseCurrency, "SAR");
+    assert.equal(order.baseAmount, "126.50");
+
+    const [invoice] = await all("invoices");
+    assert.equal(invoice.currency, "KWD");
+    assert.equal(invoice.total, "10.360");
+    assert.equal(invoice.baseVatAmount, "16.50");
+
+    // A later rate change leaves the paid order alone.
+    await setRates({ KWD: 0.08 });
+    const [after] = await all("orders");
+    assert.equal(after.exchangeRate.rate, 0.0819);
+  });
+
+  it("charges a saved card in the currency asked for", async () => {
+    await setRates({ KWD: 0.0819 });
+    await t.db
+      .collection("users")
+      .doc(BUYER.uid)
+      .collection("savedCards")
+      .doc("reg-1")
+      .set({ registrationId: "reg-1", brand: "VISA", bin: "411111" });
+
+    const res = await t.request("POST", "/api/charge-saved-card", {
+      user: BUYER,
+      body: { registrationId: "reg-1", currency: "KWD" },
+    });
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.currency, "KWD");
+    assert.equal(res.body.amount, "10.360");
+
+    const sent = t.hyperpay.requests.find((r) =>
+      r.path.startsWith("/v1/registrations/")
+    );
+    assert.equal(sent.form.currency, "KWD");
+
+    const [order] = await all("orders");
+    assert.equal(order.currency, "KWD");
+    assert.equal(order.exchangeRate.rate, 0.0819);
+    assert.equal(order.baseAmount, "126.50");
+  });
+
+  it("prices in the base currency when none is asked for", async () => {
+    const res = await createCheckout();
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.currency, "SAR");
+    assert.equal(res.body.amount, "126.50");
+  });
+
+  it("refuses currencies that aren't accepted or have no usable rate", async () => {
+    assert.equal((await createCheckout({ currency: "EUR" })).status, 400);
+    assert.equal((await createCheckout({ currency: "USD" })).status, 409);
+
+    await setRates({ USD: 0.2666 });
+    await t.db
+      .collection("settings")
+      .doc("exchangeRates")
+      .update({ updatedAt: new Date(Date.now() - 3 * DAY) });
+    const stale = await createCheckout({ currency: "USD" });
+    assert.equal(stale.status, 409);
+    assert.match(stale.body.error, /out of date/);
+  });
+
+  it("lets only admins set rates, and only for accepted currencies", async () => {
+    assert.equal((await setRates({ KWD: 0.0819 }, SUPPORT)).status, 403);
+    assert.equal((await setRates({ SAR: 1 })).status, 400);
+    assert.equal((await setRates({ EUR: 0.24 })).status, 400);
+    assert.equal((await setRates({ KWD: -1 })).status, 400);
+
+    await setRates({ KWD: 0.0819, USD: 0.2666 });
+    const res = await t.request("GET", "/api/admin/exchange-rates", {
+      user: SUPPORT,
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.rates, { KWD: 0.0819, USD: 0.2666 });
+    assert.deepEqual(res.body.currencies, ["SAR", "KWD", "USD"]);
+    assert.equal(res.body.updatedBy, ADMIN.uid);
+  });
+});
@@ -0,0 +1,244 @@
+// test/e2e/notifications.test.js — events delivered by email and signed webhooks
+
+const http = require("http");
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("../support/app");
+const { createFakeSmtp } = require("../support/fake-smtp");
+const { CODES } = require("../support/fake-hyperpay");
+
+const BUYER = { uid: "buyer-1", email: "buyer@example.com" };
+const WEBHOOK_SECRET = "s".repeat(32);
+const HOUR = 60 * 60 * 1000;
+
+/** A subscriber endpoint that keeps every POST and can be told to fail. */
+async function startSubscriber() {
+  const received = [];
+  let failures = 0;
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = failures > 0 ? 500 : 204;
+      failures = Math.max(failures - 1, 0);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/events`,
+    received,
+    failNext(count = 1) {
+      failures = count;
+    },
+    reset() {
+      received.length = 0;
+      failures = 0;
+    },
+    stop() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+  const until = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > until) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+describe("event notifications", () => {
+  let t;
+  let smtp;
+  let subscriber;
+  let events;
+  let webhooks;
+
+  before(async () => {
+    smtp = createFakeSmtp();
+    const smtpPort = await smtp.start();
+    subscriber = await startSubscriber();
+    t = await startTestApp({
+      SMTP_HOST: "127.0.0.1",
+      SMTP_PORT: String(smtpPort),
+      EMAIL_FROM: "Marsos <payments@marsos.test>",
+      EVENT_WEBHOOK_URLS: subscriber.url,
+      EVENT_WEBHOOK_SECRET: WEBHOOK_SECRET,
+    });
+    // Loaded after startTestApp() so they use the in-memory Firestore.
+    events = require("../../lib/events");
+    webhooks = require("../../lib/webhook-sink");
+    require("../../lib/notifications").registerConfiguredSinks();
+  });
+  after(async () => {
+    await t.close();
+    await subscriber.stop();
+    await smtp.stop();
+  });
+
+  beforeEach(async () => {
+    t.reset();
+    smtp.reset();
+    subscriber.reset();
+    await t.db.collection("suppliers").doc("sup-1").set({ name: "Supplier 1" });
+    await t.db
+      .collection("users")
+      .doc(BUYER.uid)
+      .set({ email: BUYER.email, locale: "en", name: "Test Buyer" });
+  });
+
+  const deliveriesBy = async (prefix) =>
+    (await t.db.collection("eventDeliveries").get()).docs
+      .map((d) => d.data())
+      .filter((d) => d.sink.startsWith(prefix));
+
+  it("emails the buyer and posts a signed event when a payment succeeds", async () => {
+    await t.db
+      .collection("carts")
+      .doc(BUYER.uid)
+      .collection("items")
+      .doc("item-1")
+      .set({
+        name: "Product 1",
+        quantity: 1,
+        shippingCost: "0",
+        supplierId: "sup-1",
+        price: "100.00",
+      });
+    const checkout = await t.request("POST", "/api/create-checkout", {
+      user: BUYER,
+      body: { name: "Test Buyer", email: BUYER.email },
+    });
+    const { checkoutId } = checkout.body;
+    t.hyperpay.scriptCheckout(checkoutId, { code: CODES.success });
+    await t.request(
+      "GET",
+      `/api/payment-status?resourcePath=${encodeURIComponent(
+        `/v1/checkouts/${checkoutId}/payment`
+      )}`
+    );
+    const paymentId = t.hyperpay.paymentOf(checkoutId).id;
+
+    await waitFor(() => subscriber.received.length && smtp.messages.length);
+
+    const [post] = subscriber.received;
+    assert.equal(post.headers["x-marsos-event"], "payment.succeeded");
+    const signature = post.headers["x-marsos-signature"];
+    assert.equal(
+      webhooks.verifySignature(post.body, signature, WEBHOOK_SECRET),
+      true
+    );
+    assert.equal(JSON.parse(post.body).data.paymentId, paymentId);
+
+    const [email] = smtp.messages;
+    assert.deepEqual(email.to, [BUYER.email]);
+    assert.match(email.headers.from, /payments@marsos\.test/);
+  });
+
+  it("rejects tampered, foreign and stale signatures", () => {
+    const body = JSON.stringify({ id: "payment.succeeded:1" });
+    const header = webhooks.signPayload(body, WEBHOOK_SECRET);
+    assert.equal(webhooks.verifySignature(body, header, WEBHOOK_SECRET), true);
+    assert.equal(
+      webhooks.verifySignature(`${body} `, header, WEBHOOK_SECRET),
+      false
+    );
+    assert.equal(webhooks.verifySignature(body, header, "x".repeat(32)), false);
+    const stale = webhooks.signPayload(
+      body,
+      WEBHOOK_SECRET,
+      Math.floor((Date.now() - HOUR) / 1000)
+    );
+    assert.equal(webhooks.verifySignature(body, stale, WEBHOOK_SECRET), false);
+    assert.equal(webhooks.verifySignature(body, "", WEBHOOK_SECRET), false);
+  });
+
+  it("retries deliveries the subscriber or mail server turned away", async () => {
+    subscriber.failNext(1);
+    smtp.failNext(1);
+
+    const event = await events.emitEvent(
+      "order.voided",
+      {
+        orderId: "order-1",
+        userId: BUYER.uid,
+        userEmail: BUYER.email,
+        supplierId: "sup-1",
+        amount: "115.00",
+        currency: "SAR",
+        orderStatus: "Voided",
+      },
+      { key: "order-1" }
+    );
+    await event.delivered;
+
+    for (const prefix of ["webhook:", "email"]) {
+      const [delivery] = await deliveriesBy(prefix);
+      assert.equal(delivery.status, "pending", prefix);
+      assert.equal(delivery.attempts, 1);
+      assert.ok(delivery.lastError);
+    }
+    assert.equal(smtp.messages.length, 0);
+
+    // Not due yet: the backoff keeps the worker away.
+    assert.equal(await events.deliverDueEvents(), 0);
+    assert.equal(await events.deliverDueEvents(new Date(Date.now() + HOUR)), 2);
+
+    for (const prefix of ["webhook:", "email"]) {
+      const [delivery] = await deliveriesBy(prefix);
+      assert.equal(delivery.status, "delivered", prefix);
+      assert.equal(delivery.attempts, 2);
+    }
+    assert.equal(subscriber.received.length, 2);
+    const ids = subscriber.received.map((r) => r.headers["x-marsos-event-id"]);
+    assert.deepEqual(ids, [event.id, event.id]);
+    assert.equal(smtp.messages.length, 1);
+    assert.equal(smtp.messages[0].headers.subject, "Order order-1 cancelled");
+  });
+
+  it("emails buyers about failed renewals and cancelled subscriptions", async () => {
+    const subscription = {
+      subscriptionId: "sub-1",
+      userId: BUYER.uid,
+      userEmail: BUYER.email,
+      planId: "plan-1",
+      planName: "Monthly box",
+      supplierId: "sup-1",
+    };
+    const pastDue = await events.emitEvent(
+      "subscription.past_due",
+      {
+        ...subscription,
+        amount: "57.50",
+        currency: "SAR",
+        failedAttempts: 1,
+        nextChargeAt: "2026-10-22T09:00:00.000Z",
+      },
+      { key: "renewal-1" }
+    );
+    const canceled = await events.emitEvent(
+      "subscription.canceled",
+      { ...subscription, reason: "payment_failed" },
+      { key: "sub-1" }
+    );
+    await Promise.all([pastDue.delivered, canceled.delivered]);
+
+    const bySubject = Object.fromEntries(
+      smtp.messages.map((m) => [m.headers.subject, m])
+    );
+    assert.deepEqual(Object.keys(bySubject).sort(), [
+      "Your Monthly box has been cancelled",
+      "Your subscription payment did not go through",
+    ]);
+    assert.match(
+      bySubject["Your subscription payment did not go through"].data,
+      /2026-10-22/
+    );
+  });
+});
@@ -0,0 +1,130 @@
+// test/e2e/pay-page.test.js — the hosted payment page at /pay/:checkoutId
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("../support/app");
+const { CODES } = require("../support/fake-hyperpay");
+
+const BUYER = { uid: "buyer-1", email: "buyer@example.com" };
+
+describe("hosted payment page", () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ PUBLIC_URL: "https://api.shop.test/" });
+  });
+  after(() => t.close());
+
+  beforeEach(async () => {
+    t.reset();
+    await t.db.collection("suppliers").doc("sup-1").set({ name: "Supplier 1" });
+    await t.db
+      .collection("carts")
+      .doc(BUYER.uid)
+      .collection("items")
+      .doc("item-1")
+      .set({
+        name: "Product 1",
+        quantity: 1,
+        shippingCost: "0",
+        supplierId: "sup-1",
+        price: "100.00",
+      });
+  });
+
+  async function createCheckout(body = {}) {
+    const res = await t.request("POST", "/api/create-checkout", {
+      user: BUYER,
+      body: { name: "Test Buyer", email: BUYER.email, ...body },
+    });
+    assert.equal(res.status, 200, res.text);
+    return res.body.checkoutId;
+  }
+
+  const scriptSrcOf = (res) =>
+    res.headers
+      .get("content-security-policy")
+      .split(";")
+      .find((d) => d.trim().startsWith("script-src"));
+
+  it("renders the widget for the checkout under a nonce-based CSP", async () => {
+    const checkoutId = await createCheckout({ brands: ["VISA", "MASTER"] });
+
+    const res = await t.request("GET", `/pay/${checkoutId}`);
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/html/);
+    assert.equal(res.headers.get("cache-control"), "no-store");
+
+    const scriptSrc = scriptSrcOf(res);
+    assert.doesNotMatch(scriptSrc, /unsafe-inline|unsafe-eval/);
+    const nonce = /'nonce-([^']+)'/.exec(scriptSrc)[1];
+    const nonces = [...res.text.matchAll(/<script nonce="([^"]+)"/g)].map(
+      (m) => m[1]
+    );
+    assert.deepEqual(nonces, [nonce, nonce]);
+
+    assert.ok(
+      res.text.includes(
+        `src="${process.env.HYPERPAY_HOST}/v1/paymentWidgets.js?checkoutId=${checkoutId}"`
+      )
+    );
+    assert.ok(res.text.includes('data-brands="VISA MASTER"'));
+    assert.ok(
+      res.text.includes('action="https://api.shop.test/api/payment-status"')
+    );
+    // 100.00 of goods plus 15% VAT.
+    assert.ok(res.text.includes("115.00 SAR"));
+  });
+
+  it("uses a fresh nonce on every request", async () => {
+    const checkoutId = await createCheckout();
+
+    const first = await t.request("GET", `/pay/${checkoutId}`);
+    const second = await t.request("GET", `/pay/${checkoutId}`);
+
+    assert.notEqual(scriptSrcOf(first), scriptSrcOf(second));
+  });
+
+  it("is Arabic and right-to-left unless English is asked for", async () => {
+    const checkoutId = await createCheckout();
+
+    const ar = await t.request("GET", `/pay/${checkoutId}`);
+    assert.match(ar.text, /<html lang="ar" dir="rtl">/);
+    assert.match(ar.text, /"locale":"ar"/);
+
+    const en = await t.request("GET", `/pay/${checkoutId}?lang=en`);
+    assert.match(en.text, /<html lang="en" dir="ltr">/);
+    assert.match(en.text, /"locale":"en"/);
+
+    const header = await t.request("GET", `/pay/${checkoutId}`, {
+      headers: { "Accept-Language": "en-GB,en;q=0.9" },
+    });
+    assert.match(header.text, /<html lang="en" dir="ltr">/);
+  });
+
+  it("answers 404 for an unknown checkout", async () => {
+    const res = await t.request("GET", "/pay/no-such-checkout?lang=en");
+
+    assert.equal(res.status, 404);
+    assert.match(res.text, /could not find this checkout/);
+    assert.doesNotMatch(res.text, /paymentWidgets\.js/);
+  });
+
+  it("answers 410 once the checkout has been paid", async () => {
+    const checkoutId = await createCheckout();
+    t.hyperpay.scriptCheckout(checkoutId, { code: CODES.success });
+    await t.request(
+      "GET",
+      `/api/payment-status?resourcePath=${encodeURIComponent(
+        `/v1/checkouts/${checkoutId}/payment`
+      )}`
+    );
+
+    const res = await t.request("GET", `/pay/${checkoutId}?lang=en`);
+
+    assert.equal(res.status, 410);
+    assert.match(res.text, /already been paid/);
+    assert.match(res.text, /href="https:\/\/shop\.test"/);
+  });
+});
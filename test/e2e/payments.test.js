@@ -0,0 +1,428 @@
+// test/e2e/payments.test.js — checkout → payment-status / webhook → orders
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, WEBHOOK_SECRET } = require("../support/app");
+const { CODES } = require("../support/fake-hyperpay");
+
+const BUYER = { uid: "buyer-1", email: "buyer@example.com" };
+
+describe("payments end to end", () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+  after(() => t.close());
+
+  beforeEach(async () => {
+    t.reset();
+    await t.db.collection("suppliers").doc("sup-1").set({ name: "Supplier 1" });
+    await t.db.collection("suppliers").doc("sup-2").set({ name: "Supplier 2" });
+    await addToCart("item-1", { supplierId: "sup-1", price: "100.00" });
+    await addToCart("item-2", { supplierId: "sup-1", price: "50.00" });
+  });
+
+  const addToCart = (id, item) =>
+    t.db
+      .collection("carts")
+      .doc(BUYER.uid)
+      .collection("items")
+      .doc(id)
+      .set({ name: `Product ${id}`, quantity: 1, shippingCost: "0", ...item });
+
+  async function createCheckout(body = {}) {
+    const res = await t.request("POST", "/api/create-checkout", {
+      user: BUYER,
+      body: { name: "Test Buyer", email: BUYER.email, ...body },
+    });
+    assert.equal(res.status, 200, res.text);
+    return res.body;
+  }
+
+  const paymentStatus = (checkoutId) =>
+    t.request(
+      "GET",
+      `/api/payment-status?resourcePath=${encodeURIComponent(
+        `/v1/checkouts/${checkoutId}/payment`
+      )}`
+    );
+
+  const all = async (collection) =>
+    (await t.db.collection(collection).get()).docs.map((d) => ({
+      id: d.id,
+      ...d.data(),
+    }));
+
+  describe("create-checkout", () => {
+    it("prices the cart on the server and binds the checkout", async () => {
+      const { checkoutId, amount, currency } = await createCheckout();
+
+      // 150.00 of goods plus 15% VAT.
+      assert.equal(amount, "172.50");
+      assert.equal(currency, "SAR");
+
+      const sent = t.hyperpay.requests.find((r) => r.path === "/v1/checkouts");
+      assert.equal(sent.form.amount, "172.50");
+      assert.equal(sent.form.paymentType, "DB");
+      assert.equal(sent.form.entityId, "8ac7a4c9test0default");
+
+      const checkout = (
+        await t.db.collection("checkouts").doc(checkoutId).get()
+      ).data();
+      assert.equal(checkout.userId, BUYER.uid);
+      assert.equal(checkout.supplierId, "sup-1");
+      assert.equal(checkout.status, "pending");
+    });
+
+    it("rejects requests without a token", async () => {
+      const res = await t.request("POST", "/api/create-checkout", {
+        body: { name: "Test Buyer" },
+      });
+      assert.equal(res.status, 401);
+    });
+
+    it("rejects an empty cart", async () => {
+      await t.db
+        .collection("carts")
+        .doc(BUYER.uid)
+        .collection("items")
+        .doc("item-1")
+        .delete();
+      await t.db
+        .collection("carts")
+        .doc(BUYER.uid)
+        .collection("items")
+        .doc("item-2")
+        .delete();
+      const res = await t.request("POST", "/api/create-checkout", {
+        user: BUYER,
+        body: { name: "Test Buyer" },
+      });
+      assert.equal(res.status, 400);
+    });
+
+    it("rejects a name that isn't text", async () => {
+      const res = await t.request("POST", "/api/create-checkout", {
+        user: BUYER,
+        body: { name: { first: "Test" } },
+      });
+      assert.equal(res.status, 400);
+      assert.equal(t.hyperpay.requests.length, 0);
+    });
+
+    it("rejects customer and billing fields that aren't text", async () => {
+      for (const field of [{ email: { $gt: "" } }, { city: ["Riyadh"] }]) {
+        const res = await t.request("POST", "/api/create-checkout", {
+          user: BUYER,
+          body: { name: "Test Buyer", ...field },
+        });
+        assert.equal(res.status, 400, res.text);
+        assert.match(res.body.error, /must be text/);
+      }
+      assert.equal(t.hyperpay.requests.length, 0);
+    });
+  });
+
+  describe("payment-status", () => {
+    it("creates the order and empties the cart on success", async () => {
+      const { checkoutId } = await createCheckout();
+      t.hyperpay.scriptCheckout(checkoutId, { code: CODES.success });
+
+      const res = await paymentStatus(checkoutId);
+      const payment = t.hyperpay.paymentOf(checkoutId);
+
+      assert.equal(res.status, 302);
+      assert.equal(
+        res.location,
+        `https://shop.test/order-details/${payment.id}?supplierId=sup-1`
+      );
+
+      const [order] = await all("orders");
+      assert.equal(order.id, payment.id);
+      assert.equal(order.orderStatus, "Paid");
+      assert.equal(order.totalAmount, "172.50");
+      assert.equal(order.userId, BUYER.uid);
+      assert.equal(order.items.length, 2);
+
+      const cart = await t.db
+        .collection("carts")
+        .doc(BUYER.uid)
+        .collection("items")
+        .get();
+      assert.equal(cart.size, 0);
+
+      const checkout = (
+        await t.db.collection("checkouts").doc(checkoutId).get()
+      ).data();
+      assert.equal(checkout.status, "finalized");
+
+      const attempt = (
+        await t.db.collection("paymentAttempts").doc(checkoutId).get()
+      ).data();
+      assert.equal(attempt.status, "succeeded");
+      assert.equal(attempt.threeDSecure, "authenticated");
+
+      const [entry] = await all("ledgerEntries");
+      assert.equal(entry.type, "sale");
+      assert.equal(entry.gross, "172.50");
+    });
+
+    it("sends the shopper to payment-failed on a decline", async () => {
+      const { checkoutId } = await createCheckout();
+      t.hyperpay.scriptCheckout(checkoutId, { code: CODES.declined });
+
+      const res = await paymentStatus(checkoutId);
+
+      assert.equal(res.status, 302);
+      assert.match(
+        res.location,
+        /^https:\/\/shop\.test\/payment-failed\?error=800\.100\.151&message=/
+      );
+      assert.deepEqual(await all("orders"), []);
+      assert.deepEqual(await all("payments"), []);
+
+      const attempt = (
+        await t.db.collection("paymentAttempts").doc(checkoutId).get()
+      ).data();
+      assert.equal(attempt.status, "failed");
+      assert.equal(attempt.reason, "rejected_bank");
+    });
+
+    it("lets the shopper wait while the result is pending", async () => {
+      const { checkoutId } = await createCheckout();
+
+      const pending = await paymentStatus(checkoutId);
+      assert.equal(pending.status, 302);
+      assert.equal(
+        pending.location.split("&")[0],
+        `https://shop.test/payment-pending?checkoutId=${encodeURIComponent(
+          checkoutId
+        )}`
+      );
+      assert.deepEqual(await all("orders"), []);
+
+      // The shopper finishes 3DS and lands on payment-status again.
+      t.hyperpay.scriptCheckout(checkoutId, { code: CODES.success });
+      const paid = await paymentStatus(checkoutId);
+      assert.match(paid.location, /\/order-details\//);
+      assert.equal((await all("orders")).length, 1);
+    });
+
+    it("handles a duplicate redirect without a second order", async () => {
+      const { checkoutId } = await createCheckout();
+      t.hyperpay.scriptCheckout(checkoutId, { code: CODES.success });
+
+      const first = await paymentStatus(checkoutId);
+      const second = await paymentStatus(checkoutId);
+
+      assert.equal(second.status, 302);
+      assert.equal(second.location, first.location);
+      assert.equal((await all("orders")).length, 1);
+      assert.equal((await all("payments")).length, 1);
+      assert.equal((await all("ledgerEntries")).length, 1);
+      assert.equal((await all("invoices")).length, 1);
+    });
+
+    it("refuses to create an order when the amount does not match", async () => {
+      const { checkoutId } = await createCheckout();
+      t.hyperpay.scriptCheckout(checkoutId, {
+        code: CODES.success,
+        amount: "1.00",
+      });
+
+      const res = await paymentStatus(checkoutId);
+
+      assert.match(res.location, /payment-failed\?error=AMOUNT_MISMATCH/);
+      assert.deepEqual(await all("orders"), []);
+    });
+
+    it("rejects a redirect bound to another buyer", async () => {
+      const { checkoutId } = await createCheckout();
+      t.hyperpay.scriptCheckout(checkoutId, { code: CODES.success });
+
+      const res = await t.request(
+        "GET",
+        `/api/payment-status?userId=someone-else&resourcePath=${encodeURIComponent(
+          `/v1/checkouts/${checkoutId}/payment`
+        )}`
+      );
+
+      assert.equal(res.status, 403);
+      assert.deepEqual(await all("orders"), []);
+    });
+
+    it("splits a multi-supplier cart into one order per supplier", async () => {
+      await addToCart("item-3", { supplierId: "sup-2", price: "20.00" });
+      const { checkoutId, amount } = await createCheckout();
+      assert.equal(amount, "195.50");
+      t.hyperpay.scriptCheckout(checkoutId, { code: CODES.success });
+
+      const res = await paymentStatus(checkoutId);
+      const payment = t.hyperpay.paymentOf(checkoutId);
+
+      assert.equal(
+        res.location,
+        `https://shop.test/orders?paymentId=${payment.id}`
+      );
+      const orders = await all("orders");
+      assert.deepEqual(
+        orders.map((o) => [o.id, o.supplierId, o.totalAmount]).sort(),
+        [
+          [`${payment.id}-sup-1`, "sup-1", "172.50"],
+          [`${payment.id}-sup-2`, "sup-2", "23.00"],
+        ]
+      );
+    });
+  });
+
+  describe("saved cards", () => {
+    it("keeps the stored card as it was through repeat charges", async () => {
+      const { checkoutId } = await createCheckout({ saveCard: true });
+      t.hyperpay.scriptCheckout(checkoutId, { code: CODES.success });
+      await paymentStatus(checkoutId);
+      const { registrationId } = t.hyperpay.paymentOf(checkoutId);
+      const cardRef = t.db
+        .collection("users")
+        .doc(BUYER.uid)
+        .collection("savedCards")
+        .doc(registrationId);
+      const saved = (await cardRef.get()).data();
+      assert.equal(saved.holder, "Test Buyer");
+
+      for (let i = 0; i < 2; i++) {
+        await addToCart("item-1", { supplierId: "sup-1", price: "100.00" });
+        const res = await t.request("POST", "/api/charge-saved-card", {
+          user: BUYER,
+          body: { registrationId },
+        });
+        assert.equal(res.status, 200, res.text);
+      }
+
+      assert.equal((await all("orders")).length, 3);
+      assert.deepEqual((await cardRef.get()).data(), saved);
+    });
+
+    it("keeps an unanswered charge pending until the reconciler settles it", async () => {
+      const { checkoutId } = await createCheckout({ saveCard: true });
+      t.hyperpay.scriptCheckout(checkoutId, { code: CODES.success });
+      await paymentStatus(checkoutId);
+      const { registrationId } = t.hyperpay.paymentOf(checkoutId);
+      await addToCart("item-1", { supplierId: "sup-1", price: "100.00" });
+      t.hyperpay.scriptRegistration(registrationId, {
+        code: CODES.success,
+        dropResponse: true,
+      });
+
+      const res = await t.request("POST", "/api/charge-saved-card", {
+        user: BUYER,
+        body: { registrationId },
+      });
+
+      assert.equal(res.status, 202, res.text);
+      assert.equal(res.body.status, "pending");
+      const { merchantTransactionId } = res.body;
+      const checkoutRef = t.db
+        .collection("checkouts")
+        .doc(merchantTransactionId);
+      assert.equal((await checkoutRef.get()).data().status, "pending");
+      assert.equal((await all("orders")).length, 1);
+
+      // Loaded here so it uses the in-memory Firestore.
+      const { reconcilePending } = require("../../lib/reconciler");
+      const settled = await reconcilePending({ minAgeMinutes: 0 });
+      assert.deepEqual(
+        settled.map((r) => [r.checkoutId, r.action]),
+        [[merchantTransactionId, "finalized"]]
+      );
+      assert.equal((await all("orders")).length, 2);
+    });
+  });
+
+  describe("webhook", () => {
+    const notify = (checkoutId) =>
+      t.sendWebhook({
+        type: "PAYMENT",
+        payload: t.hyperpay.paymentOf(checkoutId),
+      });
+
+    it("finalizes a payment the shopper never came back from", async () => {
+      const { checkoutId } = await createCheckout();
+      t.hyperpay.scriptCheckout(checkoutId, { code: CODES.success });
+
+      const res = await notify(checkoutId);
+
+      assert.equal(res.status, 200);
+      const [order] = await all("orders");
+      assert.equal(order.id, t.hyperpay.paymentOf(checkoutId).id);
+      assert.equal(order.finalizedBy, "webhook");
+    });
+
+    it("and the later redirect reuses the webhook's order", async () => {
+      const { checkoutId } = await createCheckout();
+      t.hyperpay.scriptCheckout(checkoutId, { code: CODES.success });
+
+      await notify(checkoutId);
+      const res = await paymentStatus(checkoutId);
+
+      assert.match(res.location, /\/order-details\//);
+      assert.equal((await all("orders")).length, 1);
+      assert.equal((await all("payments")).length, 1);
+    });
+
+    it("is idempotent when HyperPay retries the notification", async () => {
+      const { checkoutId } = await createCheckout();
+      t.hyperpay.scriptCheckout(checkoutId, { code: CODES.success });
+
+      assert.equal((await notify(checkoutId)).status, 200);
+      assert.equal((await notify(checkoutId)).status, 200);
+
+      assert.equal((await all("orders")).length, 1);
+      assert.equal((await all("ledgerEntries")).length, 1);
+    });
+
+    it("records a declined payment without creating an order", async () => {
+      const { checkoutId } = await createCheckout();
+      t.hyperpay.scriptCheckout(checkoutId, { code: CODES.declined });
+
+      const res = await notify(checkoutId);
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(await all("orders"), []);
+      const attempt = (
+        await t.db.collection("paymentAttempts").doc(checkoutId).get()
+      ).data();
+      assert.equal(attempt.status, "failed");
+    });
+
+    it("rejects a notification that does not decrypt", async () => {
+      const res = await t.request("POST", "/api/webhooks/hyperpay", {
+        body: "deadbeef",
+        headers: {
+          "Content-Type": "text/plain",
+          "X-Initialization-Vector": "00".repeat(12),
+          "X-Authentication-Tag": "00".repeat(16),
+        },
+      });
+      assert.equal(res.status, 400);
+    });
+
+    it("rejects a notification with a truncated auth tag", async () => {
+      const { checkoutId } = await createCheckout();
+      t.hyperpay.scriptCheckout(checkoutId, { code: CODES.success });
+      const { body, headers } = t.hyperpay.webhookRequest(
+        { type: "PAYMENT", payload: t.hyperpay.paymentOf(checkoutId) },
+        WEBHOOK_SECRET
+      );
+      const tag = headers["X-Authentication-Tag"];
+
+      const res = await t.request("POST", "/api/webhooks/hyperpay", {
+        body,
+        headers: { ...headers, "X-Authentication-Tag": tag.slice(0, 8) },
+      });
+
+      assert.equal(res.status, 400);
+      assert.deepEqual(await all("orders"), []);
+    });
+  });
+});
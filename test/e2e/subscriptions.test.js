@@ -0,0 +1,281 @@
+// test/e2e/subscriptions.test.js — subscribe → renewals → dunning → cancel
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("../support/app");
+const { CODES } = require("../support/fake-hyperpay");
+
+const BUYER = { uid: "buyer-1", email: "buyer@example.com" };
+const SUPPLIER = { uid: "sup-1", supplier: true };
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("subscriptions end to end", () => {
+  let t;
+  let billing;
+
+  before(async () => {
+    t = await startTestApp({ SUBSCRIPTION_RETRY_DAYS: "1,3" });
+    // Loaded after the app so it shares the in-memory Firestore.
+    billing = require("../../lib/subscription-billing");
+  });
+  after(() => t.close());
+
+  beforeEach(async () => {
+    t.reset();
+    await t.db.collection("suppliers").doc("sup-1").set({ name: "Supplier 1" });
+  });
+
+  async function createPlan(body = {}) {
+    const res = await t.request("POST", "/api/admin/subscription-plans", {
+      user: SUPPLIER,
+      body: {
+        name: "Monthly coffee",
+        interval: "month",
+        items: [
+          { productId: "beans", name: "Beans", price: "80.00", quantity: 2 },
+        ],
+        ...body,
+      },
+    });
+    assert.equal(res.status, 201, res.text);
+    return res.body.id;
+  }
+
+  const subscription = async (id) =>
+    (await t.db.collection("subscriptions").doc(id).get()).data();
+
+  const all = async (collection) =>
+    (await t.db.collection(collection).get()).docs.map((d) => ({
+      id: d.id,
+      ...d.data(),
+    }));
+
+  /** Subscribe and pay the first period through payment-status. */
+  async function subscribe(planId) {
+    const res = await t.request("POST", "/api/subscriptions", {
+      user: BUYER,
+      body: { planId, name: "Test Buyer", email: BUYER.email },
+    });
+    assert.equal(res.status, 200, res.text);
+    const { subscriptionId, checkoutId } = res.body;
+    t.hyperpay.scriptCheckout(checkoutId, { code: CODES.success });
+    await t.request(
+      "GET",
+      `/api/payment-status?resourcePath=${encodeURIComponent(
+        `/v1/checkouts/${checkoutId}/payment`
+      )}`
+    );
+    return { subscriptionId, checkoutId };
+  }
+
+  /** Run the scheduler as if `subscriptionId` were due now. */
+  async function renew(subscriptionId, script) {
+    const { registrationId, nextChargeAt } = await subscription(subscriptionId);
+    if (script) t.hyperpay.scriptRegistration(registrationId, script);
+    const now = new Date(nextChargeAt.toDate().getTime() + 1000);
+    return billing.chargeDueSubscriptions({ now });
+  }
+
+  it("takes the first payment with a RECURRING standing instruction", async () => {
+    const planId = await createPlan();
+    const { subscriptionId, checkoutId } = await subscribe(planId);
+
+    const sent = t.hyperpay.requests.find((r) => r.path === "/v1/checkouts");
+    assert.equal(sent.form.amount, "184.00");
+    assert.equal(sent.form.createRegistration, "true");
+    assert.equal(sent.form["standingInstruction.mode"], "INITIAL");
+    assert.equal(sent.form["standingInstruction.type"], "RECURRING");
+
+    const sub = await subscription(subscriptionId);
+    const payment = t.hyperpay.paymentOf(checkoutId);
+    assert.equal(sub.status, "active");
+    assert.equal(sub.registrationId, payment.registrationId);
+    assert.equal(sub.periodsPaid, 1);
+    const periodDays =
+      (sub.currentPeriodEnd.toDate() - sub.currentPeriodStart.toDate()) / DAY;
+    assert.ok(periodDays >= 28 && periodDays <= 31, `${periodDays} days`);
+
+    const [order] = await all("orders");
+    assert.equal(order.supplierId, "sup-1");
+    assert.equal(order.totalAmount, "184.00");
+  });
+
+  it("charges the stored card when the period ends", async () => {
+    const planId = await createPlan();
+    const { subscriptionId } = await subscribe(planId);
+    const first = await subscription(subscriptionId);
+
+    const [result] = await renew(subscriptionId);
+
+    assert.equal(result.action, "charged");
+    const charge = t.hyperpay.requests.find((r) =>
+      r.path.startsWith("/v1/registrations/")
+    );
+    assert.equal(charge.form["standingInstruction.mode"], "REPEATED");
+    assert.equal(charge.form["standingInstruction.type"], "RECURRING");
+    assert.equal(charge.form["standingInstruction.source"], "MIT");
+    assert.equal(
+      charge.form["standingInstruction.initialTransactionId"],
+      first.initialTransactionId
+    );
+
+    const sub = await subscription(subscriptionId);
+    assert.equal(sub.periodsPaid, 2);
+    assert.equal(sub.pendingCharge, null);
+    assert.equal(
+      sub.currentPeriodStart.toMillis(),
+      first.currentPeriodEnd.toMillis()
+    );
+    assert.ok(sub.nextChargeAt.toMillis() > first.nextChargeAt.toMillis());
+    assert.equal((await all("orders")).length, 2);
+
+    // Nothing is due any more.
+    const again = await billing.chargeDueSubscriptions({
+      now: new Date(first.nextChargeAt.toMillis() + 2000),
+    });
+    assert.deepEqual(again, []);
+  });
+
+  it("retries a declined renewal and cancels once retries run out", async () => {
+    const planId = await createPlan();
+    const { subscriptionId } = await subscribe(planId);
+
+    const [firstDecline] = await renew(subscriptionId, {
+      code: CODES.declined,
+    });
+    assert.equal(firstDecline.action, "past_due");
+    let sub = await subscription(subscriptionId);
+    assert.equal(sub.status, "past_due");
+    assert.equal(sub.failedAttempts, 1);
+    assert.equal(sub.periodsPaid, 1);
+    assert.equal(sub.lastResult.code, CODES.declined);
+
+    assert.equal((await renew(subscriptionId))[0].action, "past_due");
+    assert.equal((await renew(subscriptionId))[0].action, "canceled");
+
+    sub = await subscription(subscriptionId);
+    assert.equal(sub.status, "canceled");
+    assert.equal(sub.cancelReason, "payment_failed");
+    assert.equal((await all("orders")).length, 1);
+  });
+
+  it("stops billing a renewal charged at the wrong amount", async () => {
+    const planId = await createPlan();
+    const { subscriptionId } = await subscribe(planId);
+
+    const [result] = await renew(subscriptionId, {
+      code: CODES.success,
+      amount: "1.00",
+    });
+
+    assert.equal(result.action, "flagged");
+    const sub = await subscription(subscriptionId);
+    assert.equal(sub.status, "needs_review");
+    assert.equal(sub.pendingCharge, null);
+    const checkout = (
+      await t.db.collection("checkouts").doc(sub.reviewCheckoutId).get()
+    ).data();
+    assert.equal(checkout.status, "flagged");
+    assert.deepEqual(await renew(subscriptionId), []);
+    assert.equal((await all("orders")).length, 1);
+  });
+
+  it("recovers from past_due when a retry is paid", async () => {
+    const planId = await createPlan();
+    const { subscriptionId } = await subscribe(planId);
+    const first = await subscription(subscriptionId);
+
+    await renew(subscriptionId, { code: CODES.declined });
+    const [retry] = await renew(subscriptionId, { code: CODES.success });
+
+    assert.equal(retry.action, "charged");
+    const sub = await subscription(subscriptionId);
+    assert.equal(sub.status, "active");
+    assert.equal(sub.failedAttempts, 0);
+    // The paid period is the one that was due, not one from the retry.
+    assert.equal(
+      sub.currentPeriodStart.toMillis(),
+      first.currentPeriodEnd.toMillis()
+    );
+  });
+
+  it("does not charge a paused subscription", async () => {
+    const planId = await createPlan();
+    const { subscriptionId } = await subscribe(planId);
+
+    const paused = await t.request(
+      "POST",
+      `/api/subscriptions/${subscriptionId}/pause`,
+      { user: BUYER }
+    );
+    assert.equal(paused.status, 200);
+    assert.equal(paused.body.status, "paused");
+
+    assert.deepEqual(await renew(subscriptionId), []);
+
+    const resumed = await t.request(
+      "POST",
+      `/api/subscriptions/${subscriptionId}/resume`,
+      { user: BUYER }
+    );
+    assert.equal(resumed.body.status, "active");
+    assert.equal((await renew(subscriptionId))[0].action, "charged");
+  });
+
+  it("cancels at the period end without charging again", async () => {
+    const planId = await createPlan();
+    const { subscriptionId } = await subscribe(planId);
+
+    const res = await t.request(
+      "POST",
+      `/api/subscriptions/${subscriptionId}/cancel`,
+      { user: BUYER, body: { atPeriodEnd: true } }
+    );
+    assert.equal(res.body.status, "active");
+    assert.equal(res.body.cancelAtPeriodEnd, true);
+
+    const [result] = await renew(subscriptionId);
+    assert.equal(result.action, "canceled");
+    assert.equal((await subscription(subscriptionId)).status, "canceled");
+    assert.equal((await all("orders")).length, 1);
+  });
+
+  it("leaves no subscription behind when the checkout can't be created", async () => {
+    const planId = await createPlan();
+    t.hyperpay.refuseNextCheckout({ code: "200.300.404" });
+
+    const res = await t.request("POST", "/api/subscriptions", {
+      user: BUYER,
+      body: { planId, name: "Test Buyer", email: BUYER.email },
+    });
+
+    assert.equal(res.status, 500);
+    assert.deepEqual(await all("subscriptions"), []);
+  });
+
+  it("keeps other buyers out and refuses a second subscription", async () => {
+    const planId = await createPlan();
+    const { subscriptionId } = await subscribe(planId);
+
+    const other = await t.request(
+      "POST",
+      `/api/subscriptions/${subscriptionId}/cancel`,
+      { user: { uid: "buyer-2" } }
+    );
+    assert.equal(other.status, 404);
+
+    const again = await t.request("POST", "/api/subscriptions", {
+      user: BUYER,
+      body: { planId, name: "Test Buyer" },
+    });
+    assert.equal(again.status, 409);
+
+    const { registrationId } = await subscription(subscriptionId);
+    const deleteCard = await t.request(
+      "DELETE",
+      `/api/saved-cards/${registrationId}`,
+      { user: BUYER }
+    );
+    assert.equal(deleteCard.status, 409);
+  });
+});
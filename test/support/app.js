@@ -0,0 +1,114 @@
+// test/support/app.js — the real Express app wired to the fakes
+//
+// Call startTestApp() once per test file (node --test runs each file in
+// its own process): it points the config at a fake HyperPay server,
+// swaps lib/firebase.js for the in-memory stand-in and listens on a free
+// port. Everything in between — routes, finalization, ledger, invoices —
+// is the production code.
+
+const path = require("path");
+const { createFakeHyperPay } = require("./fake-hyperpay");
+const { createFirebaseStandIn, idToken } = require("./memory-firestore");
+
+const WEBHOOK_SECRET = "a".repeat(64);
+
+async function startTestApp(env = {}) {
+  const hyperpay = createFakeHyperPay();
+  const hyperpayUrl = await hyperpay.start();
+
+  Object.assign(process.env, {
+    HYPERPAY_ENV: "test",
+    HYPERPAY_HOST: hyperpayUrl,
+    HYPERPAY_ACCESS_TOKEN: "test-access-token",
+    HYPERPAY_ENTITY_ID: "8ac7a4c9test0default",
+    HYPERPAY_ENTITY_ID_MADA: "8ac7a4c9test000mada",
+    HYPERPAY_WEBHOOK_SECRET: WEBHOOK_SECRET,
+    HYPERPAY_MAX_RETRIES: "0",
+    FRONTEND_URL: "https://shop.test",
+    VAT_RATE: "0.15",
+    INVOICE_SELLER_VAT_NUMBER: "300000000000003",
+    LOG_LEVEL: "silent",
+    // Every request comes from 127.0.0.1 and a handful of users; suites
+    // that exercise the limits set their own.
+    RATE_LIMIT_PER_IP: "1000",
+    RATE_LIMIT_PER_USER: "1000",
+    ...env,
+  });
+
+  const firebase = createFirebaseStandIn();
+  const firebasePath = path.resolve(__dirname, "../../lib/firebase.js");
+  require.cache[firebasePath] = {
+    id: firebasePath,
+    filename: firebasePath,
+    loaded: true,
+    exports: firebase,
+  };
+
+  const app = require("../../server");
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /** fetch() against the app; `user` claims become a bearer token. */
+  async function request(method, url, { user, body, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}${url}`, {
+      method,
+      redirect: "manual",
+      headers: {
+        ...(user ? { Authorization: `Bearer ${idToken(user)}` } : {}),
+        ...(body !== undefined && typeof body !== "string"
+          ? { "Content-Type": "application/json" }
+          : {}),
+        ...headers,
+      },
+      body:
+        body === undefined || typeof body === "string"
+          ? body
+          : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // Not JSON (redirects, CSV, plain text).
+    }
+    return {
+      status: res.status,
+      headers: res.headers,
+      location: res.headers.get("location"),
+      text,
+      body: json,
+    };
+  }
+
+  /** Deliver `notification` to the webhook route, encrypted. */
+  function sendWebhook(notification) {
+    const { body, headers } = hyperpay.webhookRequest(
+      notification,
+      WEBHOOK_SECRET
+    );
+    return request("POST", "/api/webhooks/hyperpay", { body, headers });
+  }
+
+  return {
+    baseUrl,
+    hyperpay,
+    firebase,
+    db: firebase.db,
+    request,
+    sendWebhook,
+    reset() {
+      firebase.reset();
+      hyperpay.reset();
+    },
+    async close() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(() => resolve()));
+      await hyperpay.stop();
+    },
+  };
+}
+
+module.exports = { startTestApp, WEBHOOK_SECRET };
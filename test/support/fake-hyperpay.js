@@ -0,0 +1,319 @@
+// test/support/fake-hyperpay.js — a scriptable stand-in for the OPPWA API
+//
+// Runs on a local port and answers the endpoints lib/hyperpay-client.js
+// calls: COPYandPAY checkouts and their `{resourcePath}` status, back-office
+// operations on `/v1/payments/{id}`, saved-card charges, deregistration and
+// the transaction query. Each checkout pays with whatever result code the
+// test scripted for it; declines come back as HTTP 400 with the payment
+// body, as HyperPay sends them.
+
+const crypto = require("crypto");
+const express = require("express");
+const { classifyResult } = require("../../lib/result-codes");
+
+const CODES = {
+  success: "000.100.110",
+  review: "000.400.000",
+  pending: "000.200.000",
+  declined: "800.100.151",
+  threeDSFailed: "100.390.112",
+};
+
+const DESCRIPTIONS = {
+  [CODES.success]:
+    "Request successfully processed in 'Merchant in Integrator Test Mode'",
+  [CODES.review]: "Two-step transaction: request successfully processed",
+  [CODES.pending]: "transaction pending",
+  [CODES.declined]: "transaction declined (invalid card)",
+  [CODES.threeDSFailed]: "Technical or other error in 3D system",
+};
+
+const randomId = () =>
+  `8ac7a4c${crypto.randomBytes(12).toString("hex")}`.slice(0, 32);
+const timestamp = () =>
+  new Date().toISOString().replace("T", " ").replace("Z", "+0000");
+
+const statusFor = (code) =>
+  classifyResult(code).outcome === "failed" ? 400 : 200;
+
+function createFakeHyperPay() {
+  const checkouts = new Map();
+  const payments = new Map();
+  const scripts = new Map();
+  const requests = [];
+  let server;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use((req, _res, next) => {
+    requests.push({
+      method: req.method,
+      path: req.path,
+      query: { ...req.query },
+      form: { ...req.body },
+      headers: { ...req.headers },
+    });
+    next();
+  });
+
+  const result = (code, description) => ({
+    code,
+    description: description || DESCRIPTIONS[code] || "scripted result",
+  });
+
+  /** The payment a checkout ends in, created on first status request. */
+  function paymentFor(checkout) {
+    if (checkout.paymentId) return payments.get(checkout.paymentId);
+
+    const script = scripts.get(checkout.id) || { code: CODES.pending };
+    if (classifyResult(script.code).outcome === "pending") {
+      // No payment yet; the shopper is still on the 3DS page.
+      return {
+        id: checkout.id,
+        ndc: checkout.id,
+        result: result(script.code, script.description),
+        buildNumber: "fake",
+        timestamp: timestamp(),
+      };
+    }
+
+    const payment = {
+      id: randomId(),
+      paymentType: checkout.form.paymentType,
+      paymentBrand: script.brand || "VISA",
+      amount: script.amount || checkout.form.amount,
+      currency: script.currency || checkout.form.currency,
+      descriptor: "1234.5678.9012 Marsos",
+      merchantTransactionId: checkout.form.merchantTransactionId,
+      result: result(script.code, script.description),
+      card: {
+        bin: "411111",
+        last4Digits: "1111",
+        holder: checkout.form["customer.givenName"] || "Test Holder",
+        expiryMonth: "12",
+        expiryYear: "2034",
+      },
+      customer: {
+        givenName: checkout.form["customer.givenName"],
+        email: checkout.form["customer.email"],
+      },
+      threeDSecure: { eci: script.eci || "05", version: "2.2.0" },
+      ...(checkout.form.createRegistration === "true"
+        ? { registrationId: randomId() }
+        : {}),
+      ndc: checkout.id,
+      buildNumber: "fake",
+      timestamp: timestamp(),
+    };
+    checkout.paymentId = payment.id;
+    payments.set(payment.id, payment);
+    return payment;
+  }
+
+  app.post("/v1/checkouts", (req, res) => {
+    const refusal = scripts.get("checkout-creation");
+    if (refusal) {
+      scripts.delete("checkout-creation");
+      return res.status(400).json({
+        result: result(refusal.code, refusal.description),
+        buildNumber: "fake",
+        timestamp: timestamp(),
+      });
+    }
+    const id = `${randomId().slice(0, 24)}.uat01-vm-tx01`;
+    checkouts.set(id, { id, form: req.body });
+    res.json({
+      result: result("000.200.100", "successfully created checkout"),
+      buildNumber: "fake",
+      timestamp: timestamp(),
+      ndc: id,
+      id,
+    });
+  });
+
+  app.get("/v1/checkouts/:id/payment", (req, res) => {
+    const checkout = checkouts.get(req.params.id);
+    if (!checkout) {
+      return res
+        .status(404)
+        .json({
+          result: result("200.300.404", "invalid or missing parameter"),
+        });
+    }
+    const payment = paymentFor(checkout);
+    return res.status(statusFor(payment.result.code)).json(payment);
+  });
+
+  app.post("/v1/payments/:id", (req, res) => {
+    const original = payments.get(req.params.id);
+    if (!original) {
+      return res
+        .status(400)
+        .json({
+          result: result(
+            "700.400.200",
+            "cannot refund (refund volume exceeded or tx reversed or invalid workflow)"
+          ),
+        });
+    }
+    const script = scripts.get(`payment:${req.params.id}`) || {};
+    const code = script.code || CODES.success;
+    const payment = {
+      id: randomId(),
+      referencedId: original.id,
+      paymentType: req.body.paymentType,
+      amount: req.body.amount || original.amount,
+      currency: req.body.currency || original.currency,
+      descriptor: original.descriptor,
+      merchantTransactionId: req.body.merchantTransactionId,
+      result: result(code),
+      buildNumber: "fake",
+      timestamp: timestamp(),
+    };
+    payments.set(payment.id, payment);
+    // The operation went through but its answer is lost on the way back.
+    if (script.dropResponse) return req.socket.destroy();
+    return res.status(statusFor(code)).json(payment);
+  });
+
+  app.post("/v1/registrations/:id/payments", (req, res) => {
+    const script = scripts.get(`registration:${req.params.id}`) || {
+      code: CODES.success,
+    };
+    const payment = {
+      id: randomId(),
+      paymentType: req.body.paymentType,
+      paymentBrand: script.brand || "VISA",
+      amount: script.amount || req.body.amount,
+      currency: req.body.currency,
+      merchantTransactionId: req.body.merchantTransactionId,
+      registrationId: req.params.id,
+      result: result(script.code, script.description),
+      card: { bin: "411111", last4Digits: "1111" },
+      buildNumber: "fake",
+      timestamp: timestamp(),
+    };
+    payments.set(payment.id, payment);
+    if (script.dropResponse) return req.socket.destroy();
+    return res.status(statusFor(script.code)).json(payment);
+  });
+
+  app.delete("/v1/registrations/:id", (_req, res) =>
+    res.json({ result: result(CODES.success), id: randomId() })
+  );
+
+  app.get("/v1/query", (req, res) => {
+    const found = [...payments.values()].filter(
+      (p) => p.merchantTransactionId === req.query.merchantTransactionId
+    );
+    res.json({
+      result: result("000.000.100", "successful request"),
+      payments: found,
+    });
+  });
+
+  app.get("/v1/query/:id", (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment) {
+      return res
+        .status(400)
+        .json({ result: result("700.400.580", "cannot find transaction") });
+    }
+    return res.json({
+      result: result("000.000.100", "successful request"),
+      payments: [payment],
+    });
+  });
+
+  return {
+    CODES,
+    checkouts,
+    payments,
+    requests,
+
+    /** Listen on a free port; resolves to the base URL. */
+    start() {
+      return new Promise((resolve) => {
+        server = app.listen(0, "127.0.0.1", () =>
+          resolve(`http://127.0.0.1:${server.address().port}`)
+        );
+      });
+    },
+
+    stop() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+
+    reset() {
+      checkouts.clear();
+      payments.clear();
+      scripts.clear();
+      requests.length = 0;
+    },
+
+    /**
+     * What paying `checkoutId` results in: `{ code, description, amount,
+     * currency, brand, eci }`, e.g. `{ code: CODES.declined }`. Until
+     * scripted, a checkout reports "transaction pending".
+     */
+    scriptCheckout(checkoutId, script) {
+      scripts.set(checkoutId, script);
+    },
+
+    /** Refuse the next checkout creation with `{ code, description }`. */
+    refuseNextCheckout(script) {
+      scripts.set("checkout-creation", script);
+    },
+
+    /**
+     * Result of the next charge on a saved card (registration) id, as for
+     * scriptCheckout, plus `dropResponse` as for scriptPaymentOperation.
+     */
+    scriptRegistration(registrationId, script) {
+      scripts.set(`registration:${registrationId}`, script);
+    },
+
+    /**
+     * Result of back-office operations (RF/RV/CP) on a payment id:
+     * `{ code }`, or `{ dropResponse: true }` to carry the operation out
+     * and then hang up without answering.
+     */
+    scriptPaymentOperation(paymentId, script) {
+      scripts.set(`payment:${paymentId}`, script);
+    },
+
+    /** The payment behind a checkout, once it has one. */
+    paymentOf(checkoutId) {
+      const checkout = checkouts.get(checkoutId);
+      return checkout ? paymentFor(checkout) : null;
+    },
+
+    /**
+     * Encrypt a notification the way HyperPay does for webhooks: the hex
+     * AES-256-GCM body plus the IV and auth tag headers.
+     */
+    webhookRequest(notification, secret) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(
+        "aes-256-gcm",
+        Buffer.from(secret, "hex"),
+        iv
+      );
+      const body = Buffer.concat([
+        cipher.update(JSON.stringify(notification), "utf8"),
+        cipher.final(),
+      ]).toString("hex");
+      return {
+        body,
+        headers: {
+          "Content-Type": "text/plain",
+          "X-Initialization-Vector": iv.toString("hex"),
+          "X-Authentication-Tag": cipher.getAuthTag().toString("hex"),
+        },
+      };
+    },
+  };
+}
+
+module.exports = { createFakeHyperPay, CODES };
@@ -0,0 +1,115 @@
+// test/support/fake-smtp.js — a local SMTP server that keeps what it is sent
+//
+// Speaks just enough SMTP for nodemailer without TLS or auth: EHLO, MAIL,
+// RCPT, DATA, RSET and QUIT. Accepted messages land in `messages` as
+// `{ from, to, data }`, with the headers parsed. `failNext(n)` answers the
+// next n messages with a temporary failure, as a mail server that is down
+// would.
+
+const net = require("net");
+
+/** The headers of a raw message, lower-cased, folded lines joined. */
+function parseHeaders(data) {
+  const head = data.split("\r\n\r\n")[0].replace(/\r\n[ \t]+/g, " ");
+  return Object.fromEntries(
+    head.split("\r\n").map((line) => {
+      const i = line.indexOf(":");
+      return [line.slice(0, i).toLowerCase(), line.slice(i + 1).trim()];
+    })
+  );
+}
+
+function createFakeSmtp() {
+  const messages = [];
+  const sockets = new Set();
+  let failures = 0;
+  let server;
+
+  function session(socket) {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    let envelope = { from: null, to: [] };
+    let data = null;
+    let buffered = "";
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    const command = (line) => {
+      const verb = line.slice(0, 4).toUpperCase();
+      switch (verb) {
+        case "EHLO":
+        case "HELO":
+          return reply("250 fake-smtp");
+        case "MAIL":
+          if (failures > 0) {
+            failures -= 1;
+            return reply("451 Temporary failure, try again later");
+          }
+          envelope = { from: line.replace(/^MAIL FROM:\s*/i, ""), to: [] };
+          return reply("250 OK");
+        case "RCPT":
+          envelope.to.push(line.replace(/^RCPT TO:\s*<?([^>]*)>?.*$/i, "$1"));
+          return reply("250 OK");
+        case "DATA":
+          data = [];
+          return reply("354 End data with <CR><LF>.<CR><LF>");
+        case "RSET":
+          envelope = { from: null, to: [] };
+          return reply("250 OK");
+        case "QUIT":
+          reply("221 Bye");
+          return socket.end();
+        default:
+          return reply("502 Command not implemented");
+      }
+    };
+
+    socket.on("data", (chunk) => {
+      buffered += chunk.toString("utf8");
+      let end;
+      while ((end = buffered.indexOf("\r\n")) !== -1) {
+        const line = buffered.slice(0, end);
+        buffered = buffered.slice(end + 2);
+        if (data === null) {
+          command(line);
+        } else if (line === ".") {
+          const raw = data.join("\r\n");
+          messages.push({ ...envelope, data: raw, headers: parseHeaders(raw) });
+          data = null;
+          reply("250 OK: queued");
+        } else {
+          data.push(line.startsWith("..") ? line.slice(1) : line);
+        }
+      }
+    });
+    socket.on("error", () => {});
+    reply("220 fake-smtp ESMTP");
+  }
+
+  return {
+    messages,
+
+    /** Listen on a free port; resolves to it. */
+    start() {
+      return new Promise((resolve) => {
+        server = net.createServer(session);
+        server.listen(0, "127.0.0.1", () => resolve(server.address().port));
+      });
+    },
+
+    stop() {
+      sockets.forEach((socket) => socket.destroy());
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+
+    reset() {
+      messages.length = 0;
+      failures = 0;
+    },
+
+    failNext(count = 1) {
+      failures = count;
+    },
+  };
+}
+
+module.exports = { createFakeSmtp };
@@ -0,0 +1,447 @@
+// test/support/memory-firestore.js — in-memory stand-in for lib/firebase.js
+//
+// Implements the slice of the Admin SDK the backend uses: documents and
+// subcollections, queries (where / orderBy / limit / startAfter,
+// collection groups), transactions, FieldValue sentinels, Timestamps, a
+// Storage bucket and ID-token verification. Dates are stored as
+// Timestamps, as Firestore does, so code reading `.toDate()` behaves the
+// same as in production.
+
+const crypto = require("crypto");
+
+class Timestamp {
+  constructor(millis) {
+    this.millis = millis;
+  }
+
+  static fromDate(date) {
+    return new Timestamp(date.getTime());
+  }
+
+  static fromMillis(millis) {
+    return new Timestamp(millis);
+  }
+
+  static now() {
+    return new Timestamp(Date.now());
+  }
+
+  toDate() {
+    return new Date(this.millis);
+  }
+
+  toMillis() {
+    return this.millis;
+  }
+
+  valueOf() {
+    return this.millis;
+  }
+}
+
+class Sentinel {
+  constructor(kind, value) {
+    this.kind = kind;
+    this.value = value;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => new Sentinel("serverTimestamp"),
+  delete: () => new Sentinel("delete"),
+  increment: (n) => new Sentinel("increment", n),
+  arrayUnion: (...values) => new Sentinel("arrayUnion", values),
+  arrayRemove: (...values) => new Sentinel("arrayRemove", values),
+};
+
+const firestoreError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+/** Copy stored data, keeping Timestamps (and nothing else) as instances. */
+function clone(value) {
+  if (value instanceof Timestamp) return new Timestamp(value.millis);
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, clone(v)])
+    );
+  }
+  return value;
+}
+
+/**
+ * What Firestore would store for `value`: Dates become Timestamps, and
+ * `undefined` is rejected just as the Admin SDK rejects it.
+ */
+function encode(value, field = "") {
+  if (value === undefined) {
+    throw new Error(`Cannot use "undefined" as a Firestore value (${field})`);
+  }
+  if (value instanceof Sentinel) return resolveSentinel(value, undefined);
+  if (value instanceof Date) return Timestamp.fromDate(value);
+  if (value instanceof Timestamp) return new Timestamp(value.millis);
+  if (Array.isArray(value)) return value.map((v) => encode(v, field));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, encode(v, `${field}.${k}`)])
+    );
+  }
+  return value;
+}
+
+function resolveSentinel(sentinel, current) {
+  switch (sentinel.kind) {
+    case "serverTimestamp":
+      return Timestamp.now();
+    case "increment":
+      return (typeof current === "number" ? current : 0) + sentinel.value;
+    case "arrayUnion": {
+      const list = Array.isArray(current) ? [...current] : [];
+      for (const v of sentinel.value) {
+        if (!list.some((x) => compare(x, v) === 0)) list.push(encode(v));
+      }
+      return list;
+    }
+    case "arrayRemove":
+      return (Array.isArray(current) ? current : []).filter(
+        (x) => !sentinel.value.some((v) => compare(x, v) === 0)
+      );
+    default:
+      throw new Error(`Unsupported sentinel ${sentinel.kind}`);
+  }
+}
+
+/** Apply `data` onto `target` in place; nested objects merge when `deep`. */
+function applyFields(target, data, deep) {
+  for (const [key, value] of Object.entries(data)) {
+    if (value instanceof Sentinel) {
+      if (value.kind === "delete") delete target[key];
+      else target[key] = resolveSentinel(value, target[key]);
+    } else if (deep && isPlainObject(value)) {
+      const next = isPlainObject(target[key]) ? target[key] : {};
+      applyFields(next, value, true);
+      target[key] = next;
+    } else {
+      target[key] = encode(value, key);
+    }
+  }
+  return target;
+}
+
+const getField = (data, field) =>
+  field
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+/** Order like Firestore for the types the backend stores. */
+function compare(a, b) {
+  const norm = (v) =>
+    v instanceof Timestamp || v instanceof Date ? v.valueOf() : v;
+  const x = norm(a);
+  const y = norm(b);
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  if (typeof x === "object" || typeof y === "object") {
+    return JSON.stringify(x) === JSON.stringify(y) ? 0 : 1;
+  }
+  return x < y ? -1 : 1;
+}
+
+const OPERATORS = {
+  "==": (v, x) => compare(v, x) === 0,
+  "!=": (v, x) => v !== undefined && compare(v, x) !== 0,
+  "<": (v, x) => v != null && compare(v, x) < 0,
+  "<=": (v, x) => v != null && compare(v, x) <= 0,
+  ">": (v, x) => v != null && compare(v, x) > 0,
+  ">=": (v, x) => v != null && compare(v, x) >= 0,
+  in: (v, x) => x.some((item) => compare(v, item) === 0),
+  "not-in": (v, x) => v !== undefined && !x.some((i) => compare(v, i) === 0),
+  "array-contains": (v, x) =>
+    Array.isArray(v) && v.some((item) => compare(item, x) === 0),
+  "array-contains-any": (v, x) =>
+    Array.isArray(v) && v.some((item) => x.some((i) => compare(item, i) === 0)),
+};
+
+function createFirestore() {
+  const docs = new Map();
+  let lock = Promise.resolve();
+
+  class DocumentSnapshot {
+    constructor(ref, data) {
+      this.id = ref.id;
+      this.ref = ref;
+      this.exists = data !== undefined;
+      this._data = data;
+    }
+
+    data() {
+      return this.exists ? clone(this._data) : undefined;
+    }
+
+    get(field) {
+      return this.exists ? clone(getField(this._data, field)) : undefined;
+    }
+  }
+
+  class DocumentReference {
+    constructor(path) {
+      this.path = path;
+      this.id = path.split("/").pop();
+    }
+
+    get parent() {
+      return new CollectionReference(
+        this.path.split("/").slice(0, -1).join("/")
+      );
+    }
+
+    collection(name) {
+      return new CollectionReference(`${this.path}/${name}`);
+    }
+
+    async get() {
+      return new DocumentSnapshot(this, docs.get(this.path));
+    }
+
+    async set(data, options = {}) {
+      writeDoc(this, "set", data, options);
+    }
+
+    async create(data) {
+      writeDoc(this, "create", data);
+    }
+
+    async update(data) {
+      writeDoc(this, "update", data);
+    }
+
+    async delete() {
+      docs.delete(this.path);
+    }
+  }
+
+  function writeDoc(ref, kind, data, options = {}) {
+    const current = docs.get(ref.path);
+    if (kind === "create" && current !== undefined) {
+      throw firestoreError(6, `Document already exists: ${ref.path}`);
+    }
+    if (kind === "update" && current === undefined) {
+      throw firestoreError(5, `No document to update: ${ref.path}`);
+    }
+
+    if (kind === "update") {
+      // update() takes dotted field paths.
+      const next = clone(current);
+      for (const [field, value] of Object.entries(data)) {
+        const keys = field.split(".");
+        const last = keys.pop();
+        let target = next;
+        for (const key of keys) {
+          if (!isPlainObject(target[key])) target[key] = {};
+          target = target[key];
+        }
+        applyFields(target, { [last]: value }, false);
+      }
+      docs.set(ref.path, next);
+    } else if (options.merge && current !== undefined) {
+      docs.set(ref.path, applyFields(clone(current), data, true));
+    } else {
+      docs.set(ref.path, applyFields({}, data, true));
+    }
+  }
+
+  class Query {
+    constructor(match, filters = [], orders = [], limitTo = null, after) {
+      this._match = match;
+      this._filters = filters;
+      this._orders = orders;
+      this._limit = limitTo;
+      this._after = after;
+    }
+
+    _with(changes) {
+      const next = Object.create(Object.getPrototypeOf(this));
+      Object.assign(next, this, changes);
+      return next;
+    }
+
+    where(field, op, value) {
+      if (!OPERATORS[op]) throw new Error(`Unsupported operator ${op}`);
+      return this._with({ _filters: [...this._filters, [field, op, value]] });
+    }
+
+    orderBy(field, direction = "asc") {
+      return this._with({ _orders: [...this._orders, [field, direction]] });
+    }
+
+    limit(n) {
+      return this._with({ _limit: n });
+    }
+
+    startAfter(cursor) {
+      return this._with({ _after: cursor });
+    }
+
+    async get() {
+      let rows = [...docs.entries()]
+        .filter(([path]) => this._match(path))
+        .filter(([, data]) =>
+          this._filters.every(([field, op, value]) =>
+            OPERATORS[op](getField(data, field), value)
+          )
+        );
+      // Like Firestore, ordering on a field leaves out docs without it.
+      rows = rows.filter(([, data]) =>
+        this._orders.every(([field]) => getField(data, field) !== undefined)
+      );
+      const sortOn = (a, b) => {
+        for (const [field, direction] of this._orders) {
+          const c = compare(getField(a[1], field), getField(b[1], field));
+          if (c) return direction === "desc" ? -c : c;
+        }
+        return a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0;
+      };
+      rows.sort(sortOn);
+      if (this._after) {
+        const index = rows.findIndex(([path]) => path === this._after.ref.path);
+        rows = index === -1 ? rows : rows.slice(index + 1);
+      }
+      if (this._limit != null) rows = rows.slice(0, this._limit);
+
+      const snapshots = rows.map(
+        ([path, data]) =>
+          new DocumentSnapshot(new DocumentReference(path), data)
+      );
+      return {
+        docs: snapshots,
+        empty: !snapshots.length,
+        size: snapshots.length,
+        forEach: (fn) => snapshots.forEach(fn),
+      };
+    }
+  }
+
+  class CollectionReference extends Query {
+    constructor(path) {
+      const depth = path.split("/").length + 1;
+      super(
+        (docPath) =>
+          docPath.startsWith(`${path}/`) && docPath.split("/").length === depth
+      );
+      this.path = path;
+      this.id = path.split("/").pop();
+    }
+
+    doc(id = crypto.randomUUID().replace(/-/g, "").slice(0, 20)) {
+      return new DocumentReference(`${this.path}/${id}`);
+    }
+
+    async add(data) {
+      const ref = this.doc();
+      await ref.set(data);
+      return ref;
+    }
+  }
+
+  const db = {
+    collection: (path) => new CollectionReference(path),
+    doc: (path) => new DocumentReference(path),
+
+    collectionGroup: (id) =>
+      new Query((docPath) => {
+        const parts = docPath.split("/");
+        return parts[parts.length - 2] === id;
+      }),
+
+    /**
+     * Transactions run one at a time and commit their writes at the end,
+     * so a failed transaction leaves nothing behind, as in Firestore.
+     */
+    runTransaction(fn) {
+      const run = lock.then(async () => {
+        const writes = [];
+        const t = {
+          get: (refOrQuery) => refOrQuery.get(),
+          set: (ref, data, options) => writes.push([ref, "set", data, options]),
+          create: (ref, data) => writes.push([ref, "create", data]),
+          update: (ref, data) => writes.push([ref, "update", data]),
+          delete: (ref) => writes.push([ref, "delete"]),
+        };
+        const result = await fn(t);
+        for (const [ref, kind, data, options] of writes) {
+          if (kind === "delete") docs.delete(ref.path);
+          else writeDoc(ref, kind, data, options);
+        }
+        return result;
+      });
+      lock = run.catch(() => {});
+      return run;
+    },
+  };
+
+  return { db, docs };
+}
+
+function createBucket() {
+  const files = new Map();
+  return {
+    files,
+    file: (path) => ({
+      save: async (data) => void files.set(path, Buffer.from(data)),
+      download: async () => {
+        if (!files.has(path))
+          throw firestoreError(404, `No such object: ${path}`);
+        return [files.get(path)];
+      },
+      exists: async () => [files.has(path)],
+    }),
+  };
+}
+
+/**
+ * ID tokens for tests: `idToken({ uid, email, admin: true })` gives a
+ * bearer token that `admin.auth().verifyIdToken` decodes back to those
+ * claims.
+ */
+const idToken = (claims) =>
+  `test.${Buffer.from(JSON.stringify(claims)).toString("base64url")}`;
+
+function verifyIdToken(token) {
+  const match = /^test\.(.+)$/.exec(token || "");
+  if (!match) return Promise.reject(new Error("Invalid test token"));
+  return Promise.resolve(
+    JSON.parse(Buffer.from(match[1], "base64url").toString())
+  );
+}
+
+/**
+ * A module shaped like lib/firebase.js. `reset()` empties the database
+ * and the bucket between tests.
+ */
+function createFirebaseStandIn() {
+  const firestore = createFirestore();
+  const storage = createBucket();
+  return {
+    admin: {
+      firestore: { FieldValue, Timestamp },
+      auth: () => ({ verifyIdToken }),
+      storage: () => ({ bucket: () => storage }),
+    },
+    db: firestore.db,
+    bucket: () => storage,
+    docs: firestore.docs,
+    files: storage.files,
+    reset() {
+      firestore.docs.clear();
+      storage.files.clear();
+    },
+  };
+}
+
+module.exports = { createFirebaseStandIn, idToken, Timestamp, FieldValue };